@@ -0,0 +1,74 @@
+// File: api/chat.js
+// Text chat: the same risk assessment, Gemini reply and conversation memory as
+// process-voice, for text typed by the user. No audio in or out.
+import { normalizeLanguageCode } from '../lib/languages.js';
+import { buildExerciseTiming } from '../lib/exercises.js';
+import {
+    assessAndRecordRisk,
+    generateReply,
+    loadSession,
+    rememberTurn,
+    recordJournalEntry,
+    riskResponseFields,
+} from '../lib/pipeline.js';
+import { logger } from '../lib/logger.js';
+import {
+    assignRequestId,
+    allowMethods,
+    authorizeRequest,
+    getJsonBody,
+    validateSessionId,
+    validateLanguageCode,
+    validateText,
+    validatePersonaId,
+    sendErrorResponse,
+} from '../lib/http.js';
+
+// Typed messages are capped well above anything a person writes in one go.
+const MAX_CHAT_TEXT_BYTES = 4000;
+
+// --- Vercel Serverless Function Handler ---
+export default async function handler(req, res) {
+    assignRequestId(req, res);
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    logger.info("Processing new chat request.");
+
+    try {
+        const user = await authorizeRequest(req);
+
+        // Expecting { "text": "...", "sessionId"?, "languageCode"?, "locale"?, "personaId"? } in the JSON request body.
+        // languageCode is the language the user writes in (default en-US); the persona replies in it.
+        // personaId picks a persona from config/personas.js (default persona if omitted).
+        const body = getJsonBody(req);
+        const text = validateText(body.text, 'text', MAX_CHAT_TEXT_BYTES);
+        const sessionId = validateSessionId(body.sessionId);
+        const languageCode = normalizeLanguageCode(validateLanguageCode(body.languageCode));
+        const locale = body.locale || languageCode;
+        const persona = validatePersonaId(body.personaId);
+
+        const session = await loadSession(user, sessionId);
+
+        const { risk, riskEventId } = await assessAndRecordRisk(text, { userId: user.userId, sessionId, locale });
+        const { emotion, reply, analysis, exercise, replyLanguageCode } = await generateReply({ transcript: text, languageCode, session, risk, locale, persona });
+        logger.info("Gemini result.", { emotion, intensity: analysis.intensity, exerciseId: exercise?.id, reply });
+
+        await rememberTurn(user, sessionId, session, text, { emotion, intensity: analysis.intensity, exerciseId: exercise?.id, reply });
+        const journalEntryId = await recordJournalEntry(user, { sessionId, transcript: text, emotion, riskLevel: risk.riskLevel, languageCode, persona });
+
+        res.status(200).json({
+            emotion: emotion || 'neutral',   // The emotion label from Gemini
+            emotionAnalysis: analysis,       // { emotion, intensity, confidence, secondaryEmotions, valence, arousal }
+            reply: reply,                    // The text reply generated by Gemini
+            languageCode: replyLanguageCode, // Language of the reply (pass it to /api/speak)
+            personaId: persona.id,           // The persona that replied (pass it to /api/speak)
+            // A guided exercise to follow the reply (pass exercise.id to /api/speak as exerciseId to voice it)
+            ...(exercise && { exercise: buildExerciseTiming(exercise, { text: reply, emotion, intensity: analysis.intensity }, persona) }),
+            ...riskResponseFields(risk, locale, riskEventId),
+            ...(journalEntryId && { journalEntryId }),
+            ...(sessionId && { sessionId })
+        });
+    } catch (error) {
+        sendErrorResponse(res, error, { context: "Error processing chat request." });
+    }
+}
@@ -0,0 +1,105 @@
+// File: api/journal.js
+// The caller's mood journal (one entry per conversation turn, see lib/journal-store.js).
+//   GET    ?from&to&cursor&limit  - entries, newest first
+//   DELETE ?id=<entryId>          - delete one entry
+//   DELETE ?all=true              - delete the whole journal
+import { getJournalStore } from '../lib/journal-store.js';
+import { NotFoundError } from '../lib/errors.js';
+import { logger } from '../lib/logger.js';
+import {
+    assignRequestId,
+    allowMethods,
+    authorizeRequest,
+    validateDateQuery,
+    validateIntegerQuery,
+    RequestValidationError,
+    sendErrorResponse,
+} from '../lib/http.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// A page cursor is the last entry of the previous page: "<timestamp>.<id>".
+const CURSOR_PATTERN = /^(\d+)\.([A-Za-z0-9-]{1,64})$/;
+
+/**
+ * Shapes a stored entry for the client (the owner is implied by the credentials).
+ * @param {import('../lib/journal-store.js').JournalEntry} entry
+ * @returns {object}
+ */
+function toResponseEntry({ userId, ...entry }) {
+    return entry;
+}
+
+/**
+ * Parses the optional `cursor` query parameter.
+ * @param {unknown} value
+ * @returns {{timestamp: number, id: string}|undefined}
+ * @throws {RequestValidationError}
+ */
+function parseCursor(value) {
+    if (value === undefined) return undefined;
+    const match = typeof value === 'string' && CURSOR_PATTERN.exec(value);
+    if (!match) {
+        throw new RequestValidationError("Invalid 'cursor'. Pass back the 'nextCursor' of the previous page.");
+    }
+    return { timestamp: Number(match[1]), id: match[2] };
+}
+
+/**
+ * GET: lists entries, newest first. Pass `nextCursor` back as `cursor` for the next page;
+ * it names the last entry returned, so entries sharing its timestamp aren't skipped.
+ */
+async function listEntries(req, res, user) {
+    const query = req.query || {};
+    const from = validateDateQuery(query.from, 'from');
+    const to = validateDateQuery(query.to, 'to');
+    const after = parseCursor(query.cursor);
+    const limit = validateIntegerQuery(query.limit, 'limit', MAX_PAGE_SIZE) || DEFAULT_PAGE_SIZE;
+
+    // Ask for one extra entry to know whether there is another page.
+    const entries = await getJournalStore().list(user.userId, { from, to, after, limit: limit + 1 });
+    const page = entries.slice(0, limit);
+    const last = page.at(-1);
+
+    res.status(200).json({
+        entries: page.map(toResponseEntry),
+        ...(entries.length > limit && { nextCursor: `${last.timestamp}.${last.id}` })
+    });
+}
+
+/**
+ * DELETE: removes one entry (`id`) or the whole journal (`all=true`).
+ */
+async function deleteEntries(req, res, user) {
+    const { id, all } = req.query || {};
+    if (all === 'true') {
+        const deleted = await getJournalStore().deleteAll(user.userId);
+        logger.info("Deleted journal entries.", { userId: user.userId, deleted });
+        return res.status(200).json({ deleted });
+    }
+    if (typeof id !== 'string' || !/^[A-Za-z0-9-]{1,64}$/.test(id)) {
+        throw new RequestValidationError("Pass the entry to delete as 'id', or 'all=true' to delete the whole journal.");
+    }
+    if (!await getJournalStore().delete(user.userId, id)) {
+        throw new NotFoundError(`Journal entry ${id} not found.`);
+    }
+    res.status(200).json({ deleted: 1 });
+}
+
+// --- Vercel Serverless Function Handler ---
+export default async function handler(req, res) {
+    assignRequestId(req, res);
+    if (!allowMethods(req, res, ['GET', 'DELETE'])) return;
+
+    try {
+        const user = await authorizeRequest(req);
+        if (req.method === 'GET') {
+            await listEntries(req, res, user);
+        } else {
+            await deleteEntries(req, res, user);
+        }
+    } catch (error) {
+        sendErrorResponse(res, error, { context: "Error processing journal request." });
+    }
+}
@@ -0,0 +1,27 @@
+// File: api/metrics.js
+// Prometheus scrape endpoint: per-stage latency and outcome metrics for the
+// STT, Gemini and TTS calls (see lib/metrics.js). Requires `Authorization: Bearer <METRICS_TOKEN>`.
+import { authenticateMetricsRequest } from '../lib/auth.js';
+import { renderMetrics } from '../lib/metrics.js';
+import { getClientIp, enforceIpRateLimit } from '../lib/rate-limit.js';
+import {
+    assignRequestId,
+    allowMethods,
+    sendErrorResponse,
+} from '../lib/http.js';
+
+// --- Vercel Serverless Function Handler ---
+export default async function handler(req, res) {
+    assignRequestId(req, res);
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        await enforceIpRateLimit(getClientIp(req));
+        authenticateMetricsRequest(req);
+
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.status(200).end(renderMetrics());
+    } catch (error) {
+        sendErrorResponse(res, error, { context: "Error processing metrics request." });
+    }
+}
@@ -0,0 +1,51 @@
+// File: api/mood-trends.js
+// Aggregated mood trends from the caller's journal, for charting:
+//   GET ?from&to&groupBy=day|week&timeZone=Europe/Berlin
+// Defaults to the last 30 days, by day, in UTC.
+import { getJournalStore } from '../lib/journal-store.js';
+import { computeMoodTrends } from '../lib/mood-trends.js';
+import {
+    assignRequestId,
+    allowMethods,
+    authorizeRequest,
+    validateDateQuery,
+    validateTimeZone,
+    RequestValidationError,
+    sendErrorResponse,
+} from '../lib/http.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const GROUP_BY_VALUES = ['day', 'week'];
+
+// --- Vercel Serverless Function Handler ---
+export default async function handler(req, res) {
+    assignRequestId(req, res);
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const user = await authorizeRequest(req);
+
+        const query = req.query || {};
+        const to = validateDateQuery(query.to, 'to') ?? Date.now();
+        const from = validateDateQuery(query.from, 'from') ?? to - DEFAULT_RANGE_DAYS * DAY_MS;
+        const timeZone = validateTimeZone(query.timeZone) || 'UTC';
+        const groupBy = query.groupBy ?? 'day';
+        if (!GROUP_BY_VALUES.includes(groupBy)) {
+            throw new RequestValidationError(`Invalid 'groupBy'. Use one of: ${GROUP_BY_VALUES.join(', ')}.`);
+        }
+        if (from >= to || to - from > MAX_RANGE_DAYS * DAY_MS) {
+            throw new RequestValidationError(`'from' must be before 'to', and the range at most ${MAX_RANGE_DAYS} days.`);
+        }
+
+        const entries = await getJournalStore().list(user.userId, { from, to });
+        res.status(200).json({
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            ...computeMoodTrends(entries, { from, to, groupBy, timeZone }),
+        });
+    } catch (error) {
+        sendErrorResponse(res, error, { context: "Error processing mood trends request." });
+    }
+}
@@ -0,0 +1,66 @@
+// File: api/speak.js
+// Text-to-speech only: synthesizes text with a persona's emotion-based voice, e.g.
+// to replay one of its earlier replies, optionally followed by a guided exercise.
+// Returns the MP3 with its avatar lip-sync timeline (see lib/avatar.js).
+import { getGoogleTTS, measureSsmlBytes, MAX_SSML_BYTES } from '../lib/tts.js';
+import { exerciseTextLength } from '../lib/exercises.js';
+import { normalizeLanguageCode } from '../lib/languages.js';
+import { recordUsage } from '../lib/rate-limit.js';
+import { logger } from '../lib/logger.js';
+import {
+    assignRequestId,
+    allowMethods,
+    authorizeRequest,
+    getJsonBody,
+    validateLanguageCode,
+    validateText,
+    validateEmotion,
+    validateIntensity,
+    validateExerciseId,
+    validatePersonaId,
+    sendErrorResponse,
+    RequestValidationError,
+} from '../lib/http.js';
+
+// Google TTS accepts 5000 bytes of input; leave room for the SSML markup around the text,
+// and for a guided exercise's script when one is added.
+const MAX_SPEAK_TEXT_BYTES = 4500;
+const MAX_SPEAK_TEXT_WITH_EXERCISE_BYTES = 3500;
+
+// --- Vercel Serverless Function Handler ---
+export default async function handler(req, res) {
+    assignRequestId(req, res);
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    logger.info("Processing new speech synthesis request.");
+
+    try {
+        const user = await authorizeRequest(req);
+
+        // Expecting { "text": "...", "emotion"?: "sadness", "intensity"?: 0.7, "languageCode"?: "en-US", "personaId"?: "aura" }
+        // in the JSON request body; emotion and intensity are typically the reply's emotionAnalysis.
+        // exerciseId (from a /api/chat reply) adds that guided exercise after the text.
+        const body = getJsonBody(req);
+        const text = validateText(body.text, 'text', body.exerciseId === undefined ? MAX_SPEAK_TEXT_BYTES : MAX_SPEAK_TEXT_WITH_EXERCISE_BYTES);
+        const emotion = validateEmotion(body.emotion) || 'neutral';
+        const intensity = validateIntensity(body.intensity);
+        const languageCode = normalizeLanguageCode(validateLanguageCode(body.languageCode));
+        const persona = validatePersonaId(body.personaId);
+        const exercise = validateExerciseId(body.exerciseId, languageCode);
+        // Escaping and sentence pauses can still push the SSML past the TTS limit.
+        const ssmlBytes = measureSsmlBytes(text, emotion, persona, { intensity, exercise });
+        if (ssmlBytes > MAX_SSML_BYTES) {
+            throw new RequestValidationError(`Text is too long to synthesize: its SSML is ${ssmlBytes} bytes, over the ${MAX_SSML_BYTES}-byte limit of Google TTS. Send a shorter text.`);
+        }
+
+        const { audioBase64, avatarTimeline } = await getGoogleTTS(text, emotion, languageCode, persona, { intensity, exercise });
+        await recordUsage(user, { ttsCharacters: text.length + (exercise ? exerciseTextLength(exercise) : 0) });
+
+        res.status(200).json({
+            audioBase64: audioBase64, // The base64 encoded MP3 audio
+            avatarTimeline            // Lip-sync for the audio: { words, visemes, expressions } (see lib/avatar.js)
+        });
+    } catch (error) {
+        sendErrorResponse(res, error, { context: "Error processing speech synthesis request." });
+    }
+}
@@ -0,0 +1,51 @@
+// File: api/transcribe.js
+// Speech-to-text only: returns the transcript of an audio clip.
+import { transcribeAudio } from '../lib/stt.js';
+import { recordUsage, reserveAudioSeconds } from '../lib/rate-limit.js';
+import { logger } from '../lib/logger.js';
+import {
+    assignRequestId,
+    allowMethods,
+    authorizeRequest,
+    getJsonBody,
+    validateAudioRequest,
+    sendErrorResponse,
+} from '../lib/http.js';
+
+// --- Vercel Serverless Function Handler ---
+export default async function handler(req, res) {
+    assignRequestId(req, res);
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    logger.info("Processing new transcription request.");
+
+    try {
+        const user = await authorizeRequest(req);
+
+        // Same audio fields as process-voice:
+        // { "audioBase64": "...", "encoding"?, "sampleRateHertz"?, "languageCode"?, "alternativeLanguageCodes"? }
+        const body = getJsonBody(req);
+        const { audioBase64, sttConfig, duration } = validateAudioRequest(body);
+
+        // The clip must fit in the user's remaining daily audio quota.
+        const reservedSeconds = await reserveAudioSeconds(user, duration.seconds);
+        let transcription;
+        try {
+            transcription = await transcribeAudio(audioBase64, sttConfig, { duration });
+        } catch (error) {
+            await recordUsage(user, { audioSeconds: -reservedSeconds });
+            throw error;
+        }
+        const { transcript, languageCode, audioSeconds, durationSeconds, segments } = transcription;
+        await recordUsage(user, { audioSeconds: audioSeconds - reservedSeconds });
+
+        res.status(200).json({
+            transcript: transcript,     // Empty string for silence
+            languageCode: languageCode, // The language STT detected the user speaking
+            durationSeconds,            // Length of the recording
+            segments                    // [{ transcript, startSeconds, endSeconds, languageCode }]
+        });
+    } catch (error) {
+        sendErrorResponse(res, error, { context: "Error processing transcription request." });
+    }
+}
@@ -0,0 +1,67 @@
+// File: config/exercises.js
+// Guided exercises Gemini can start with the start_guided_exercise function.
+// Validated at startup by lib/exercises.js.
+//
+// Fields:
+// - id:          Stable identifier returned to clients ([a-z0-9_]).
+// - name:        Display name.
+// - description: When to use it; shown to Gemini in the function declaration.
+// - steps:       The script, spoken in order. Each step has:
+//                  text     What is said (English; exercises are only offered in English).
+//                  pauseMs  Silence after it, 0-10000 (Google TTS caps a break at 10 seconds).
+//                  cue      Optional visual cue for the app: inhale, hold, exhale or focus.
+
+/**
+ * Repeats a list of steps, e.g. one breathing cycle.
+ * @param {number} times
+ * @param {object[]} steps
+ * @returns {object[]}
+ */
+const repeat = (times, steps) => Array.from({ length: times }, () => steps).flat();
+
+export default [
+    {
+        id: 'box_breathing',
+        name: 'Box breathing',
+        description: 'Four rounds of breathing in, holding, breathing out and holding for four seconds each. For panic, a racing heart or acute anxiety.',
+        steps: [
+            { text: "Let's breathe together. Sit comfortably and let your shoulders drop.", pauseMs: 1500 },
+            ...repeat(4, [
+                { text: 'Breathe in.', pauseMs: 4000, cue: 'inhale' },
+                { text: 'Hold.', pauseMs: 4000, cue: 'hold' },
+                { text: 'Breathe out.', pauseMs: 4000, cue: 'exhale' },
+                { text: 'Hold.', pauseMs: 4000, cue: 'hold' },
+            ]),
+            { text: 'Well done. Let your breath return to its own rhythm.', pauseMs: 0 },
+        ],
+    },
+    {
+        id: 'grounding_54321',
+        name: '5-4-3-2-1 grounding',
+        description: 'Brings attention back to the present through the five senses. For panic, spiralling or racing thoughts, dissociation or overwhelm.',
+        steps: [
+            { text: "Let's bring your attention back to where you are, one sense at a time.", pauseMs: 1500 },
+            { text: 'Look around and name five things you can see.', pauseMs: 10000, cue: 'focus' },
+            { text: 'Now notice four things you can touch or feel.', pauseMs: 9000, cue: 'focus' },
+            { text: 'Listen for three things you can hear.', pauseMs: 8000, cue: 'focus' },
+            { text: 'Find two things you can smell.', pauseMs: 6000, cue: 'focus' },
+            { text: 'And one thing you can taste.', pauseMs: 5000, cue: 'focus' },
+            { text: 'You are here, and you are safe in this moment.', pauseMs: 0 },
+        ],
+    },
+    {
+        id: 'body_scan',
+        name: 'Body scan',
+        description: 'Slowly moves attention through the body, releasing tension. For stress, tension, restlessness or trouble sleeping.',
+        steps: [
+            { text: 'Close your eyes if that feels okay, and take a slow breath.', pauseMs: 3000, cue: 'inhale' },
+            { text: 'Bring your attention to your feet. Notice any weight or warmth.', pauseMs: 7000, cue: 'focus' },
+            { text: 'Move up to your legs, and let them grow heavy.', pauseMs: 7000, cue: 'focus' },
+            { text: 'Notice your belly rising and falling with each breath.', pauseMs: 7000, cue: 'focus' },
+            { text: 'Let your chest and shoulders soften.', pauseMs: 7000, cue: 'focus' },
+            { text: 'Relax your jaw, your forehead and the muscles around your eyes.', pauseMs: 7000, cue: 'focus' },
+            { text: 'Now feel your whole body at once, breathing gently.', pauseMs: 6000, cue: 'focus' },
+            { text: 'When you are ready, slowly open your eyes.', pauseMs: 0 },
+        ],
+    },
+];
@@ -0,0 +1,475 @@
+// File: lib/audio-format.js
+// Detects the audio container from its header bytes, resolves the Google STT
+// recognition config (encoding, sample rate, language) for a request, and measures
+// how long a clip is.
+
+import { DEFAULT_LANGUAGE_CODE, isValidLanguageCode } from './languages.js';
+
+// Encodings this backend accepts, as named by Google STT.
+export const SUPPORTED_ENCODINGS = ['MP3', 'LINEAR16', 'MULAW', 'FLAC', 'OGG_OPUS', 'WEBM_OPUS', 'AMR', 'AMR_WB'];
+
+// Encodings that carry no container header, so they can't be sniffed and the
+// client must name them (raw PCM / mu-law samples).
+const HEADERLESS_ENCODINGS = ['LINEAR16', 'MULAW'];
+
+// Opus is decoded at one of these rates; Google STT rejects anything else for *_OPUS.
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// Google STT accepts at most 3 alternative languages per request.
+const MAX_ALTERNATIVE_LANGUAGES = 3;
+
+// Alternative languages tried when the client doesn't send any, e.g. "hi-IN,es-ES".
+const DEFAULT_ALTERNATIVE_LANGUAGE_CODES = (process.env.STT_ALTERNATIVE_LANGUAGE_CODES || '')
+    .split(',').map(code => code.trim()).filter(Boolean).slice(0, MAX_ALTERNATIVE_LANGUAGES);
+
+// Enough base64 to cover every header we inspect (~3 KB decoded), so we don't
+// decode the whole clip just to sniff it.
+const SNIFF_BASE64_CHARS = 4096;
+
+/**
+ * @typedef {Object} DetectedAudioFormat
+ * @property {string} container - 'mp3' | 'wav' | 'ogg' | 'webm' | 'amr' | 'amr-wb' | 'flac'.
+ * @property {string|null} encoding - Matching Google STT encoding, or null if the codec inside is unsupported.
+ * @property {number|null} sampleRateHertz - Sample rate read from the header, if it has one.
+ * @property {string} [codec] - Codec detail for containers that can hold several (ogg, webm, wav).
+ */
+
+const startsWith = (buf, ascii, offset = 0) =>
+    buf.length >= offset + ascii.length && buf.toString('latin1', offset, offset + ascii.length) === ascii;
+
+// MPEG audio sample rates, indexed by [version bits][sample rate index].
+const MPEG_SAMPLE_RATES = {
+    0b11: [44100, 48000, 32000], // MPEG-1
+    0b10: [22050, 24000, 16000], // MPEG-2
+    0b00: [11025, 12000, 8000],  // MPEG-2.5
+};
+
+/**
+ * Reads the sample rate from the first MPEG frame header, skipping an ID3v2 tag.
+ * @param {Buffer} buf - The start of the MP3 data.
+ * @returns {number|null} - The sample rate, or null if the frame isn't within `buf`.
+ */
+function readMp3SampleRate(buf) {
+    let offset = 0;
+    if (startsWith(buf, 'ID3') && buf.length >= 10) {
+        // ID3v2 size is a 28-bit "syncsafe" integer (7 bits per byte) excluding the 10-byte header.
+        offset = 10 + ((buf[6] & 0x7F) << 21 | (buf[7] & 0x7F) << 14 | (buf[8] & 0x7F) << 7 | (buf[9] & 0x7F));
+    }
+    if (buf.length < offset + 3 || buf[offset] !== 0xFF || (buf[offset + 1] & 0xE0) !== 0xE0) {
+        return null;
+    }
+    const version = (buf[offset + 1] >> 3) & 0b11;
+    const rateIndex = (buf[offset + 2] >> 2) & 0b11;
+    return MPEG_SAMPLE_RATES[version]?.[rateIndex] || null;
+}
+
+/**
+ * Identifies the audio container from the first bytes of a clip.
+ * @param {Buffer} buf - The start of the audio data (a few KB is enough).
+ * @returns {DetectedAudioFormat|null} - The detected format, or null if unrecognized.
+ */
+export function detectAudioFormat(buf) {
+    if (!buf || buf.length < 4) return null;
+
+    // WAV: "RIFF" <size> "WAVE", then (usually) the "fmt " chunk at byte 12.
+    if (startsWith(buf, 'RIFF') && startsWith(buf, 'WAVE', 8)) {
+        let encoding = null;
+        let codec = 'unknown';
+        let sampleRateHertz = null;
+        if (startsWith(buf, 'fmt ', 12) && buf.length >= 36) {
+            const formatTag = buf.readUInt16LE(20);
+            const bitsPerSample = buf.readUInt16LE(34);
+            sampleRateHertz = buf.readUInt32LE(24);
+            if (formatTag === 1 && bitsPerSample === 16) {
+                encoding = 'LINEAR16';
+                codec = 'pcm_s16le';
+            } else if (formatTag === 7) {
+                encoding = 'MULAW';
+                codec = 'mulaw';
+            } else {
+                codec = `format_${formatTag}_${bitsPerSample}bit`;
+            }
+        }
+        return { container: 'wav', encoding, sampleRateHertz, codec };
+    }
+
+    // FLAC: "fLaC" followed by the STREAMINFO block; sample rate is 20 bits at byte 18.
+    if (startsWith(buf, 'fLaC')) {
+        const sampleRateHertz = buf.length >= 21 ? (buf[18] << 12) | (buf[19] << 4) | (buf[20] >> 4) : null;
+        return { container: 'flac', encoding: 'FLAC', sampleRateHertz: sampleRateHertz || null };
+    }
+
+    // AMR: "#!AMR-WB\n" (wideband, 16 kHz) or "#!AMR\n" (narrowband, 8 kHz).
+    if (startsWith(buf, '#!AMR-WB\n')) {
+        return { container: 'amr-wb', encoding: 'AMR_WB', sampleRateHertz: 16000 };
+    }
+    if (startsWith(buf, '#!AMR\n')) {
+        return { container: 'amr', encoding: 'AMR', sampleRateHertz: 8000 };
+    }
+
+    // OGG: "OggS" page; the first packet starts at byte 28 and names the codec.
+    if (startsWith(buf, 'OggS')) {
+        if (startsWith(buf, 'OpusHead', 28)) {
+            const inputRate = buf.length >= 44 ? buf.readUInt32LE(40) : 0;
+            const sampleRateHertz = OPUS_SAMPLE_RATES.includes(inputRate) ? inputRate : 48000;
+            return { container: 'ogg', encoding: 'OGG_OPUS', sampleRateHertz, codec: 'opus' };
+        }
+        return { container: 'ogg', encoding: null, sampleRateHertz: null, codec: startsWith(buf, '\x01vorbis', 28) ? 'vorbis' : 'unknown' };
+    }
+
+    // WebM/Matroska: EBML magic 1A 45 DF A3. The codec ID (e.g. "A_OPUS") sits in the
+    // track header a little further in, so search the sniffed prefix for it.
+    if (buf[0] === 0x1A && buf[1] === 0x45 && buf[2] === 0xDF && buf[3] === 0xA3) {
+        const header = buf.toString('latin1');
+        if (header.includes('A_OPUS')) {
+            // MediaRecorder always encodes Opus at 48 kHz.
+            return { container: 'webm', encoding: 'WEBM_OPUS', sampleRateHertz: 48000, codec: 'opus' };
+        }
+        return { container: 'webm', encoding: null, sampleRateHertz: null, codec: header.includes('A_VORBIS') ? 'vorbis' : 'unknown' };
+    }
+
+    // MP3: an ID3v2 tag, or an MPEG audio frame sync (11 set bits).
+    if (startsWith(buf, 'ID3') || (buf[0] === 0xFF && (buf[1] & 0xE0) === 0xE0)) {
+        return { container: 'mp3', encoding: 'MP3', sampleRateHertz: readMp3SampleRate(buf) };
+    }
+
+    return null;
+}
+
+// Typical bitrates (bytes per second) of speech recordings, for clips whose
+// duration we can't read from the data. Only an estimate.
+const NOMINAL_BYTES_PER_SECOND = {
+    MP3: 8000,        // 64 kbps
+    FLAC: 24000,      // ~60% of 16 kHz / 16-bit PCM
+    OGG_OPUS: 4000,   // 32 kbps
+    WEBM_OPUS: 4000,
+    AMR: 1600,        // 12.2 kbps mode, 32-byte frames every 20 ms
+    AMR_WB: 3050,     // 23.85 kbps mode, 61-byte frames every 20 ms
+};
+
+// Layer III bitrates in kbps, indexed by the 4-bit bitrate index.
+const MP3_BITRATES_KBPS = {
+    mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+/**
+ * @typedef {Object} AudioDuration
+ * @property {number} seconds - Duration of the clip.
+ * @property {boolean} exact - False when the duration was estimated from the size.
+ */
+
+/**
+ * @typedef {Object} PcmLayout
+ * @property {number} offset - Byte offset of the first sample.
+ * @property {number} length - Bytes of sample data.
+ * @property {number} channels - Interleaved channels.
+ * @property {number} blockAlign - Bytes per sample frame (all channels).
+ * @property {number} bytesPerSecond - Bytes of sample data per second.
+ */
+
+/**
+ * Returns the number of bytes a base64 string decodes to, without decoding it.
+ * @param {string} audioBase64 - Base64 data.
+ * @returns {number}
+ */
+export function decodedByteLength(audioBase64) {
+    const padding = audioBase64.endsWith('==') ? 2 : audioBase64.endsWith('=') ? 1 : 0;
+    return Math.max(0, Math.floor(audioBase64.length * 3 / 4) - padding);
+}
+
+/**
+ * Finds the sample data of PCM / mu-law audio: the "data" chunk of a WAV file, or
+ * the whole buffer for headerless samples (assumed mono).
+ * @param {Buffer} audio - The decoded clip.
+ * @param {{encoding: string, sampleRateHertz?: number}} config - Resolved STT config.
+ * @returns {PcmLayout|null} - Null for other encodings or a WAV file without a data chunk.
+ */
+export function locatePcmData(audio, { encoding, sampleRateHertz }) {
+    if (encoding !== 'LINEAR16' && encoding !== 'MULAW') return null;
+    const bytesPerSample = encoding === 'LINEAR16' ? 2 : 1;
+    if (!(startsWith(audio, 'RIFF') && startsWith(audio, 'WAVE', 8))) {
+        const rate = sampleRateHertz || 16000;
+        return { offset: 0, length: audio.length, channels: 1, blockAlign: bytesPerSample, bytesPerSecond: rate * bytesPerSample };
+    }
+
+    // Walk the RIFF chunks; recorders may put LIST/fact chunks before "data".
+    let channels = 1;
+    let rate = sampleRateHertz || 16000;
+    for (let offset = 12; offset + 8 <= audio.length;) {
+        const id = audio.toString('latin1', offset, offset + 4);
+        const size = audio.readUInt32LE(offset + 4);
+        if (id === 'fmt ' && offset + 24 <= audio.length) {
+            channels = audio.readUInt16LE(offset + 10) || 1;
+            rate = audio.readUInt32LE(offset + 12) || rate;
+        }
+        if (id === 'data') {
+            const start = offset + 8;
+            // Streaming recorders leave the size at 0 or 0xFFFFFFFF; the data then runs to the end.
+            const available = audio.length - start;
+            const length = size === 0 || size > available ? available : size;
+            const blockAlign = bytesPerSample * channels;
+            return { offset: start, length: length - (length % blockAlign), channels, blockAlign, bytesPerSecond: rate * blockAlign };
+        }
+        offset += 8 + size + (size % 2); // Chunks are padded to an even size
+    }
+    return null;
+}
+
+/**
+ * Reads an MP3's duration from its first frame: the frame count of a Xing/Info
+ * header (VBR files), or the size over the frame's bitrate (CBR files).
+ * @param {Buffer} audio - The decoded clip.
+ * @returns {number|null} - Seconds, or null if no frame header was found.
+ */
+function readMp3Duration(audio) {
+    let offset = 0;
+    if (startsWith(audio, 'ID3') && audio.length >= 10) {
+        offset = 10 + ((audio[6] & 0x7F) << 21 | (audio[7] & 0x7F) << 14 | (audio[8] & 0x7F) << 7 | (audio[9] & 0x7F));
+    }
+    if (audio.length < offset + 4 || audio[offset] !== 0xFF || (audio[offset + 1] & 0xE0) !== 0xE0) {
+        return null;
+    }
+    const version = (audio[offset + 1] >> 3) & 0b11;
+    const sampleRate = MPEG_SAMPLE_RATES[version]?.[(audio[offset + 2] >> 2) & 0b11];
+    const bitrateKbps = MP3_BITRATES_KBPS[version === 0b11 ? 'mpeg1' : 'mpeg2'][audio[offset + 2] >> 4];
+    if (!sampleRate) return null;
+
+    // The Xing/Info tag sits after the side information, whose size depends on version and channels.
+    const mono = (audio[offset + 3] >> 6) === 0b11;
+    const sideInfo = version === 0b11 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    const tag = offset + 4 + sideInfo;
+    if ((startsWith(audio, 'Xing', tag) || startsWith(audio, 'Info', tag)) && audio.length >= tag + 12 && (audio.readUInt32BE(tag + 4) & 1)) {
+        const samplesPerFrame = version === 0b11 ? 1152 : 576;
+        return audio.readUInt32BE(tag + 8) * samplesPerFrame / sampleRate;
+    }
+    return bitrateKbps ? (audio.length - offset) * 8 / (bitrateKbps * 1000) : null;
+}
+
+/**
+ * Reads an Ogg Opus clip's duration from the granule position of its last page.
+ * @param {Buffer} audio - The decoded clip.
+ * @returns {number|null} - Seconds, or null if there is no usable last page.
+ */
+function readOggOpusDuration(audio) {
+    const lastPage = audio.lastIndexOf('OggS', audio.length - 1, 'latin1');
+    if (lastPage < 0 || audio.length < lastPage + 14 || audio.length < 40) return null;
+    const granule = Number(audio.readBigUInt64LE(lastPage + 6));
+    const preSkip = audio.readUInt16LE(38); // From the OpusHead packet
+    // Opus granule positions always count 48 kHz samples, whatever the input rate was.
+    return granule > preSkip ? (granule - preSkip) / 48000 : null;
+}
+
+// Matroska/WebM element IDs (marker bits included) used to find the duration.
+const EBML_IDS = {
+    SEGMENT: 0x18538067,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    DURATION: 0x4489,
+    CLUSTER: 0x1F43B675,
+    CLUSTER_TIMECODE: 0xE7,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1,
+    SIMPLE_BLOCK: 0xA3,
+};
+// Elements whose children we walk into (their size may be "unknown" in live recordings).
+const EBML_CONTAINERS = [EBML_IDS.SEGMENT, EBML_IDS.INFO, EBML_IDS.CLUSTER, EBML_IDS.BLOCK_GROUP];
+// Length of the last Opus frame, which the last block's timecode doesn't cover.
+const OPUS_FRAME_SECONDS = 0.02;
+
+/**
+ * Reads an EBML variable-length integer.
+ * @param {Buffer} buf - The data.
+ * @param {number} offset - Where the integer starts.
+ * @param {boolean} keepMarker - True for element IDs (which keep their length marker bit).
+ * @returns {{value: number, length: number, unknown: boolean}|null} - `unknown` marks an all-ones size.
+ */
+function readVint(buf, offset, keepMarker) {
+    const first = buf[offset];
+    if (!first) return null;
+    const length = Math.clz32(first) - 23; // Leading zero bits of the byte, plus one
+    if (length > 8 || offset + length > buf.length) return null;
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === 0xFF >> length;
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buf[offset + i];
+        allOnes &&= buf[offset + i] === 0xFF;
+    }
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Reads an EBML unsigned integer element (1 to 8 bytes, big-endian).
+ * @param {Buffer} buf - The data.
+ * @param {number} offset - Where the element data starts.
+ * @param {number} size - Element data size.
+ * @returns {number|null} - The value, or null if the size isn't valid for an integer.
+ */
+function readEbmlUint(buf, offset, size) {
+    if (size < 1 || size > 8) return null;
+    let value = 0;
+    for (let i = 0; i < size; i++) value = value * 256 + buf[offset + i];
+    return value;
+}
+
+/**
+ * Reads a WebM clip's duration: the Duration element if the recorder wrote one
+ * (MediaRecorder doesn't), otherwise the timecode of the last audio block.
+ * Malformed elements (e.g. a zero-size timecode or a block too short for its
+ * header) make the duration unreadable, so it is estimated from the size instead.
+ * @param {Buffer} audio - The decoded clip.
+ * @returns {number|null} - Seconds, or null if no blocks were found or the data is malformed.
+ */
+function readWebmDuration(audio) {
+    let timecodeScale = 1000000; // Nanoseconds per timecode unit (the Matroska default)
+    let duration = null;
+    let clusterTimecode = 0;
+    let lastBlockTimecode = null;
+
+    for (let offset = 0; offset < audio.length;) {
+        const id = readVint(audio, offset, true);
+        const size = id && readVint(audio, offset + id.length, false);
+        if (!size) break;
+        const dataStart = offset + id.length + size.length;
+        if (EBML_CONTAINERS.includes(id.value)) {
+            offset = dataStart;
+            continue;
+        }
+        if (size.unknown || dataStart + size.value > audio.length) break;
+
+        if (id.value === EBML_IDS.TIMECODE_SCALE) {
+            timecodeScale = readEbmlUint(audio, dataStart, size.value);
+            if (!timecodeScale) return null;
+        } else if (id.value === EBML_IDS.DURATION) {
+            if (size.value !== 4 && size.value !== 8) return null;
+            duration = size.value === 8 ? audio.readDoubleBE(dataStart) : audio.readFloatBE(dataStart);
+        } else if (id.value === EBML_IDS.CLUSTER_TIMECODE) {
+            clusterTimecode = readEbmlUint(audio, dataStart, size.value);
+            if (clusterTimecode === null) return null;
+        } else if (id.value === EBML_IDS.SIMPLE_BLOCK || id.value === EBML_IDS.BLOCK) {
+            // Track number, then the 16-bit timecode relative to the cluster.
+            const track = readVint(audio, dataStart, false);
+            if (!track || track.length + 2 > size.value) return null;
+            lastBlockTimecode = clusterTimecode + audio.readInt16BE(dataStart + track.length);
+        }
+        offset = dataStart + size.value;
+    }
+
+    if (duration) return duration * timecodeScale / 1e9;
+    return lastBlockTimecode === null ? null : lastBlockTimecode * timecodeScale / 1e9 + OPUS_FRAME_SECONDS;
+}
+
+/**
+ * Measures a clip's duration. Read from the data for PCM / mu-law, FLAC, Ogg Opus,
+ * WebM and MP3; estimated from the size for AMR (and files whose headers are damaged).
+ * @param {Buffer} audio - The decoded clip.
+ * @param {{encoding: string, sampleRateHertz?: number}} config - Resolved STT config.
+ * @returns {AudioDuration}
+ */
+export function measureAudioDuration(audio, config) {
+    const { encoding } = config;
+    let seconds = null;
+    if (encoding === 'LINEAR16' || encoding === 'MULAW') {
+        const pcm = locatePcmData(audio, config);
+        seconds = pcm ? pcm.length / pcm.bytesPerSecond : 0;
+    } else if (encoding === 'FLAC' && startsWith(audio, 'fLaC') && audio.length >= 26) {
+        // STREAMINFO: total samples are 36 bits starting in byte 21 (0 = unknown).
+        const totalSamples = (audio[21] & 0x0F) * 2 ** 32 + audio.readUInt32BE(22);
+        const rate = (audio[18] << 12) | (audio[19] << 4) | (audio[20] >> 4);
+        if (totalSamples && rate) seconds = totalSamples / rate;
+    } else if (encoding === 'MP3') {
+        seconds = readMp3Duration(audio);
+    } else if (encoding === 'OGG_OPUS') {
+        seconds = readOggOpusDuration(audio);
+    } else if (encoding === 'WEBM_OPUS') {
+        seconds = readWebmDuration(audio);
+    }
+    if (seconds !== null) return { seconds, exact: true };
+
+    const bytesPerSecond = NOMINAL_BYTES_PER_SECOND[encoding] || NOMINAL_BYTES_PER_SECOND.MP3;
+    return { seconds: audio.length / bytesPerSecond, exact: false };
+}
+
+/**
+ * Resolves the STT config for a request from the optional client-supplied fields
+ * and the sniffed audio header. Client values win, but they must agree with the header.
+ * @param {string} audioBase64 - The base64 encoded audio data.
+ * @param {Object} [requested] - Optional fields from the request body.
+ * @param {string} [requested.encoding] - Google STT encoding name, e.g. 'WEBM_OPUS'.
+ * @param {number} [requested.sampleRateHertz] - Sample rate of the recording.
+ * @param {string} [requested.languageCode] - BCP-47 language code, e.g. 'en-US'.
+ * @param {string[]} [requested.alternativeLanguageCodes] - Up to 3 other languages the user may speak.
+ * @returns {{config: {encoding: string, sampleRateHertz?: number, languageCode: string, alternativeLanguageCodes?: string[]}, detected: DetectedAudioFormat|null} | {error: string}}
+ *   - The resolved config, or an `error` message suitable for a 400 response.
+ */
+export function resolveSttConfig(audioBase64, { encoding, sampleRateHertz, languageCode, alternativeLanguageCodes } = {}) {
+    // --- Validate client-supplied fields ---
+    if (encoding !== undefined) {
+        if (typeof encoding !== 'string' || !SUPPORTED_ENCODINGS.includes(encoding.toUpperCase())) {
+            return { error: `Unsupported 'encoding'. Supported encodings: ${SUPPORTED_ENCODINGS.join(', ')}.` };
+        }
+        encoding = encoding.toUpperCase();
+    }
+    if (sampleRateHertz !== undefined &&
+        (!Number.isInteger(sampleRateHertz) || sampleRateHertz < 8000 || sampleRateHertz > 48000)) {
+        return { error: "Invalid 'sampleRateHertz'. Use an integer between 8000 and 48000." };
+    }
+    if (languageCode !== undefined && !isValidLanguageCode(languageCode)) {
+        return { error: "Invalid 'languageCode'. Use a BCP-47 code such as 'en-US'." };
+    }
+    if (alternativeLanguageCodes !== undefined &&
+        (!Array.isArray(alternativeLanguageCodes) ||
+         alternativeLanguageCodes.length > MAX_ALTERNATIVE_LANGUAGES ||
+         !alternativeLanguageCodes.every(isValidLanguageCode))) {
+        return { error: `Invalid 'alternativeLanguageCodes'. Use an array of up to ${MAX_ALTERNATIVE_LANGUAGES} BCP-47 codes such as ['hi-IN', 'es-ES'].` };
+    }
+
+    // --- Sniff the container header ---
+    const head = Buffer.from(audioBase64.slice(0, SNIFF_BASE64_CHARS), 'base64');
+    const detected = detectAudioFormat(head);
+
+    if (!detected) {
+        if (!encoding) {
+            return { error: "Could not detect the audio format. Send MP3, WAV, OGG/Opus, WebM/Opus, AMR or FLAC, or set 'encoding' explicitly." };
+        }
+        if (!HEADERLESS_ENCODINGS.includes(encoding)) {
+            return { error: `Audio data does not look like ${encoding}. Check the recording format or the 'encoding' field.` };
+        }
+        if (!sampleRateHertz) {
+            return { error: `'sampleRateHertz' is required for headerless ${encoding} audio.` };
+        }
+    } else {
+        if (!detected.encoding) {
+            return { error: `Unsupported audio: ${detected.container} container with ${detected.codec} codec. Use Opus inside OGG/WebM, or 16-bit PCM inside WAV.` };
+        }
+        if (encoding && encoding !== detected.encoding) {
+            return { error: `'encoding' is ${encoding} but the audio data is ${detected.encoding} (${detected.container}).` };
+        }
+        if (sampleRateHertz && detected.sampleRateHertz && sampleRateHertz !== detected.sampleRateHertz) {
+            return { error: `'sampleRateHertz' is ${sampleRateHertz} but the ${detected.container} header says ${detected.sampleRateHertz}.` };
+        }
+    }
+
+    const resolvedEncoding = encoding || detected.encoding;
+    let resolvedRate = sampleRateHertz || detected?.sampleRateHertz || undefined;
+    if (!resolvedRate && resolvedEncoding === 'MP3') {
+        // Google requires a rate for MP3. If the first frame sits past a large ID3 tag
+        // (e.g. embedded artwork) we can't see it, so fall back to the old fixed setting.
+        resolvedRate = 16000;
+    }
+    if (resolvedEncoding.endsWith('_OPUS') && resolvedRate && !OPUS_SAMPLE_RATES.includes(resolvedRate)) {
+        return { error: `Opus audio must use one of these sample rates: ${OPUS_SAMPLE_RATES.join(', ')}.` };
+    }
+
+    const config = {
+        encoding: resolvedEncoding,
+        languageCode: languageCode || DEFAULT_LANGUAGE_CODE,
+    };
+    const alternatives = (alternativeLanguageCodes ?? DEFAULT_ALTERNATIVE_LANGUAGE_CODES)
+        .filter(code => code.toLowerCase() !== config.languageCode.toLowerCase());
+    if (alternatives.length) config.alternativeLanguageCodes = alternatives;
+    // Leave the rate out when unknown (WAV/FLAC without a readable header); Google reads it from the file.
+    if (resolvedRate) config.sampleRateHertz = resolvedRate;
+
+    return { config, detected };
+}
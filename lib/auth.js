@@ -0,0 +1,193 @@
+// File: lib/auth.js
+// Request authentication: static API keys or signed bearer tokens (JWT).
+//
+// Configuration (environment variables, read on every request):
+//   API_KEYS              Comma-separated "userId:key" pairs; clients send `X-API-Key: <key>`.
+//   AUTH_JWT_SECRET       Shared secret for HS256/HS384/HS512 tokens.
+//   AUTH_JWT_PUBLIC_KEY   PEM public key for RS256/RS384/RS512/ES256/ES384 tokens ("\n" escapes allowed).
+//   AUTH_JWT_ISSUER       Optional required `iss` claim.
+//   AUTH_JWT_AUDIENCE     Optional required `aud` claim.
+//   AUTH_DISABLED         "true" to skip authentication (local development only). Callers
+//                         are then identified by IP address for rate limiting.
+//   METRICS_TOKEN         Bearer token Prometheus sends to scrape /api/metrics.
+// With none of these set every request is refused, so a deployment that forgot to
+// configure auth fails closed.
+
+import { createHash, createHmac, createPublicKey, timingSafeEqual, verify } from 'crypto';
+import { AuthenticationError, ConfigurationError } from './errors.js';
+
+// Tolerated clock difference when checking `exp` and `nbf`.
+const CLOCK_SKEW_SECONDS = 30;
+
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const PUBLIC_KEY_ALGORITHMS = {
+    RS256: { hash: 'sha256', keyType: 'rsa' },
+    RS384: { hash: 'sha384', keyType: 'rsa' },
+    RS512: { hash: 'sha512', keyType: 'rsa' },
+    ES256: { hash: 'sha256', keyType: 'ec' },
+    ES384: { hash: 'sha384', keyType: 'ec' },
+};
+
+/**
+ * @typedef {Object} AuthenticatedUser
+ * @property {string} userId - Stable user identifier (API key owner or JWT `sub`).
+ * @property {'apiKey'|'jwt'|'none'} method - How the request was authenticated.
+ */
+
+const sha256 = value => createHash('sha256').update(value).digest();
+
+/**
+ * Parses API_KEYS into key-hash -> userId entries.
+ * @returns {Array<{keyHash: Buffer, userId: string}>}
+ */
+function readApiKeys() {
+    return (process.env.API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            if (separator <= 0 || separator === entry.length - 1) {
+                throw new ConfigurationError("Invalid API_KEYS entry. Use comma-separated 'userId:key' pairs.");
+            }
+            return { userId: entry.slice(0, separator), keyHash: sha256(entry.slice(separator + 1)) };
+        });
+}
+
+/**
+ * Looks up the owner of an API key. Hashing first gives equal-length buffers for
+ * the constant-time comparison.
+ * @param {string} apiKey - Key from the X-API-Key header.
+ * @returns {AuthenticatedUser}
+ * @throws {AuthenticationError}
+ */
+function authenticateApiKey(apiKey) {
+    const keyHash = sha256(apiKey);
+    const match = readApiKeys().find(entry => timingSafeEqual(entry.keyHash, keyHash));
+    if (!match) {
+        throw new AuthenticationError("Invalid API key.");
+    }
+    return { userId: match.userId, method: 'apiKey' };
+}
+
+const decodeSegment = segment => Buffer.from(segment, 'base64url');
+
+/**
+ * Verifies a compact JWS token and its registered claims.
+ * @param {string} token - The bearer token.
+ * @returns {AuthenticatedUser}
+ * @throws {AuthenticationError} - If the token is malformed, badly signed, expired or for someone else.
+ */
+function authenticateJwt(token) {
+    const secret = process.env.AUTH_JWT_SECRET;
+    const publicKeyPem = process.env.AUTH_JWT_PUBLIC_KEY?.replace(/\\n/g, '\n');
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new AuthenticationError("Malformed bearer token.");
+    }
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(decodeSegment(parts[0]).toString('utf8'));
+        claims = JSON.parse(decodeSegment(parts[1]).toString('utf8'));
+    } catch {
+        throw new AuthenticationError("Malformed bearer token.");
+    }
+
+    // The algorithm must match the configured key type, so a token can't pick a
+    // weaker check (e.g. "none", or HMAC keyed with the public key).
+    const signedInput = `${parts[0]}.${parts[1]}`;
+    const signature = decodeSegment(parts[2]);
+    let valid = false;
+    if (HMAC_ALGORITHMS[header?.alg] && secret) {
+        const expected = createHmac(HMAC_ALGORITHMS[header.alg], secret).update(signedInput).digest();
+        valid = expected.length === signature.length && timingSafeEqual(expected, signature);
+    } else if (PUBLIC_KEY_ALGORITHMS[header?.alg] && publicKeyPem) {
+        const { hash, keyType } = PUBLIC_KEY_ALGORITHMS[header.alg];
+        let key;
+        try {
+            key = createPublicKey(publicKeyPem);
+        } catch (error) {
+            throw new ConfigurationError(`AUTH_JWT_PUBLIC_KEY is not a valid PEM public key: ${error.message}`);
+        }
+        if (key.asymmetricKeyType === keyType) {
+            // JWS ECDSA signatures are raw r||s, not DER.
+            valid = verify(hash, Buffer.from(signedInput), { key, dsaEncoding: 'ieee-p1363' }, signature);
+        }
+    } else {
+        throw new AuthenticationError(`Unsupported bearer token algorithm: ${header?.alg}.`);
+    }
+    if (!valid) {
+        throw new AuthenticationError("Invalid bearer token signature.");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+        throw new AuthenticationError("Bearer token is expired or has no 'exp' claim.");
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+        throw new AuthenticationError("Bearer token is not valid yet.");
+    }
+    if (process.env.AUTH_JWT_ISSUER && claims.iss !== process.env.AUTH_JWT_ISSUER) {
+        throw new AuthenticationError("Bearer token has the wrong issuer.");
+    }
+    const audience = process.env.AUTH_JWT_AUDIENCE;
+    if (audience && !(Array.isArray(claims.aud) ? claims.aud.includes(audience) : claims.aud === audience)) {
+        throw new AuthenticationError("Bearer token has the wrong audience.");
+    }
+    if (typeof claims.sub !== 'string' || !claims.sub) {
+        throw new AuthenticationError("Bearer token has no 'sub' claim.");
+    }
+    return { userId: claims.sub, method: 'jwt' };
+}
+
+/**
+ * Authenticates a request from its X-API-Key or `Authorization: Bearer` header.
+ * @param {import('http').IncomingMessage} req - The incoming request.
+ * @param {string} clientIp - The caller's IP, used as the identity when auth is disabled.
+ * @returns {AuthenticatedUser}
+ * @throws {AuthenticationError} - If credentials are missing or invalid.
+ * @throws {ConfigurationError} - If no authentication method is configured.
+ */
+export function authenticateRequest(req, clientIp) {
+    if (process.env.AUTH_DISABLED === 'true') {
+        return { userId: `ip:${clientIp}`, method: 'none' };
+    }
+    const jwtConfigured = Boolean(process.env.AUTH_JWT_SECRET || process.env.AUTH_JWT_PUBLIC_KEY);
+    const apiKeysConfigured = Boolean(process.env.API_KEYS);
+    if (!jwtConfigured && !apiKeysConfigured) {
+        throw new ConfigurationError("Authentication is not configured. Set API_KEYS, AUTH_JWT_SECRET or AUTH_JWT_PUBLIC_KEY (or AUTH_DISABLED=true for local development).");
+    }
+
+    const apiKey = req.headers?.['x-api-key'];
+    if (typeof apiKey === 'string' && apiKey && apiKeysConfigured) {
+        return authenticateApiKey(apiKey);
+    }
+    const bearer = req.headers?.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    if (bearer && jwtConfigured) {
+        return authenticateJwt(bearer);
+    }
+    throw new AuthenticationError(
+        `Missing credentials. Send ${[apiKeysConfigured && 'an X-API-Key header', jwtConfigured && 'an Authorization: Bearer token'].filter(Boolean).join(' or ')}.`
+    );
+}
+
+/**
+ * Checks a metrics scrape's `Authorization: Bearer` token against METRICS_TOKEN.
+ * Metrics aren't per user, so they have their own token instead of API keys / JWTs.
+ * @param {import('http').IncomingMessage} req - The incoming request.
+ * @throws {AuthenticationError} - If the token is missing or wrong.
+ * @throws {ConfigurationError} - If METRICS_TOKEN isn't set.
+ */
+export function authenticateMetricsRequest(req) {
+    if (process.env.AUTH_DISABLED === 'true') return;
+    const token = process.env.METRICS_TOKEN;
+    if (!token) {
+        throw new ConfigurationError("Metrics are not configured. Set METRICS_TOKEN (or AUTH_DISABLED=true for local development).");
+    }
+    const bearer = req.headers?.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    if (!bearer || !timingSafeEqual(sha256(bearer), sha256(token))) {
+        throw new AuthenticationError("Missing or invalid metrics token.");
+    }
+}
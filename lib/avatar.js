@@ -0,0 +1,143 @@
+// File: lib/avatar.js
+// Lip-sync and expression data for the app's animated avatar: when each spoken
+// word starts (from the SSML <mark> timepoints TTS returns, see lib/tts.js), an
+// approximate viseme sequence derived from the spelling, and an expression cue
+// for the emotion the voice is speaking with.
+
+import { EMOTION_TAXONOMY, TYPICAL_INTENSITY } from './emotions.js';
+import { estimateSpeechMs } from './exercises.js';
+
+/**
+ * Mouth shapes, in the widely used 15-viseme set (Oculus / Ready Player Me):
+ * silence, bilabials (p b m), labiodentals (f v), dentals (th), alveolars (t d),
+ * velars (k g), postalveolars (ch j sh), sibilants (s z), nasals and l, r, and
+ * the vowels a, e, i, o, u.
+ */
+export const VISEMES = ['sil', 'PP', 'FF', 'TH', 'DD', 'kk', 'CH', 'SS', 'nn', 'RR', 'aa', 'E', 'ih', 'oh', 'ou'];
+
+/**
+ * The avatar expression for each taxonomy label. The label is the emotion the
+ * persona is responding to, so the faces answer it (e.g. a reassuring face for
+ * anxiety) rather than mirror it.
+ */
+export const EXPRESSION_CUES = Object.freeze({
+    joy: 'smile',
+    love: 'warm_smile',
+    calm: 'relaxed',
+    surprise: 'raised_brows',
+    neutral: 'neutral',
+    sadness: 'concerned',
+    anxiety: 'reassuring',
+    fear: 'reassuring',
+    anger: 'attentive',
+    disgust: 'concerned',
+});
+
+// Letter groups read as one sound, checked before single letters.
+const DIGRAPH_VISEMES = {
+    th: 'TH', ch: 'CH', sh: 'CH', ph: 'FF', wh: 'ou', ng: 'nn', ck: 'kk', qu: 'kk', oo: 'ou', ee: 'ih', ea: 'ih',
+};
+
+const LETTER_VISEMES = {
+    a: 'aa', b: 'PP', c: 'kk', d: 'DD', e: 'E', f: 'FF', g: 'kk', h: null, i: 'ih', j: 'CH', k: 'kk', l: 'nn', m: 'PP',
+    n: 'nn', o: 'oh', p: 'PP', q: 'kk', r: 'RR', s: 'SS', t: 'DD', u: 'ou', v: 'FF', w: 'ou', x: 'kk', y: 'ih', z: 'SS',
+};
+
+// Gaps between words at least this long close the mouth.
+const SILENCE_GAP_MS = 120;
+
+/**
+ * @typedef {Object} TimelineWord
+ * @property {string} text - The word as written (with its punctuation).
+ * @property {number} startMs - Offset of the word in the audio.
+ * @property {number} endMs - Estimated end of the word.
+ */
+
+/**
+ * @typedef {Object} AvatarTimeline
+ * @property {TimelineWord[]} words - Every spoken word, in order.
+ * @property {Array<{viseme: string, startMs: number}>} visemes - Mouth shapes; each holds until the next.
+ * @property {Array<{expression: string, emotion: string, weight: number, startMs: number, endMs: number}>} expressions
+ *   - Expression cues; weight is the emotion intensity (0-1).
+ */
+
+/**
+ * Approximates the visemes for a written word from its letters. English spelling
+ * rules only; words with no Latin letters (other scripts, numbers) get a single
+ * open mouth so the avatar still moves.
+ * @param {string} word
+ * @returns {string[]} - Viseme names from VISEMES, without immediate repeats.
+ */
+export function wordVisemes(word) {
+    const letters = word.normalize('NFD').toLowerCase().replace(/[^a-z]/g, '');
+    const visemes = [];
+    const push = viseme => {
+        if (viseme && visemes.at(-1) !== viseme) visemes.push(viseme);
+    };
+    for (let i = 0; i < letters.length; i++) {
+        const digraph = DIGRAPH_VISEMES[letters.slice(i, i + 2)];
+        if (digraph) {
+            push(digraph);
+            i++;
+        } else if (letters[i] === 'e' && i === letters.length - 1 && i > 1) {
+            // Silent final e ("take", "breathe").
+        } else {
+            push(LETTER_VISEMES[letters[i]]);
+            if (letters[i] === 'x') push('SS');
+        }
+    }
+    return visemes.length ? visemes : ['aa'];
+}
+
+/**
+ * Builds the avatar timeline for synthesized speech.
+ * @param {Array<{text: string, rate: number, mark: string|null}>} words - Spoken words in order, with
+ *   the speaking rate each is said at and the name of the <mark> before it, if any.
+ * @param {Array<{emotion: string, intensity?: number, wordCount: number}>} segments - Consecutive runs
+ *   of words spoken with one emotion (the reply, then a guided exercise in the calm voice).
+ * @param {Map<string, number>} markTimes - Offset of each <mark> in the audio, in milliseconds.
+ *   Words without a timed mark are placed after the previous word by their estimated length.
+ * @returns {AvatarTimeline}
+ */
+export function buildAvatarTimeline(words, segments, markTimes) {
+    const timedWords = [];
+    let cursorMs = 0;
+    for (const word of words) {
+        const markMs = word.mark !== null ? markTimes.get(word.mark) : undefined;
+        const previous = timedWords.at(-1);
+        const startMs = Math.max(markMs ?? cursorMs, previous?.startMs ?? 0);
+        if (previous && previous.endMs > startMs) previous.endMs = startMs;
+        const endMs = startMs + estimateSpeechMs(word.text, word.rate);
+        timedWords.push({ text: word.text, startMs, endMs });
+        cursorMs = endMs + estimateSpeechMs(' ', word.rate);
+    }
+
+    const visemes = [];
+    timedWords.forEach((word, index) => {
+        const shapes = wordVisemes(word.text);
+        const stepMs = (word.endMs - word.startMs) / shapes.length;
+        shapes.forEach((viseme, i) => visemes.push({ viseme, startMs: Math.round(word.startMs + i * stepMs) }));
+        const next = timedWords[index + 1];
+        if (!next || next.startMs - word.endMs >= SILENCE_GAP_MS) {
+            visemes.push({ viseme: 'sil', startMs: word.endMs });
+        }
+    });
+
+    const expressions = [];
+    let firstWord = 0;
+    for (const { emotion, intensity = TYPICAL_INTENSITY, wordCount } of segments) {
+        const segmentWords = timedWords.slice(firstWord, firstWord + wordCount);
+        firstWord += wordCount;
+        if (!segmentWords.length) continue;
+        const label = EMOTION_TAXONOMY[emotion] ? emotion : 'neutral';
+        expressions.push({
+            expression: EXPRESSION_CUES[label],
+            emotion: label,
+            weight: intensity,
+            startMs: expressions.at(-1)?.endMs ?? 0, // Each cue holds until the next one starts
+            endMs: segmentWords.at(-1).endMs,
+        });
+    }
+
+    return { words: timedWords, visemes, expressions };
+}
@@ -0,0 +1,121 @@
+// File: lib/conversation-store.js
+// Session storage for Aura's multi-turn conversation memory.
+// Lives outside /api so Vercel does not expose it as a route.
+
+// --- Configuration ---
+// How long a session is kept after its last turn (default: 30 minutes).
+export const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || 30 * 60 * 1000;
+// Max number of turns (user + model messages) sent verbatim to Gemini.
+export const MAX_HISTORY_TURNS = parseInt(process.env.MAX_HISTORY_TURNS, 10) || 12;
+// When history grows past MAX_HISTORY_TURNS, this many most recent turns are kept
+// verbatim and the older ones are folded into the running summary.
+export const HISTORY_TURNS_AFTER_SUMMARY = parseInt(process.env.HISTORY_TURNS_AFTER_SUMMARY, 10) || 6;
+
+/**
+ * @typedef {Object} ConversationTurn
+ * @property {'user'|'model'} role - Who produced the turn.
+ * @property {string} text - The user transcript or Aura's reply text.
+ * @property {string} [emotion] - Emotion label (model turns only).
+ * @property {number} [intensity] - Emotion intensity, 0-1 (model turns only).
+ * @property {string} [exerciseId] - Guided exercise that followed the reply (model turns only).
+ * @property {number} timestamp - Epoch millis when the turn was recorded.
+ */
+
+/**
+ * @typedef {Object} ConversationSession
+ * @property {string} summary - Rolling summary of turns that were dropped from `turns`.
+ * @property {ConversationTurn[]} turns - Most recent turns, oldest first.
+ * @property {number} updatedAt - Epoch millis of the last write.
+ */
+
+// --- Storage Interface ---
+/**
+ * Storage interface for conversation sessions. Implement this to back sessions
+ * with an external database (Redis, Firestore, ...). All methods are async.
+ * Keys are "<userId>:<sessionId>", so each user only sees their own sessions
+ * (see lib/pipeline.js).
+ *
+ * - get(sessionId)                 -> Promise<ConversationSession|null>
+ * - set(sessionId, session, ttlMs) -> Promise<void>
+ * - delete(sessionId)              -> Promise<void>
+ */
+export class ConversationStore {
+    async get(sessionId) { throw new Error("ConversationStore.get not implemented"); }
+    async set(sessionId, session, ttlMs) { throw new Error("ConversationStore.set not implemented"); }
+    async delete(sessionId) { throw new Error("ConversationStore.delete not implemented"); }
+}
+
+/**
+ * Default in-process store. Sessions live only as long as the serverless
+ * instance stays warm, which is fine for short conversations.
+ */
+export class InMemoryConversationStore extends ConversationStore {
+    constructor() {
+        super();
+        this.sessions = new Map(); // key -> { session, expiresAt }
+    }
+
+    async get(sessionId) {
+        const entry = this.sessions.get(sessionId);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+        return entry.session;
+    }
+
+    async set(sessionId, session, ttlMs = SESSION_TTL_MS) {
+        this.pruneExpired();
+        this.sessions.set(sessionId, { session, expiresAt: Date.now() + ttlMs });
+    }
+
+    async delete(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    // Drop expired sessions so an idle warm instance doesn't grow unbounded.
+    pruneExpired() {
+        const now = Date.now();
+        for (const [id, entry] of this.sessions) {
+            if (entry.expiresAt <= now) this.sessions.delete(id);
+        }
+    }
+}
+
+// --- Active Store ---
+let activeStore = new InMemoryConversationStore();
+
+/**
+ * Returns the store used by the handlers.
+ * @returns {ConversationStore}
+ */
+export function getConversationStore() {
+    return activeStore;
+}
+
+/**
+ * Replaces the store used by the handlers (e.g. with a database-backed one).
+ * @param {ConversationStore} store - The store implementation to use.
+ */
+export function setConversationStore(store) {
+    activeStore = store;
+}
+
+// --- Helpers ---
+/**
+ * Returns an empty session object.
+ * @returns {ConversationSession}
+ */
+export function createEmptySession() {
+    return { summary: '', turns: [], updatedAt: Date.now() };
+}
+
+/**
+ * Checks that a client-supplied session ID is safe to use as a storage key.
+ * @param {unknown} sessionId - Value from the request body.
+ * @returns {boolean} - True if the ID is a 1-128 char string of [A-Za-z0-9_-].
+ */
+export function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(sessionId);
+}
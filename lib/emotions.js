@@ -0,0 +1,142 @@
+// File: lib/emotions.js
+// The fixed emotion taxonomy and the structured emotion analysis Gemini returns
+// alongside each reply. Persona label lists (config/personas.js) are subsets of
+// the taxonomy, so every label the app sees is one of these.
+
+import { LlmResponseError } from './errors.js';
+
+/**
+ * Every emotion label the app knows, with its typical position on the
+ * valence (-1 unpleasant .. 1 pleasant) and arousal (0 calm .. 1 activated) axes.
+ * The positions fill in the analysis when Gemini didn't produce one (streamed
+ * replies, the crisis reply).
+ */
+export const EMOTION_TAXONOMY = Object.freeze({
+    joy: { valence: 0.8, arousal: 0.6 },
+    love: { valence: 0.8, arousal: 0.4 },
+    calm: { valence: 0.5, arousal: 0.15 },
+    surprise: { valence: 0.2, arousal: 0.8 },
+    neutral: { valence: 0, arousal: 0.3 },
+    sadness: { valence: -0.7, arousal: 0.25 },
+    anxiety: { valence: -0.6, arousal: 0.75 },
+    fear: { valence: -0.8, arousal: 0.85 },
+    anger: { valence: -0.7, arousal: 0.85 },
+    disgust: { valence: -0.6, arousal: 0.5 },
+});
+
+export const EMOTION_LABELS = Object.freeze(Object.keys(EMOTION_TAXONOMY));
+
+// Intensity assumed when the model gives none; the persona prosody is tuned for it.
+export const TYPICAL_INTENSITY = 0.5;
+
+// At most this many secondary emotions are kept.
+const MAX_SECONDARY_EMOTIONS = 3;
+
+/**
+ * @typedef {Object} EmotionAnalysis
+ * @property {string} emotion - Primary emotion label.
+ * @property {number} intensity - How strongly the primary emotion is felt, 0-1.
+ * @property {number|null} confidence - The model's confidence in the label, 0-1 (null when not analyzed).
+ * @property {string[]} secondaryEmotions - Other emotions present, strongest first.
+ * @property {number} valence - -1 (unpleasant) to 1 (pleasant).
+ * @property {number} arousal - 0 (calm) to 1 (activated).
+ */
+
+/**
+ * Builds the Gemini responseSchema for a reply with its emotion analysis.
+ * @param {string[]} labels - The persona's emotion labels.
+ * @returns {object} - An OpenAPI-subset schema for generationConfig.responseSchema.
+ */
+export function buildEmotionReplySchema(labels) {
+    const label = { type: 'STRING', enum: labels };
+    return {
+        type: 'OBJECT',
+        properties: {
+            emotion: label,
+            intensity: { type: 'NUMBER', minimum: 0, maximum: 1 },
+            confidence: { type: 'NUMBER', minimum: 0, maximum: 1 },
+            secondaryEmotions: { type: 'ARRAY', items: label, maxItems: MAX_SECONDARY_EMOTIONS },
+            valence: { type: 'NUMBER', minimum: -1, maximum: 1 },
+            arousal: { type: 'NUMBER', minimum: 0, maximum: 1 },
+            reply: { type: 'STRING' },
+        },
+        required: ['emotion', 'intensity', 'confidence', 'secondaryEmotions', 'valence', 'arousal', 'reply'],
+        propertyOrdering: ['emotion', 'intensity', 'confidence', 'secondaryEmotions', 'valence', 'arousal', 'reply'],
+    };
+}
+
+/**
+ * The analysis for a label that wasn't analyzed by the model: typical intensity
+ * and the label's taxonomy position.
+ * @param {string} emotion - A taxonomy label.
+ * @param {number} [intensity] - Intensity, if known.
+ * @returns {EmotionAnalysis}
+ */
+export function defaultEmotionAnalysis(emotion, intensity = TYPICAL_INTENSITY) {
+    const { valence, arousal } = EMOTION_TAXONOMY[emotion] || EMOTION_TAXONOMY.neutral;
+    return { emotion, intensity, confidence: null, secondaryEmotions: [], valence, arousal };
+}
+
+/**
+ * Reads a number field, clamping it into its range. The schema already asks for
+ * the range, so a value just outside it is rounding, not a bad response.
+ * @param {object} result - The parsed model output.
+ * @param {string} field - Field name.
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ * @throws {LlmResponseError} - If the field is missing or not a number.
+ */
+function readScore(result, field, min, max) {
+    const value = result[field];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new LlmResponseError(`Invalid format in parsed Gemini JSON response: '${field}' must be a number.`);
+    }
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Validates the model's structured reply against the taxonomy and the persona's labels.
+ * @param {unknown} result - The parsed JSON from Gemini.
+ * @param {string[]} labels - The persona's emotion labels.
+ * @returns {{analysis: EmotionAnalysis, reply: string}}
+ * @throws {LlmResponseError} - If a field is missing or has the wrong type, or the
+ *   primary emotion is not in the taxonomy.
+ */
+export function parseEmotionReply(result, labels) {
+    if (!result || typeof result !== 'object' || typeof result.emotion !== 'string' || typeof result.reply !== 'string') {
+        throw new LlmResponseError("Invalid format in parsed Gemini JSON response.");
+    }
+    const reply = result.reply.trim();
+    if (!reply) {
+        throw new LlmResponseError("Gemini response is empty or missing text content.");
+    }
+
+    const label = result.emotion.trim().toLowerCase();
+    if (!EMOTION_LABELS.includes(label)) {
+        throw new LlmResponseError(`Gemini returned an emotion outside the taxonomy: '${label}'.`);
+    }
+    // A taxonomy label the persona doesn't use: fall back to its neutral voice.
+    const emotion = labels.includes(label) ? label : 'neutral';
+
+    if (!Array.isArray(result.secondaryEmotions)) {
+        throw new LlmResponseError("Invalid format in parsed Gemini JSON response: 'secondaryEmotions' must be an array.");
+    }
+    const secondaryEmotions = [...new Set(result.secondaryEmotions
+        .filter(item => typeof item === 'string')
+        .map(item => item.trim().toLowerCase())
+        .filter(item => item !== emotion && labels.includes(item)))]
+        .slice(0, MAX_SECONDARY_EMOTIONS);
+
+    return {
+        analysis: {
+            emotion,
+            intensity: readScore(result, 'intensity', 0, 1),
+            confidence: readScore(result, 'confidence', 0, 1),
+            secondaryEmotions,
+            valence: readScore(result, 'valence', -1, 1),
+            arousal: readScore(result, 'arousal', 0, 1),
+        },
+        reply,
+    };
+}
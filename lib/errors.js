@@ -0,0 +1,169 @@
+// File: lib/errors.js
+// Error classes the API routes turn into HTTP responses. Each carries an HTTP
+// `statusCode` and a stable, machine-readable `errorCode` for clients.
+//
+// Error codes:
+//   INVALID_REQUEST            400  The request body or query is invalid.
+//   UNAUTHENTICATED            401  Missing or invalid API key / bearer token.
+//   NOT_FOUND                  404  The requested item (e.g. a journal entry) doesn't exist.
+//   METHOD_NOT_ALLOWED         405  Wrong HTTP method.
+//   AUDIO_TOO_LARGE            413  The audio is bigger than MAX_AUDIO_BYTES.
+//   AUDIO_TOO_LONG             413  The audio is longer than MAX_AUDIO_SECONDS.
+//   RATE_LIMITED               429  Too many requests from this user or IP; see Retry-After.
+//   DAILY_QUOTA_EXCEEDED       429  The user's daily audio/speech quota is used up; see Retry-After.
+//   <STAGE>_QUOTA_EXCEEDED     429  An upstream API (STT, LLM, TTS) rejected us for quota/rate limits.
+//   <STAGE>_FAILED             502  An upstream API call failed.
+//   LLM_INVALID_RESPONSE       502  Gemini answered, but not in the format we asked for.
+//   LLM_RESPONSE_BLOCKED       502  Gemini stopped without a reply (e.g. a safety block).
+//   <STAGE>_TIMEOUT            504  An upstream API call did not finish in time.
+//   CONFIGURATION_ERROR        500  The deployment is missing configuration (e.g. an API key).
+//   INTERNAL_ERROR             500  Anything else.
+
+/**
+ * Base class for errors with a known HTTP status and error code.
+ */
+export class AppError extends Error {
+    /**
+     * @param {string} message - Message sent to the client.
+     * @param {Object} options
+     * @param {number} options.statusCode - HTTP status.
+     * @param {string} options.errorCode - Stable error code.
+     * @param {boolean} [options.retryable] - Whether the same call may succeed if retried.
+     * @param {unknown} [options.cause] - The underlying error.
+     */
+    constructor(message, { statusCode, errorCode, retryable = false, cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.errorCode = errorCode;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * Thrown by the request validators in lib/http.js; routes answer it with a 400.
+ */
+export class RequestValidationError extends AppError {
+    constructor(message) {
+        super(message, { statusCode: 400, errorCode: 'INVALID_REQUEST' });
+    }
+}
+
+/**
+ * The request has no valid credentials; routes answer it with a 401.
+ */
+export class AuthenticationError extends AppError {
+    constructor(message) {
+        super(message, { statusCode: 401, errorCode: 'UNAUTHENTICATED' });
+    }
+}
+
+/**
+ * The requested item doesn't exist (or belongs to someone else).
+ */
+export class NotFoundError extends AppError {
+    constructor(message) {
+        super(message, { statusCode: 404, errorCode: 'NOT_FOUND' });
+    }
+}
+
+/**
+ * The request is too big to process (e.g. an over-long recording); routes answer it with a 413.
+ */
+export class PayloadTooLargeError extends AppError {
+    /**
+     * @param {string} message - Message sent to the client.
+     * @param {string} errorCode - Which limit was exceeded, e.g. 'AUDIO_TOO_LONG'.
+     */
+    constructor(message, errorCode) {
+        super(message, { statusCode: 413, errorCode });
+    }
+}
+
+/**
+ * The caller hit a rate limit or its daily quota. `retryAfterSeconds` is sent as Retry-After.
+ */
+export class RateLimitError extends AppError {
+    /**
+     * @param {string} message - Message sent to the client.
+     * @param {Object} options
+     * @param {number} options.retryAfterSeconds - When the caller may try again.
+     * @param {boolean} [options.quota] - True for the daily quota, false for the request rate.
+     */
+    constructor(message, { retryAfterSeconds, quota = false }) {
+        super(message, { statusCode: 429, errorCode: quota ? 'DAILY_QUOTA_EXCEEDED' : 'RATE_LIMITED' });
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+/**
+ * Missing or invalid server configuration.
+ */
+export class ConfigurationError extends AppError {
+    constructor(message) {
+        super(message, { statusCode: 500, errorCode: 'CONFIGURATION_ERROR' });
+    }
+}
+
+/**
+ * An upstream API call failed. `stage` is 'stt', 'llm' or 'tts'.
+ */
+export class UpstreamError extends AppError {
+    /**
+     * @param {string} stage - Pipeline stage that failed.
+     * @param {string} message - Message sent to the client.
+     * @param {Object} [options]
+     * @param {boolean} [options.retryable] - Whether the failure looks transient.
+     * @param {string} [options.errorCode] - Overrides the default `<STAGE>_FAILED`.
+     * @param {unknown} [options.cause] - The underlying error.
+     */
+    constructor(stage, message, { retryable = false, errorCode, cause, statusCode = 502 } = {}) {
+        super(message, { statusCode, errorCode: errorCode || `${stage.toUpperCase()}_FAILED`, retryable, cause });
+        this.stage = stage;
+    }
+}
+
+/**
+ * An upstream API rejected the call for quota or rate limits. Not retried: the
+ * quota won't come back within the backoff, and each retry spends more of it.
+ */
+export class UpstreamQuotaError extends UpstreamError {
+    constructor(stage, message, { cause } = {}) {
+        super(stage, message, { statusCode: 429, errorCode: `${stage.toUpperCase()}_QUOTA_EXCEEDED`, cause });
+    }
+}
+
+/**
+ * An upstream API call did not finish within its stage timeout.
+ */
+export class UpstreamTimeoutError extends UpstreamError {
+    constructor(stage, message, { cause } = {}) {
+        super(stage, message, { statusCode: 504, errorCode: `${stage.toUpperCase()}_TIMEOUT`, retryable: true, cause });
+    }
+}
+
+/**
+ * Gemini answered, but the answer can't be used (wrong format, or blocked).
+ */
+export class LlmResponseError extends UpstreamError {
+    /**
+     * @param {string} message - Message sent to the client.
+     * @param {Object} [options]
+     * @param {boolean} [options.blocked] - True if generation stopped without text (e.g. SAFETY).
+     */
+    constructor(message, { blocked = false } = {}) {
+        super('llm', message, { errorCode: blocked ? 'LLM_RESPONSE_BLOCKED' : 'LLM_INVALID_RESPONSE' });
+    }
+}
+
+/**
+ * Maps any error to its HTTP status and error code.
+ * @param {Error} error - The error.
+ * @returns {{statusCode: number, errorCode: string}}
+ */
+export function describeError(error) {
+    if (error instanceof AppError) {
+        return { statusCode: error.statusCode, errorCode: error.errorCode };
+    }
+    return { statusCode: 500, errorCode: 'INTERNAL_ERROR' };
+}
@@ -0,0 +1,170 @@
+// File: lib/exercises.js
+// Loads and validates the guided exercise library (config/exercises.js), and
+// works out when each step is spoken so the app can show a matching visual guide.
+// Validation runs when this module is first imported, like the persona config.
+
+import defaultExercises from '../config/exercises.js';
+import { resolveProsody, resolveExerciseProsody } from './personas.js';
+
+export const EXERCISE_CUES = ['inhale', 'hold', 'exhale', 'focus'];
+
+// Longest <break> Google TTS honours.
+const MAX_PAUSE_MS = 10000;
+
+// Silence between the reply that introduces an exercise and its first step.
+export const EXERCISE_LEAD_IN_MS = 1000;
+
+// Speaking speed at rate 1.0, used to estimate how long a step takes to say.
+const CHARACTERS_PER_SECOND = 14;
+
+/**
+ * @typedef {Object} ExerciseStep
+ * @property {string} text - What is said.
+ * @property {number} pauseMs - Silence after it.
+ * @property {string} [cue] - Visual cue: inhale, hold, exhale or focus.
+ */
+
+/**
+ * @typedef {Object} Exercise
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {ExerciseStep[]} steps
+ */
+
+/**
+ * @typedef {Object} ExerciseTiming
+ * @property {string} id - Exercise ID.
+ * @property {string} name - Display name.
+ * @property {number} durationMs - Estimated length of the whole reply audio, exercise included.
+ * @property {Array<{index: number, text: string, cue: string|null, startMs: number, speechMs: number, pauseMs: number}>} steps
+ *   - Each step's estimated start in the reply audio, how long saying it takes, and the pause after it.
+ */
+
+/**
+ * Checks an exercise list and returns every problem found.
+ * @param {unknown} exercises - The loaded config.
+ * @returns {string[]} - Human-readable problems; empty if the config is valid.
+ */
+export function validateExercises(exercises) {
+    if (!Array.isArray(exercises)) {
+        return ['Exercise config must export an array.'];
+    }
+    const problems = [];
+    const seen = new Set();
+    exercises.forEach((exercise, index) => {
+        const where = `exercise[${index}]${exercise?.id ? ` ("${exercise.id}")` : ''}`;
+        if (!exercise || typeof exercise !== 'object') {
+            problems.push(`${where} must be an object.`);
+            return;
+        }
+        if (typeof exercise.id !== 'string' || !/^[a-z0-9_]{1,32}$/.test(exercise.id)) {
+            problems.push(`${where}: 'id' must be 1-32 characters from a-z, 0-9 and '_'.`);
+        } else if (seen.has(exercise.id)) {
+            problems.push(`${where}: duplicate id.`);
+        } else {
+            seen.add(exercise.id);
+        }
+        for (const field of ['name', 'description']) {
+            if (typeof exercise[field] !== 'string' || !exercise[field].trim()) {
+                problems.push(`${where}: '${field}' must be a non-empty string.`);
+            }
+        }
+        if (!Array.isArray(exercise.steps) || exercise.steps.length === 0) {
+            problems.push(`${where}: 'steps' must be a non-empty array.`);
+            return;
+        }
+        exercise.steps.forEach((step, stepIndex) => {
+            const stepWhere = `${where}: steps[${stepIndex}]`;
+            if (typeof step?.text !== 'string' || !step.text.trim()) {
+                problems.push(`${stepWhere}.text must be a non-empty string.`);
+            }
+            if (!Number.isInteger(step?.pauseMs) || step.pauseMs < 0 || step.pauseMs > MAX_PAUSE_MS) {
+                problems.push(`${stepWhere}.pauseMs must be an integer from 0 to ${MAX_PAUSE_MS}.`);
+            }
+            if (step?.cue !== undefined && !EXERCISE_CUES.includes(step.cue)) {
+                problems.push(`${stepWhere}.cue must be one of ${EXERCISE_CUES.join(', ')}.`);
+            }
+        });
+    });
+    return problems;
+}
+
+// --- Startup Validation ---
+const problems = validateExercises(defaultExercises);
+if (problems.length) {
+    throw new Error(`FATAL: Invalid exercise config:\n- ${problems.join('\n- ')}`);
+}
+const exercisesById = new Map(defaultExercises.map(exercise => [exercise.id, exercise]));
+
+/**
+ * Returns an exercise by ID.
+ * @param {string} exerciseId
+ * @returns {Exercise|null}
+ */
+export function getExercise(exerciseId) {
+    return exercisesById.get(exerciseId) || null;
+}
+
+/**
+ * Lists the exercises Gemini may start in a language. The scripts are English,
+ * so other languages get none.
+ * @param {string} languageCode - Language the user speaks.
+ * @returns {Exercise[]}
+ */
+export function getExercisesFor(languageCode) {
+    return /^en(-|$)/i.test(languageCode) ? [...exercisesById.values()] : [];
+}
+
+/**
+ * Counts the characters TTS speaks for an exercise (for the usage quota).
+ * @param {Exercise} exercise
+ * @returns {number}
+ */
+export function exerciseTextLength(exercise) {
+    return exercise.steps.reduce((sum, step) => sum + step.text.length, 0);
+}
+
+/**
+ * Estimates how long TTS takes to say a text.
+ * @param {string} text
+ * @param {number} rate - Speaking rate (1.0 = normal).
+ * @returns {number} - Milliseconds.
+ */
+export function estimateSpeechMs(text, rate) {
+    return Math.round(text.length / CHARACTERS_PER_SECOND / rate * 1000);
+}
+
+/**
+ * Works out when each step of an exercise is spoken in the reply audio (see
+ * getGoogleTTS): the reply first, then EXERCISE_LEAD_IN_MS of silence, then the
+ * steps with their pauses. Pauses are exact; speech lengths are estimated from
+ * the text and speaking rate.
+ * @param {Exercise} exercise - The exercise.
+ * @param {Object} reply - The reply spoken before it.
+ * @param {string} reply.text - Reply text.
+ * @param {string} reply.emotion - Its emotion label.
+ * @param {number} [reply.intensity] - Its emotion intensity.
+ * @param {import('./personas.js').Persona} persona - Persona speaking.
+ * @returns {ExerciseTiming}
+ */
+export function buildExerciseTiming(exercise, { text, emotion, intensity }, persona) {
+    const replyProsody = resolveProsody(persona, emotion, intensity);
+    const sentenceBreaks = (text.match(/[.!?]\s+(?=\S)/g) || []).length;
+    let elapsedMs = estimateSpeechMs(text, replyProsody.rate) + sentenceBreaks * replyProsody.sentencePauseMs + EXERCISE_LEAD_IN_MS;
+
+    const { rate } = resolveExerciseProsody(persona);
+    const steps = exercise.steps.map((step, index) => {
+        const timing = {
+            index,
+            text: step.text,
+            cue: step.cue ?? null,
+            startMs: elapsedMs,
+            speechMs: estimateSpeechMs(step.text, rate),
+            pauseMs: step.pauseMs,
+        };
+        elapsedMs += timing.speechMs + step.pauseMs;
+        return timing;
+    });
+    return { id: exercise.id, name: exercise.name, durationMs: elapsedMs, steps };
+}
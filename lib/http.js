@@ -0,0 +1,506 @@
+// File: lib/http.js
+// Request validation and error handling shared by the API routes.
+//
+// Configuration (environment variables, read on every request; 0 turns a limit off):
+//   MAX_AUDIO_BYTES     largest accepted recording, decoded (default 10485760, Google's
+//                       limit for inline audio). Vercel also caps request bodies at 4.5 MB.
+//                       Raw and multipart uploads are cut off as soon as they pass it.
+//   MAX_AUDIO_SECONDS   longest accepted recording (default 600)
+
+import { randomUUID } from 'crypto';
+import { isValidSessionId } from './conversation-store.js';
+import { resolveSttConfig, decodedByteLength, measureAudioDuration } from './audio-format.js';
+import { isValidLanguageCode } from './languages.js';
+import { getPersona, getPersonaIds } from './personas.js';
+import { getExercise, getExercisesFor } from './exercises.js';
+import { RequestValidationError, PayloadTooLargeError, UpstreamError, describeError } from './errors.js';
+import { authenticateRequest } from './auth.js';
+import { getClientIp, enforceIpRateLimit, enforceUserLimits } from './rate-limit.js';
+import { parseMediaType, parseMultipart, buildMultipart } from './multipart.js';
+import { isValidTimeZone } from './mood-trends.js';
+import { logger, setLogContext } from './logger.js';
+
+// --- Validation ---
+// RequestValidationError is defined with the other error classes; re-exported
+// here because the routes import it alongside the validators.
+export { RequestValidationError };
+
+// --- Request ID ---
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Assigns the request its ID: the caller's X-Request-Id when it looks sane, a new
+ * UUID otherwise. The ID is echoed in the X-Request-Id response header, in every
+ * error body and in the request's log lines, so users can quote it when reporting a problem.
+ * @param {import('http').IncomingMessage} req - The incoming request.
+ * @param {import('http').ServerResponse} res - The response.
+ * @returns {string} - The request ID.
+ */
+export function assignRequestId(req, res) {
+    const incoming = req.headers?.['x-request-id'];
+    const requestId = typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, requestId);
+    setLogContext({ requestId }); // Added to every log line for the rest of the request
+    return requestId;
+}
+
+// --- Access Control ---
+/**
+ * Authenticates the caller and applies the rate limits: per IP first (so failed
+ * logins count too), then per user, including the daily quota.
+ * @param {import('http').IncomingMessage} req - The incoming request.
+ * @returns {Promise<import('./auth.js').AuthenticatedUser>}
+ * @throws {import('./errors.js').AuthenticationError|import('./errors.js').RateLimitError}
+ */
+export async function authorizeRequest(req) {
+    const clientIp = getClientIp(req);
+    await enforceIpRateLimit(clientIp);
+    const user = authenticateRequest(req, clientIp);
+    await enforceUserLimits(user);
+    return user;
+}
+
+/**
+ * Answers 405 (with an Allow header) unless the request uses one of `methods`.
+ * @param {import('http').IncomingMessage} req - The incoming request.
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {string[]} [methods] - Allowed methods.
+ * @returns {boolean} - True if the route should continue.
+ */
+export function allowMethods(req, res, methods = ['POST']) {
+    if (methods.includes(req.method)) return true;
+    logger.info("Method not allowed.", { method: req.method });
+    // Set Allow header for 405 responses
+    res.setHeader('Allow', methods);
+    res.status(405).json({
+        message: `Method ${req.method} Not Allowed`,
+        errorCode: 'METHOD_NOT_ALLOWED',
+        requestId: res.getHeader(REQUEST_ID_HEADER),
+    });
+    return false;
+}
+
+/**
+ * Returns the parsed JSON body, or throws if there isn't one.
+ * @param {{body?: unknown}} req - The incoming request (body parsed by Vercel).
+ * @returns {object}
+ * @throws {RequestValidationError}
+ */
+export function getJsonBody(req) {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        throw new RequestValidationError("Request body must be a JSON object.");
+    }
+    return req.body;
+}
+
+// --- Audio Uploads ---
+// Request fields that describe an upload, and the headers that carry them for raw
+// audio bodies. Multipart uploads send them as form fields named like the JSON keys.
+const AUDIO_METADATA_HEADERS = {
+    sessionId: 'x-session-id',
+    personaId: 'x-persona-id',
+    locale: 'x-locale',
+    languageCode: 'x-language-code',
+    alternativeLanguageCodes: 'x-alternative-language-codes', // Comma-separated
+    encoding: 'x-audio-encoding',
+    sampleRateHertz: 'x-sample-rate-hertz',
+};
+
+// Room for the form fields and part headers around the audio in a multipart upload.
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+/**
+ * Reads a request body as raw bytes, stopping as soon as it passes `maxBytes`.
+ * Vercel hands application/octet-stream bodies over as a Buffer; other types are
+ * read from the request stream.
+ * @param {import('http').IncomingMessage} req - The incoming request.
+ * @param {number} maxBytes - Largest accepted body (0 for no limit).
+ * @returns {Promise<Buffer>}
+ * @throws {PayloadTooLargeError}
+ */
+async function readRawBody(req, maxBytes) {
+    const tooLarge = () => new PayloadTooLargeError(`Audio upload is over the ${maxBytes} byte limit.`, 'AUDIO_TOO_LARGE');
+    if (Buffer.isBuffer(req.body)) {
+        if (maxBytes && req.body.length > maxBytes) throw tooLarge();
+        return req.body;
+    }
+    if (maxBytes && Number(req.headers?.['content-length']) > maxBytes) throw tooLarge();
+
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of req) {
+        length += chunk.length;
+        if (maxBytes && length > maxBytes) throw tooLarge();
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks, length);
+}
+
+/**
+ * Turns upload metadata (header or form field strings) into the JSON body's types.
+ * @param {Object<string, string>} values - Metadata by JSON key.
+ * @returns {object}
+ */
+function coerceAudioMetadata(values) {
+    const fields = {};
+    for (const [key, value] of Object.entries(values)) {
+        if (value === undefined) continue;
+        if (key === 'sampleRateHertz' && /^\d+$/.test(value)) fields[key] = Number(value);
+        else if (key === 'alternativeLanguageCodes') fields[key] = value.split(',').map(code => code.trim()).filter(Boolean);
+        else fields[key] = value;
+    }
+    return fields;
+}
+
+/**
+ * STT fields implied by the audio's media type: audio/L16 (RFC 2586) is headerless
+ * PCM whose rate is a media type parameter.
+ * @param {{type: string, params: Object<string, string>}} mediaType - Parsed media type.
+ * @returns {object}
+ */
+function audioTypeFields({ type, params }) {
+    if (type !== 'audio/l16') return {};
+    return coerceAudioMetadata({ encoding: 'LINEAR16', sampleRateHertz: params.rate });
+}
+
+/**
+ * Returns the body of an audio request in the JSON shape (`audioBase64` plus the
+ * metadata fields), whichever way it was sent:
+ * - application/json: the JSON body as is.
+ * - audio/* or application/octet-stream: the body is the recording; metadata comes
+ *   from headers (X-Session-Id, X-Persona-Id, X-Locale, X-Language-Code,
+ *   X-Alternative-Language-Codes, X-Audio-Encoding, X-Sample-Rate-Hertz).
+ * - multipart/form-data: an `audio` file part plus form fields named like the JSON
+ *   keys; the headers above fill in fields the form leaves out.
+ * @param {import('http').IncomingMessage} req - The incoming request.
+ * @returns {Promise<object>}
+ * @throws {RequestValidationError} - If the body is missing, malformed or has no audio.
+ * @throws {PayloadTooLargeError} - If the upload is over MAX_AUDIO_BYTES.
+ */
+export async function getAudioRequestBody(req) {
+    const mediaType = parseMediaType(req.headers?.['content-type']);
+    const isRawAudio = mediaType.type.startsWith('audio/') || mediaType.type === 'application/octet-stream';
+    if (!isRawAudio && mediaType.type !== 'multipart/form-data') {
+        return getJsonBody(req);
+    }
+
+    const headerFields = Object.fromEntries(Object.entries(AUDIO_METADATA_HEADERS)
+        .map(([key, header]) => [key, req.headers[header]]));
+    const maxBytes = readAudioLimit('MAX_AUDIO_BYTES');
+
+    if (isRawAudio) {
+        const audio = await readRawBody(req, maxBytes);
+        if (!audio.length) {
+            throw new RequestValidationError("The request body contains no audio.");
+        }
+        return { ...audioTypeFields(mediaType), ...coerceAudioMetadata(headerFields), audioBase64: audio.toString('base64') };
+    }
+
+    const parts = parseMultipart(await readRawBody(req, maxBytes && maxBytes + MULTIPART_OVERHEAD_BYTES), mediaType.params.boundary);
+    const audioPart = parts.find(part => part.name === 'audio');
+    if (!audioPart?.data.length) {
+        throw new RequestValidationError("Missing or empty 'audio' file part in the multipart request.");
+    }
+    const formFields = Object.fromEntries(parts
+        .filter(part => Object.hasOwn(AUDIO_METADATA_HEADERS, part.name ?? '') && part.filename === null)
+        .map(part => [part.name, part.data.toString('utf8')]));
+    return {
+        ...audioTypeFields(parseMediaType(audioPart.contentType)),
+        ...coerceAudioMetadata({ ...headerFields, ...formFields }),
+        audioBase64: audioPart.data.toString('base64'),
+    };
+}
+
+/**
+ * Validates the optional conversation session ID.
+ * @param {unknown} sessionId - Value from the request body.
+ * @returns {string|undefined}
+ * @throws {RequestValidationError}
+ */
+export function validateSessionId(sessionId) {
+    if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+        throw new RequestValidationError("Invalid 'sessionId'. Use 1-128 characters from A-Z, a-z, 0-9, '_' and '-'.");
+    }
+    return sessionId;
+}
+
+/**
+ * Validates an optional BCP-47 language code field.
+ * @param {unknown} value - Value from the request body.
+ * @param {string} [field] - Field name for the error message.
+ * @returns {string|undefined}
+ * @throws {RequestValidationError}
+ */
+export function validateLanguageCode(value, field = 'languageCode') {
+    if (value !== undefined && !isValidLanguageCode(value)) {
+        throw new RequestValidationError(`Invalid '${field}'. Use a BCP-47 code such as 'en-US'.`);
+    }
+    return value;
+}
+
+/**
+ * Resolves the optional persona ID to a configured persona.
+ * @param {unknown} personaId - Value from the request body.
+ * @returns {import('./personas.js').Persona} - The persona (the default one when omitted).
+ * @throws {RequestValidationError}
+ */
+export function validatePersonaId(personaId) {
+    const persona = typeof personaId === 'string' || personaId === undefined ? getPersona(personaId) : null;
+    if (!persona) {
+        throw new RequestValidationError(`Invalid 'personaId'. Use one of: ${getPersonaIds().join(', ')}.`);
+    }
+    return persona;
+}
+
+/**
+ * Validates an optional emotion label field.
+ * @param {unknown} value - Value from the request body.
+ * @returns {string|undefined}
+ * @throws {RequestValidationError}
+ */
+export function validateEmotion(value) {
+    if (value !== undefined && (typeof value !== 'string' || !/^[A-Za-z_]{1,32}$/.test(value))) {
+        throw new RequestValidationError("Invalid 'emotion'. Use an emotion label such as 'sadness' or 'calm'.");
+    }
+    return value;
+}
+
+/**
+ * Resolves an optional exercise ID to an exercise offered in the language.
+ * @param {unknown} exerciseId - Value from the request body.
+ * @param {string} languageCode - Language the exercise would be spoken in.
+ * @returns {import('./exercises.js').Exercise|undefined}
+ * @throws {RequestValidationError}
+ */
+export function validateExerciseId(exerciseId, languageCode) {
+    if (exerciseId === undefined) return undefined;
+    const exercise = typeof exerciseId === 'string' ? getExercise(exerciseId) : null;
+    if (!exercise || !getExercisesFor(languageCode).includes(exercise)) {
+        const offered = getExercisesFor(languageCode).map(e => e.id);
+        throw new RequestValidationError(offered.length
+            ? `Invalid 'exerciseId'. Use one of: ${offered.join(', ')}.`
+            : `Guided exercises are not available in ${languageCode}.`);
+    }
+    return exercise;
+}
+
+/**
+ * Validates an optional emotion intensity field.
+ * @param {unknown} value - Value from the request body.
+ * @returns {number|undefined}
+ * @throws {RequestValidationError}
+ */
+export function validateIntensity(value) {
+    if (value !== undefined && (typeof value !== 'number' || !(value >= 0 && value <= 1))) {
+        throw new RequestValidationError("Invalid 'intensity'. Use a number from 0 to 1.");
+    }
+    return value;
+}
+
+/**
+ * Validates a required, non-empty text field.
+ * @param {unknown} value - Value from the request body.
+ * @param {string} field - Field name for the error message.
+ * @param {number} maxBytes - Maximum UTF-8 size (Google APIs limit input in bytes, not characters).
+ * @returns {string} - The trimmed text.
+ * @throws {RequestValidationError}
+ */
+export function validateText(value, field, maxBytes) {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new RequestValidationError(`Missing or invalid '${field}' in request body. Ensure it's a non-empty string.`);
+    }
+    const text = value.trim();
+    if (Buffer.byteLength(text, 'utf8') > maxBytes) {
+        throw new RequestValidationError(`'${field}' is too long. The limit is ${maxBytes} bytes of UTF-8 text.`);
+    }
+    return text;
+}
+
+/**
+ * Validates an optional date query parameter: an ISO 8601 date or date-time, or epoch millis.
+ * @param {unknown} value - Value from the query string.
+ * @param {string} field - Parameter name for the error message.
+ * @returns {number|undefined} - Epoch millis.
+ * @throws {RequestValidationError}
+ */
+export function validateDateQuery(value, field) {
+    if (value === undefined) return undefined;
+    const timestamp = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (typeof value !== 'string' || !Number.isFinite(timestamp)) {
+        throw new RequestValidationError(`Invalid '${field}'. Use an ISO 8601 date such as '2024-05-01' or epoch milliseconds.`);
+    }
+    return timestamp;
+}
+
+/**
+ * Validates an optional positive integer query parameter.
+ * @param {unknown} value - Value from the query string.
+ * @param {string} field - Parameter name for the error message.
+ * @param {number} max - Largest allowed value.
+ * @returns {number|undefined}
+ * @throws {RequestValidationError}
+ */
+export function validateIntegerQuery(value, field, max) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (typeof value !== 'string' || !/^\d+$/.test(value) || number < 1 || number > max) {
+        throw new RequestValidationError(`Invalid '${field}'. Use an integer from 1 to ${max}.`);
+    }
+    return number;
+}
+
+/**
+ * Validates an optional IANA time zone query parameter.
+ * @param {unknown} value - Value from the query string.
+ * @returns {string|undefined}
+ * @throws {RequestValidationError}
+ */
+export function validateTimeZone(value) {
+    if (value !== undefined && (typeof value !== 'string' || !isValidTimeZone(value))) {
+        throw new RequestValidationError("Invalid 'timeZone'. Use an IANA time zone such as 'Europe/Berlin'.");
+    }
+    return value;
+}
+
+const DEFAULT_AUDIO_LIMITS = { MAX_AUDIO_BYTES: 10 * 1024 * 1024, MAX_AUDIO_SECONDS: 10 * 60 };
+
+const readAudioLimit = name => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : DEFAULT_AUDIO_LIMITS[name];
+};
+
+/**
+ * Validates the audio fields of a request, resolves the STT config for them and
+ * checks the recording against the size and duration limits.
+ * @param {object} body - The parsed request body.
+ * @returns {{audioBase64: string, sttConfig: object, duration: import('./audio-format.js').AudioDuration}}
+ * @throws {RequestValidationError} - If the fields are invalid or the recording is empty.
+ * @throws {PayloadTooLargeError} - If the recording is over MAX_AUDIO_BYTES or MAX_AUDIO_SECONDS.
+ */
+export function validateAudioRequest(body) {
+    const { audioBase64, encoding, sampleRateHertz, languageCode, alternativeLanguageCodes } = body;
+    if (!audioBase64 || typeof audioBase64 !== 'string') {
+        throw new RequestValidationError("Missing or invalid 'audioBase64' in request body. Ensure it's a non-empty string.");
+    }
+    // Checked before decoding, so an oversized upload costs no more memory than it already has.
+    const bytes = decodedByteLength(audioBase64);
+    const maxBytes = readAudioLimit('MAX_AUDIO_BYTES');
+    if (maxBytes && bytes > maxBytes) {
+        throw new PayloadTooLargeError(`Audio is ${bytes} bytes; the limit is ${maxBytes} bytes.`, 'AUDIO_TOO_LARGE');
+    }
+    const sttResolution = resolveSttConfig(audioBase64, { encoding, sampleRateHertz, languageCode, alternativeLanguageCodes });
+    if (sttResolution.error) {
+        throw new RequestValidationError(sttResolution.error);
+    }
+
+    const duration = measureAudioDuration(Buffer.from(audioBase64, 'base64'), sttResolution.config);
+    if (!(duration.seconds > 0)) {
+        throw new RequestValidationError("The audio contains no samples.");
+    }
+    const maxSeconds = readAudioLimit('MAX_AUDIO_SECONDS');
+    if (maxSeconds && duration.seconds > maxSeconds) {
+        throw new PayloadTooLargeError(
+            `Audio is ${Math.ceil(duration.seconds)} seconds long${duration.exact ? '' : ' (estimated)'}; the limit is ${maxSeconds} seconds.`,
+            'AUDIO_TOO_LONG'
+        );
+    }
+    logger.info("Received audio data.", { bytes, seconds: duration.seconds, exactDuration: duration.exact });
+    return { audioBase64, sttConfig: sttResolution.config, duration };
+}
+
+// --- Audio Responses ---
+/**
+ * Picks a binary response format from the Accept header: multipart/mixed (a JSON
+ * part with the results, then the MP3) or audio/mpeg (the MP3, results in headers).
+ * @param {import('http').IncomingMessage} req - The incoming request.
+ * @returns {'multipart'|'audio'|null} - null for the default JSON response.
+ */
+export function getAudioResponseFormat(req) {
+    const types = String(req.headers?.accept || '').split(',').map(entry => parseMediaType(entry).type);
+    const format = types.find(type => type === 'multipart/mixed' || type === 'audio/mpeg');
+    return format === 'multipart/mixed' ? 'multipart' : format === 'audio/mpeg' ? 'audio' : null;
+}
+
+/**
+ * Header name for a response field in audio/mpeg responses, e.g. 'riskEventId' -> 'X-Risk-Event-Id'.
+ * @param {string} field - JSON field name.
+ * @returns {string}
+ */
+function resultHeaderName(field) {
+    return `X-${field.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/^./, c => c.toUpperCase())}`;
+}
+
+/**
+ * Sends a JSON-mode result with its audio as binary instead of base64:
+ * - multipart: a multipart/mixed body with the other fields as an application/json
+ *   part, then an audio/mpeg part.
+ * - audio: the MP3 as the body, each other field in an X-<Field-Name> header,
+ *   percent-encoded (objects and arrays as JSON first). Headers have size limits,
+ *   so prefer multipart for long transcripts; the avatar timeline, which runs to
+ *   several entries per word, is only sent in multipart responses.
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {'multipart'|'audio'} format - From getAudioResponseFormat.
+ * @param {{audioBase64: string}} result - The JSON response body.
+ */
+export function sendAudioResponse(res, format, { audioBase64, ...fields }) {
+    const audio = Buffer.from(audioBase64, 'base64');
+    if (format === 'multipart') {
+        const { boundary, body } = buildMultipart([
+            { headers: { 'Content-Type': 'application/json; charset=utf-8' }, data: JSON.stringify(fields) },
+            { headers: { 'Content-Type': 'audio/mpeg', 'Content-Disposition': 'attachment; filename="reply.mp3"' }, data: audio },
+        ]);
+        res.setHeader('Content-Type', `multipart/mixed; boundary="${boundary}"`);
+        res.setHeader('Content-Length', body.length);
+        res.status(200).end(body);
+        return;
+    }
+    for (const [field, value] of Object.entries(fields)) {
+        if (value === undefined || field === 'avatarTimeline') continue;
+        res.setHeader(resultHeaderName(field), encodeURIComponent(typeof value === 'string' ? value : JSON.stringify(value)));
+    }
+    res.setHeader('Content-Type', 'audio/mpeg');
+    res.setHeader('Content-Length', audio.length);
+    res.status(200).end(audio);
+}
+
+// --- Error Handling ---
+/**
+ * Logs an error and sends it to the client as `{message, errorCode, requestId}`:
+ * as JSON, or as an in-band `error` event when a streaming response has already
+ * started. Status and code come from the error class (see lib/errors.js).
+ * @param {import('http').ServerResponse} res - The response (carries the request ID, see assignRequestId).
+ * @param {Error} error - The error.
+ * @param {Object} [options]
+ * @param {string} [options.context] - What the route was doing, for the log line.
+ * @param {import('./response-stream.js').EventStreamWriter} [options.events] - The open event stream, if any.
+ */
+export function sendErrorResponse(res, error, { context = 'Error processing request.', events } = {}) {
+    const requestId = res.getHeader(REQUEST_ID_HEADER);
+    const { statusCode, errorCode } = describeError(error);
+    if (statusCode < 500 && !(error instanceof UpstreamError)) {
+        // The caller's fault (bad input, credentials, limits); a warning is enough.
+        logger.warn("Request rejected.", { statusCode, errorCode, reason: error.message });
+    } else {
+        logger.error(context, { statusCode, errorCode, error });
+    }
+
+    // Unexpected errors may carry internals; only typed errors have client-safe messages.
+    const message = statusCode === 500 && errorCode === 'INTERNAL_ERROR'
+        ? 'An internal server error occurred while processing your request.'
+        : error.message;
+
+    // Once a stream is open the status line has been sent, so report the error in-band.
+    if (events) {
+        events.send('error', { statusCode, errorCode, message, requestId });
+        return events.end();
+    }
+
+    if (error.retryAfterSeconds) {
+        res.setHeader('Retry-After', String(error.retryAfterSeconds));
+    }
+    if (statusCode === 401) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+    }
+    res.status(statusCode).json({ message, errorCode, requestId });
+}
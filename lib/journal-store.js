@@ -0,0 +1,247 @@
+// File: lib/journal-store.js
+// Per-user mood journal: one entry per conversation turn with the emotion label
+// and a short summary. Entries hold the summary only, never the transcript text.
+//
+// Configuration (environment variables):
+//   JOURNAL_DIR   Directory for the file store (default: <os tmpdir>/mood-journal).
+//                 Point it at persistent storage; the tmp directory doesn't survive redeploys.
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+
+// Entries kept per user before the oldest are dropped (about a year of heavy use).
+const MAX_ENTRIES_PER_USER = 5000;
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} id - Unique entry ID.
+ * @property {string} userId - Owner (authenticated user ID).
+ * @property {string|null} sessionId - Conversation session, if the client sent one.
+ * @property {string|null} emotion - Emotion label of the turn (null for high-risk turns, which get no emotion analysis).
+ * @property {string} riskLevel - Crisis risk of the turn: 'none' | 'low' | 'medium' | 'high'.
+ * @property {string|null} summary - Short summary of what the user shared (null for high-risk turns, or if it couldn't be generated).
+ * @property {string} languageCode - Language the user spoke.
+ * @property {string} personaId - Persona that replied.
+ * @property {number} timestamp - Epoch millis.
+ */
+
+/**
+ * @typedef {Object} JournalQuery
+ * @property {number} [from] - Only entries at or after this epoch millis.
+ * @property {number} [to] - Only entries before this epoch millis.
+ * @property {{timestamp: number, id: string}} [after] - Only entries listed after this one
+ *   (a page cursor): older, or as old with a lower ID.
+ * @property {number} [limit] - Max entries to return.
+ */
+
+// --- Storage Interface ---
+/**
+ * Storage interface for journal entries (e.g. back it with SQLite or Postgres).
+ * All methods are async; `list` returns entries newest first, ties by descending ID.
+ *
+ * - add(entry)                 -> Promise<void>
+ * - list(userId, query)        -> Promise<JournalEntry[]>
+ * - delete(userId, entryId)    -> Promise<boolean>  (false if there was no such entry)
+ * - deleteAll(userId)          -> Promise<number>   (entries deleted)
+ */
+export class JournalStore {
+    async add(entry) { throw new Error("JournalStore.add not implemented"); }
+    async list(userId, query) { throw new Error("JournalStore.list not implemented"); }
+    async delete(userId, entryId) { throw new Error("JournalStore.delete not implemented"); }
+    async deleteAll(userId) { throw new Error("JournalStore.deleteAll not implemented"); }
+}
+
+/**
+ * Applies a JournalQuery to a user's entries (oldest first), newest first.
+ * @param {JournalEntry[]} entries - All of the user's entries, oldest first.
+ * @param {JournalQuery} query
+ * @returns {JournalEntry[]}
+ */
+function queryEntries(entries, { from, to, after, limit } = {}) {
+    const matching = entries
+        .filter(entry => (from === undefined || entry.timestamp >= from) && (to === undefined || entry.timestamp < to))
+        .filter(entry => after === undefined || compareNewestFirst(entry, after) > 0)
+        .sort(compareNewestFirst);
+    return limit === undefined ? matching : matching.slice(0, limit);
+}
+
+/**
+ * List order: newest first, entries with the same timestamp by descending ID.
+ * @param {{timestamp: number, id: string}} a
+ * @param {{timestamp: number, id: string}} b
+ * @returns {number}
+ */
+function compareNewestFirst(a, b) {
+    return b.timestamp - a.timestamp || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+/**
+ * In-process store, for tests and single-instance development.
+ */
+export class InMemoryJournalStore extends JournalStore {
+    constructor() {
+        super();
+        this.entries = new Map(); // userId -> entries, oldest first
+    }
+
+    async add(entry) {
+        const entries = this.entries.get(entry.userId) || [];
+        entries.push(entry);
+        if (entries.length > MAX_ENTRIES_PER_USER) entries.splice(0, entries.length - MAX_ENTRIES_PER_USER);
+        this.entries.set(entry.userId, entries);
+    }
+
+    async list(userId, query) {
+        return queryEntries(this.entries.get(userId) || [], query);
+    }
+
+    async delete(userId, entryId) {
+        const entries = this.entries.get(userId) || [];
+        const index = entries.findIndex(entry => entry.id === entryId);
+        if (index === -1) return false;
+        entries.splice(index, 1);
+        return true;
+    }
+
+    async deleteAll(userId) {
+        const count = this.entries.get(userId)?.length || 0;
+        this.entries.delete(userId);
+        return count;
+    }
+}
+
+/**
+ * Default store: one JSON file per user in JOURNAL_DIR. Writes go to a temporary
+ * file that is renamed over the old one, so a crash never leaves half a journal,
+ * and writes for the same user are queued so concurrent turns don't lose entries.
+ * Suited to a single instance; use a database-backed store when scaling out.
+ */
+export class FileJournalStore extends JournalStore {
+    /**
+     * @param {string} [directory] - Where to keep the journal files.
+     */
+    constructor(directory = process.env.JOURNAL_DIR || path.join(os.tmpdir(), 'mood-journal')) {
+        super();
+        this.directory = directory;
+        this.writeQueues = new Map(); // file -> tail of its write chain
+    }
+
+    // User IDs may contain anything (JWT `sub`), so file names use their hash.
+    fileFor(userId) {
+        return path.join(this.directory, `${createHash('sha256').update(userId).digest('hex')}.json`);
+    }
+
+    async read(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async write(file, entries) {
+        if (!entries.length) {
+            await fs.rm(file, { force: true });
+            return;
+        }
+        await fs.mkdir(this.directory, { recursive: true });
+        const temporary = `${file}.${randomUUID()}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify(entries), { mode: 0o600 });
+        await fs.rename(temporary, file);
+    }
+
+    /**
+     * Runs a read-modify-write of one user's file after any pending ones.
+     * @template T
+     * @param {string} userId - The user.
+     * @param {(entries: JournalEntry[]) => {entries: JournalEntry[], result: T}} update - Returns the new entries.
+     * @returns {Promise<T>}
+     */
+    update(userId, update) {
+        const file = this.fileFor(userId);
+        const run = async () => {
+            const { entries, result } = update(await this.read(file));
+            await this.write(file, entries);
+            return result;
+        };
+        const next = (this.writeQueues.get(file) || Promise.resolve()).then(run, run);
+        const tail = next.catch(() => {});
+        this.writeQueues.set(file, tail);
+        tail.then(() => {
+            if (this.writeQueues.get(file) === tail) this.writeQueues.delete(file);
+        });
+        return next;
+    }
+
+    async add(entry) {
+        await this.update(entry.userId, entries => ({
+            entries: [...entries, entry].slice(-MAX_ENTRIES_PER_USER),
+            result: undefined,
+        }));
+    }
+
+    async list(userId, query) {
+        await this.writeQueues.get(this.fileFor(userId)); // Read our own writes
+        return queryEntries(await this.read(this.fileFor(userId)), query);
+    }
+
+    async delete(userId, entryId) {
+        return this.update(userId, entries => {
+            const remaining = entries.filter(entry => entry.id !== entryId);
+            return { entries: remaining, result: remaining.length !== entries.length };
+        });
+    }
+
+    async deleteAll(userId) {
+        return this.update(userId, entries => ({ entries: [], result: entries.length }));
+    }
+}
+
+// --- Active Store ---
+// Created on first use, so importing this module touches no files.
+let activeStore = null;
+
+/**
+ * Returns the store used by the handlers.
+ * @returns {JournalStore}
+ */
+export function getJournalStore() {
+    activeStore ??= new FileJournalStore();
+    return activeStore;
+}
+
+/**
+ * Replaces the store used by the handlers.
+ * @param {JournalStore} store - The store implementation to use.
+ */
+export function setJournalStore(store) {
+    activeStore = store;
+}
+
+/**
+ * Builds a JournalEntry for a turn.
+ * @param {string} userId - The authenticated user.
+ * @param {Object} turn
+ * @param {string} [turn.sessionId] - Conversation session.
+ * @param {string} turn.emotion - Emotion label.
+ * @param {string|null} turn.summary - Short summary.
+ * @param {string} turn.languageCode - Language the user spoke.
+ * @param {string} turn.personaId - Persona that replied.
+ * @returns {JournalEntry}
+ */
+export function createJournalEntry(userId, { sessionId, emotion, riskLevel, summary, languageCode, personaId }) {
+    return {
+        id: randomUUID(),
+        userId,
+        sessionId: sessionId || null,
+        emotion: emotion || null,
+        riskLevel: riskLevel || 'none',
+        summary: summary || null,
+        languageCode,
+        personaId,
+        timestamp: Date.now(),
+    };
+}
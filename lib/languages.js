@@ -0,0 +1,88 @@
+// File: lib/languages.js
+// Languages Aura can converse in, with the Google TTS voices used for each.
+// See https://cloud.google.com/text-to-speech/docs/voices for voice names.
+
+export const DEFAULT_LANGUAGE_CODE = 'en-US';
+
+/**
+ * Per-language settings.
+ * - name:   Language name used when instructing Gemini which language to reply in.
+ * - voices: Google TTS voice per gender. FEMALE is Aura's default voice.
+ */
+export const LANGUAGES = {
+    'en-US': { name: 'English', voices: { FEMALE: 'en-US-Wavenet-F', MALE: 'en-US-Wavenet-D' } },
+    'en-GB': { name: 'English', voices: { FEMALE: 'en-GB-Wavenet-A', MALE: 'en-GB-Wavenet-B' } },
+    'en-IN': { name: 'English', voices: { FEMALE: 'en-IN-Wavenet-A', MALE: 'en-IN-Wavenet-B' } },
+    'hi-IN': { name: 'Hindi', voices: { FEMALE: 'hi-IN-Wavenet-A', MALE: 'hi-IN-Wavenet-B' } },
+    'es-ES': { name: 'Spanish', voices: { FEMALE: 'es-ES-Wavenet-C', MALE: 'es-ES-Wavenet-B' } },
+    'es-US': { name: 'Spanish', voices: { FEMALE: 'es-US-Wavenet-A', MALE: 'es-US-Wavenet-B' } },
+    'de-DE': { name: 'German', voices: { FEMALE: 'de-DE-Wavenet-A', MALE: 'de-DE-Wavenet-B' } },
+    'fr-FR': { name: 'French', voices: { FEMALE: 'fr-FR-Wavenet-A', MALE: 'fr-FR-Wavenet-B' } },
+};
+
+/**
+ * Checks that a client-supplied value looks like a BCP-47 language code ('en', 'en-US', 'zh-Hant-TW').
+ * @param {unknown} languageCode - Value from the request body.
+ * @returns {boolean}
+ */
+export function isValidLanguageCode(languageCode) {
+    return typeof languageCode === 'string' && /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(languageCode);
+}
+
+/**
+ * Finds the table entry for a language code. Google STT reports detected codes in
+ * lower case (e.g. 'hi-in'), and a regional variant we don't list (e.g. 'es-MX')
+ * falls back to the first entry for the same base language.
+ * @param {string} languageCode - BCP-47 code, any case.
+ * @returns {{code: string, name: string, voices: Object<string, string>}|null}
+ */
+export function findLanguage(languageCode) {
+    if (typeof languageCode !== 'string') return null;
+    const wanted = languageCode.toLowerCase();
+    const codes = Object.keys(LANGUAGES);
+    const code = codes.find(c => c.toLowerCase() === wanted)
+        || codes.find(c => c.split('-')[0].toLowerCase() === wanted.split('-')[0]);
+    return code ? { code, ...LANGUAGES[code] } : null;
+}
+
+/**
+ * Normalizes a language code to the table's casing, or keeps it as-is if unlisted.
+ * @param {string} [languageCode] - BCP-47 code, any case.
+ * @returns {string}
+ */
+export function normalizeLanguageCode(languageCode) {
+    if (!languageCode) return DEFAULT_LANGUAGE_CODE;
+    const exact = Object.keys(LANGUAGES).find(c => c.toLowerCase() === languageCode.toLowerCase());
+    if (exact) return exact;
+    // e.g. 'es-mx' -> 'es-MX'
+    const [base, ...rest] = languageCode.split('-');
+    return [base.toLowerCase(), ...rest.map(part => part.toUpperCase())].join('-');
+}
+
+/**
+ * Returns the human-readable language name for prompts.
+ * @param {string} languageCode - BCP-47 code.
+ * @returns {string} - e.g. 'Hindi', or the code itself if the language is unlisted.
+ */
+export function getLanguageName(languageCode) {
+    return findLanguage(languageCode)?.name || languageCode;
+}
+
+/**
+ * Picks the TTS voice for a language and gender.
+ * @param {string} languageCode - BCP-47 code of the reply.
+ * @param {'FEMALE'|'MALE'} [ssmlGender] - Preferred gender.
+ * @returns {{languageCode: string, name?: string, ssmlGender: string}} - A Google TTS `voice`
+ *   object. For unlisted languages `name` is omitted and Google picks a voice for the language.
+ */
+export function getVoice(languageCode, ssmlGender = 'FEMALE') {
+    const language = findLanguage(languageCode);
+    if (!language) {
+        return { languageCode: normalizeLanguageCode(languageCode), ssmlGender };
+    }
+    return {
+        languageCode: language.code,
+        name: language.voices[ssmlGender] || language.voices.FEMALE,
+        ssmlGender: language.voices[ssmlGender] ? ssmlGender : 'FEMALE',
+    };
+}
@@ -0,0 +1,432 @@
+// File: lib/llm.js
+// Gemini prompts and calls: the companion's reply (single JSON or streamed), the
+// crisis risk classifier and the conversation summarizer.
+
+import { createEmptySession } from './conversation-store.js';
+import { getLanguageName, DEFAULT_LANGUAGE_CODE } from './languages.js';
+import { getPersona } from './personas.js';
+import { buildEmotionReplySchema, parseEmotionReply, defaultEmotionAnalysis, TYPICAL_INTENSITY } from './emotions.js';
+import { getExercisesFor } from './exercises.js';
+import { getProviders } from './providers/index.js';
+import { LlmResponseError } from './errors.js';
+import { callUpstream, streamUpstream, toUpstreamError } from './upstream.js';
+import { logger } from './logger.js';
+
+// --- System Prompt ---
+// The persona prompt and emotion labels come from config/personas.js; the
+// expected output format is appended here. Single replies are constrained by the
+// emotion schema (see lib/emotions.js), so the prompt only explains the fields:
+// as a responseSchema in JSON mode, or as the parameters of a function call when
+// guided exercises are offered. Gemini can't combine function calling with JSON
+// mode (responseMimeType), and starting an exercise needs function calling.
+
+export const EMPTY_TRANSCRIPT_REPLY = "I didn't quite catch that. Could you please speak again?";
+
+// The emotion analysis fields, explained the same way for both single-reply modes.
+const REPLY_FIELDS_PROMPT = `
+- emotion: the primary emotion label.
+- intensity: how strongly the user feels it, from 0 (barely) to 1 (overwhelmingly).
+- confidence: how sure you are of the label, from 0 to 1.
+- secondaryEmotions: other emotion labels present in the message, strongest first (may be empty).
+- valence: how pleasant the user's state is, from -1 (very unpleasant) to 1 (very pleasant).
+- arousal: how activated the user is, from 0 (calm, low energy) to 1 (agitated, high energy).
+- reply: your empathetic response text.
+`.trim();
+
+// Output format instructions, keyed by reply format.
+// - json:      one JSON object with the full emotion analysis, parsed once the response has arrived.
+// - functions: the same analysis as a call to the reply (or start_guided_exercise) function;
+//              used instead of json when exercises are offered.
+// - stream:    the label and intensity first, then plain text, so the reply can be spoken sentence
+//              by sentence while it is still being generated. Exercises aren't offered here.
+const FORMAT_PROMPTS = {
+    json: `Respond with a JSON object describing the user's emotional state and your reply:\n${REPLY_FIELDS_PROMPT}`,
+    functions: `Always respond by calling a function, with arguments describing the user's emotional state and your reply:\n${REPLY_FIELDS_PROMPT}`,
+    exercises: `
+If the user is panicking, overwhelmed or asks for help calming down, call start_guided_exercise
+instead of reply to guide them through a scripted exercise. Its reply is a short, warm introduction
+(one or two sentences); the exercise steps are spoken after it, so don't describe them.
+`.trim(),
+    stream: `
+Start your response with the emotion label and its intensity (0 to 1) in square brackets, then the reply as plain text, with nothing else:
+[primary_emotion_label intensity] your_empathetic_response_text_here
+`.trim(),
+};
+
+const GEMINI_FAILURE_MESSAGE = 'Failed to get response from AI assistant';
+
+const SAFETY_SETTINGS = [ // Configure content safety filters
+    { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+    { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+    { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+    { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+];
+
+/**
+ * Sends a request body to the configured LLM provider's generateContent, with the
+ * LLM stage timeout and retries (see lib/upstream.js).
+ * @param {object} requestBody - The generateContent request payload.
+ * @returns {Promise<object>} - The parsed JSON response from Gemini.
+ * @throws {AppError} - If the key is missing, or the API fails or times out.
+ */
+async function callGemini(requestBody) {
+    return callUpstream('llm', signal => getProviders().llm.generateContent(requestBody, { signal }), { failureMessage: GEMINI_FAILURE_MESSAGE });
+}
+
+// --- Risk Classification ---
+const RISK_CLASSIFIER_PROMPT = `
+You are a safety classifier for a mental wellness app. Assess the user's message for risk of
+suicide, self-harm, or a disclosure of abuse. Respond ONLY with JSON in this format:
+{"riskLevel": "none|low|medium|high", "categories": ["suicidal_ideation" | "self_harm" | "abuse"]}
+
+- high: stated intent, plan, or ongoing danger (e.g. wanting to die, hurting themselves, being abused).
+- medium: indirect ideation or hopelessness about living.
+- low: distress without any indication of harm.
+- none: everything else.
+`.trim();
+
+/**
+ * Asks Gemini to classify a transcript's crisis risk. Used as the model check in
+ * assessRisk alongside the keyword rules.
+ * @param {string} userTranscript - The text transcribed from user's audio.
+ * @returns {Promise<{riskLevel: string, categories: string[]}>}
+ * @throws {Error} - If the API call fails or the response is not valid JSON.
+ */
+export async function classifyRiskWithGemini(userTranscript) {
+    const data = await callGemini({
+        systemInstruction: { parts: [{ text: RISK_CLASSIFIER_PROMPT }] },
+        contents: [{ role: 'user', parts: [{ text: userTranscript }] }],
+        generationConfig: {
+            temperature: 0,
+            maxOutputTokens: 60,
+            responseMimeType: "application/json",
+        },
+        // Don't let the safety filters block the classifier itself on exactly the content it must see.
+        safetySettings: SAFETY_SETTINGS.map(({ category }) => ({ category, threshold: "BLOCK_NONE" }))
+    });
+
+    const text = data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
+    if (!text) {
+        throw new Error("Gemini risk classification returned no text.");
+    }
+    const result = JSON.parse(text);
+    return {
+        riskLevel: result.riskLevel,
+        categories: Array.isArray(result.categories) ? result.categories : []
+    };
+}
+
+const REPLY_FUNCTION = 'reply';
+const EXERCISE_FUNCTION = 'start_guided_exercise';
+
+/**
+ * Declares the functions the model answers with when exercises are offered: reply,
+ * and start_guided_exercise. Both take the emotion analysis and the reply text.
+ * @param {string[]} labels - The persona's emotion labels.
+ * @param {import('./exercises.js').Exercise[]} exercises - Exercises the model may start (non-empty).
+ * @returns {object[]} - Gemini functionDeclarations.
+ */
+function buildReplyFunctions(labels, exercises) {
+    const schema = buildEmotionReplySchema(labels);
+    return [{
+        name: REPLY_FUNCTION,
+        description: "Reply to the user, with an analysis of their emotional state.",
+        parameters: schema,
+    }, {
+        name: EXERCISE_FUNCTION,
+        description: `Introduce and start a guided exercise. Available exercises:\n${exercises.map(e => `- ${e.id}: ${e.description}`).join('\n')}`,
+        parameters: {
+            ...schema,
+            properties: { exerciseId: { type: 'STRING', enum: exercises.map(e => e.id) }, ...schema.properties },
+            required: ['exerciseId', ...schema.required],
+            propertyOrdering: ['exerciseId', ...schema.propertyOrdering],
+        },
+    }];
+}
+
+/**
+ * Converts stored conversation turns into Gemini multi-turn `contents`.
+ * Model turns are replayed in the shape we ask Gemini to produce (with the label
+ * and intensity; the rest of the analysis isn't stored), so the history itself
+ * reinforces the output format.
+ * @param {import('./conversation-store.js').ConversationTurn[]} turns - Prior turns, oldest first.
+ * @param {'json'|'stream'} [format] - Reply format the current request asks for.
+ * @returns {Array<{role: string, parts: Array<{text: string}>}>}
+ */
+function turnsToContents(turns, format = 'json') {
+    const formatModelTurn = turn => {
+        const emotion = turn.emotion || 'neutral';
+        const intensity = turn.intensity ?? TYPICAL_INTENSITY;
+        return format === 'stream'
+            ? `[${emotion} ${intensity}] ${turn.text}`
+            : JSON.stringify({ ...(turn.exerciseId && { exerciseId: turn.exerciseId }), emotion, intensity, reply: turn.text });
+    };
+
+    return turns.map(turn => ({
+        role: turn.role,
+        parts: [{ text: turn.role === 'model' ? formatModelTurn(turn) : turn.text }]
+    }));
+}
+
+/**
+ * Builds the Gemini request for the persona's reply to the latest transcript.
+ * @param {string} userTranscript - The text transcribed from user's audio.
+ * @param {import('./conversation-store.js').ConversationSession} session - Prior conversation.
+ * @param {Object} options
+ * @param {import('./personas.js').Persona} options.persona - Persona whose prompt and emotion labels to use.
+ * @param {string} options.riskLevel - Result of the risk assessment; 'medium' adds a safety check-in instruction.
+ * @param {string} options.languageCode - Language the user spoke; the persona replies in the same language.
+ * @param {'json'|'stream'} options.format - Output format to ask for (see FORMAT_PROMPTS).
+ * @param {import('./exercises.js').Exercise[]} [options.exercises] - Exercises the model may start (json format only;
+ *   offering any switches the reply from JSON mode to function calling).
+ * @returns {object} - The generateContent / streamGenerateContent request body.
+ */
+function buildReplyRequest(userTranscript, session, { persona, riskLevel, languageCode, format, exercises = [] }) {
+    const functionCalling = format === 'json' && exercises.length > 0;
+    const emotionLabelsPrompt = `Available primary emotion labels: ${persona.emotions.join(', ')}. Choose the most fitting one.`;
+    let systemText = `${persona.systemPrompt}\n${FORMAT_PROMPTS[functionCalling ? 'functions' : format]}\n\n${emotionLabelsPrompt}`;
+    if (exercises.length) {
+        systemText += `\n\n${FORMAT_PROMPTS.exercises}`;
+    }
+    // Earlier turns that were folded away are passed as part of the system instruction.
+    if (session.summary) {
+        systemText += `\n\nSummary of the earlier conversation:\n${session.summary}`;
+    }
+    // Emotion labels stay in English so TTS and the app can rely on them.
+    systemText += `\n\nThe user is speaking ${getLanguageName(languageCode)} (${languageCode}). Write the reply in that language, but keep the emotion label in English.`;
+    if (riskLevel === 'medium') {
+        systemText += "\n\nThe user may be at risk. Gently check in on their safety and remind them that talking to someone they trust or a crisis line can help.";
+    }
+
+    return {
+        systemInstruction: {
+            parts: [{ text: systemText }]
+        },
+        contents: [
+            ...turnsToContents(session.turns, format),
+            { role: 'user', parts: [{ text: userTranscript }] }
+        ],
+        generationConfig: {
+            temperature: 0.7,       // Controls randomness (lower = more deterministic)
+            maxOutputTokens: 300,   // Max length of the generated response, analysis included
+            // topP: 0.9,           // Nucleus sampling (alternative to temperature)
+            // topK: 40,            // Consider only top K likely tokens
+            ...(format === 'json' && !functionCalling && {
+                responseMimeType: "application/json",
+                responseSchema: buildEmotionReplySchema(persona.emotions),
+            }),
+        },
+        ...(functionCalling && {
+            tools: [{ functionDeclarations: buildReplyFunctions(persona.emotions, exercises) }],
+            toolConfig: { functionCallingConfig: { mode: 'ANY' } }, // Always answer with a function call
+        }),
+        safetySettings: SAFETY_SETTINGS
+    };
+}
+
+/**
+ * Reads the reply out of a generateContent candidate: the function call when
+ * exercises were offered, otherwise the JSON text of JSON mode (read as a call to
+ * `reply`).
+ * @param {object} [candidate] - The response's first candidate.
+ * @param {boolean} functionCalling - Whether the request declared the reply functions.
+ * @returns {{name: string, args: object}} - The function called and its arguments.
+ * @throws {LlmResponseError} - If generation was blocked or the reply is missing or malformed.
+ */
+function readReplyCall(candidate, functionCalling) {
+    const parts = candidate?.content?.parts || [];
+    const throwIfStoppedEarly = () => {
+        if (candidate?.finishReason && candidate.finishReason !== 'STOP') {
+            logger.warn("Gemini generation stopped early.", { finishReason: candidate.finishReason });
+            // Handle safety blocks or other reasons if necessary
+            throw new LlmResponseError(`Gemini response generation failed: ${candidate.finishReason}`, { blocked: true });
+        }
+    };
+
+    if (functionCalling) {
+        const call = parts.find(part => part.functionCall)?.functionCall;
+        if (!call) {
+            throwIfStoppedEarly();
+            throw new LlmResponseError("Gemini did not call the reply function.");
+        }
+        if (call.name !== REPLY_FUNCTION && call.name !== EXERCISE_FUNCTION) {
+            throw new LlmResponseError(`Gemini called an unknown function: '${call.name}'.`);
+        }
+        return { name: call.name, args: call.args || {} };
+    }
+
+    const generatedText = parts.map(part => part.text || '').join('').trim();
+    if (!generatedText) {
+        throwIfStoppedEarly();
+        throw new LlmResponseError("Gemini response is empty or missing text content.");
+    }
+    // responseMimeType makes Gemini return bare JSON; anything else (e.g. output cut
+    // off at maxOutputTokens) is unusable.
+    try {
+        return { name: REPLY_FUNCTION, args: JSON.parse(generatedText) };
+    } catch (parseError) {
+        // Only the error name: a JSON.parse message quotes the (sensitive) input.
+        logger.warn("Gemini response is not valid JSON.", { errorName: parseError.name, finishReason: candidate?.finishReason });
+        throw new LlmResponseError("Gemini response is not valid JSON.");
+    }
+}
+
+/**
+ * Sends the user's transcript, together with the session's earlier turns, to the
+ * Gemini API and expects the emotion analysis and the reply text: as JSON, or, when
+ * exercises are offered, as a call to `reply` or to `start_guided_exercise` to follow
+ * the reply with an exercise.
+ * @param {string} userTranscript - The text transcribed from user's audio.
+ * @param {import('./conversation-store.js').ConversationSession} [session] - Prior conversation (optional).
+ * @param {Object} [options]
+ * @param {import('./personas.js').Persona} [options.persona] - Persona to reply as (default persona if omitted).
+ * @param {string} [options.riskLevel] - Result of the risk assessment; 'medium' adds a safety check-in instruction.
+ * @param {string} [options.languageCode] - Language the user spoke; the persona replies in the same language.
+ * @returns {Promise<{emotion: string, reply: string, analysis: import('./emotions.js').EmotionAnalysis, exercise?: import('./exercises.js').Exercise}>}
+ *   - The primary emotion, the reply, the full analysis and the exercise the model started, if any.
+ *   The emotion is always one of the persona's labels ('neutral' if Gemini picked a taxonomy
+ *   label the persona doesn't use).
+ * @throws {AppError} - If the API call fails or times out, or the response is unusable.
+ */
+export async function getGeminiResponse(userTranscript, session = createEmptySession(), { persona = getPersona(), riskLevel = 'none', languageCode = DEFAULT_LANGUAGE_CODE } = {}) {
+    if (!userTranscript) {
+        logger.info("User transcript is empty, returning default response.");
+        // Handle empty transcript gracefully - maybe a default "I didn't hear anything" response
+        return { emotion: 'neutral', reply: EMPTY_TRANSCRIPT_REPLY, analysis: defaultEmotionAnalysis('neutral') };
+    }
+
+    const exercises = getExercisesFor(languageCode);
+    const requestBody = buildReplyRequest(userTranscript, session, { persona, riskLevel, languageCode, format: 'json', exercises });
+
+    try {
+        logger.info("Calling Gemini API.", { priorTurns: session.turns.length, exercisesOffered: exercises.length });
+        const data = await callGemini(requestBody);
+        logger.debug("Gemini API raw response.", { response: data });
+
+        const call = readReplyCall(data?.candidates?.[0], exercises.length > 0);
+        const { args } = call;
+        const { analysis, reply } = parseEmotionReply(args, persona.emotions);
+        if (analysis.emotion !== args.emotion.trim().toLowerCase()) {
+            logger.warn("Gemini returned an emotion the persona doesn't allow.", { returned: args.emotion, personaId: persona.id, using: analysis.emotion });
+        }
+
+        let exercise;
+        if (call.name === EXERCISE_FUNCTION) {
+            exercise = exercises.find(e => e.id === args.exerciseId);
+            // The reply still stands on its own, so an unknown exercise is only dropped.
+            if (!exercise) logger.warn("Gemini started an exercise that isn't offered.", { exerciseId: args.exerciseId });
+        }
+        logger.debug("Parsed Gemini response.", { analysis, reply, exerciseId: exercise?.id });
+        return { emotion: analysis.emotion, reply, analysis, ...(exercise && { exercise }) };
+
+    } catch (error) {
+        logger.error("Error during Gemini API call or processing.", { error });
+        // Typed errors (API failures, timeouts, unusable responses) already say what went wrong
+        // and pass through unchanged.
+        throw toUpstreamError('llm', error, GEMINI_FAILURE_MESSAGE);
+    }
+}
+
+/**
+ * Streams the persona's reply from Gemini's streamGenerateContent endpoint.
+ * The model is asked for the "[emotion intensity] reply" format (see FORMAT_PROMPTS.stream);
+ * this yields the raw text chunks as they arrive, header included.
+ * @param {string} userTranscript - The text transcribed from user's audio (non-empty).
+ * @param {import('./conversation-store.js').ConversationSession} session - Prior conversation.
+ * @param {Object} [options]
+ * @param {import('./personas.js').Persona} [options.persona] - Persona to reply as (default persona if omitted).
+ * @param {string} [options.riskLevel] - Result of the risk assessment.
+ * @param {string} [options.languageCode] - Language the user spoke.
+ * @returns {AsyncGenerator<string>} - Text chunks.
+ * @throws {AppError} - If the API call fails or times out, or generation stops for a reason other than STOP/MAX_TOKENS.
+ */
+export async function* streamGeminiResponse(userTranscript, session, { persona = getPersona(), riskLevel = 'none', languageCode = DEFAULT_LANGUAGE_CODE } = {}) {
+    const requestBody = buildReplyRequest(userTranscript, session, { persona, riskLevel, languageCode, format: 'stream' });
+
+    logger.info("Calling Gemini streaming API.", { priorTurns: session.turns.length });
+    const chunks = streamUpstream('llm', signal => getProviders().llm.streamGenerateContent(requestBody, { signal }), { failureMessage: GEMINI_FAILURE_MESSAGE });
+    for await (const data of chunks) {
+        const candidate = data?.candidates?.[0];
+        const text = candidate?.content?.parts?.map(part => part.text || '').join('');
+        if (text) yield text;
+
+        const finishReason = candidate?.finishReason;
+        if (finishReason && finishReason !== 'STOP' && finishReason !== 'MAX_TOKENS') {
+            logger.warn("Gemini generation stopped early.", { finishReason });
+            throw new LlmResponseError(`Gemini response generation failed: ${finishReason}`, { blocked: true });
+        }
+    }
+}
+
+// --- Conversation Summary ---
+/**
+ * Folds older turns into the running summary using Gemini.
+ * @param {string} previousSummary - Existing summary (may be empty).
+ * @param {import('./conversation-store.js').ConversationTurn[]} turns - Turns to fold in, oldest first.
+ * @returns {Promise<string>} - The updated summary text.
+ * @throws {Error} - If the API call fails or returns no text.
+ */
+export async function summarizeConversation(previousSummary, turns) {
+    const transcript = turns
+        .map(turn => turn.role === 'user'
+            ? `User: ${turn.text}`
+            : `Companion (${turn.emotion || 'neutral'}): ${turn.text}${turn.exerciseId ? ` [guided the ${turn.exerciseId} exercise]` : ''}`)
+        .join('\n');
+
+    const prompt = `
+Update the running summary of a conversation between a user and their mental wellness companion.
+Keep the facts the user shared, how their emotions changed, and anything the companion promised to follow up on.
+Write at most 120 words in plain text, in the third person.
+
+Current summary:
+${previousSummary || '(none)'}
+
+New conversation lines:
+${transcript}
+
+Updated summary:
+`.trim();
+
+    const data = await callGemini({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { temperature: 0.2, maxOutputTokens: 200 },
+        safetySettings: SAFETY_SETTINGS
+    });
+
+    const summary = data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
+    if (!summary) {
+        throw new Error("Gemini returned an empty conversation summary.");
+    }
+    return summary;
+}
+
+// --- Mood Journal ---
+/**
+ * Writes the one-line mood journal summary of a turn using Gemini.
+ * @param {string} userTranscript - What the user said.
+ * @param {string} emotion - Emotion label of the turn.
+ * @returns {Promise<string>} - A short summary (at most ~20 words).
+ * @throws {Error} - If the API call fails or returns no text.
+ */
+export async function summarizeJournalEntry(userTranscript, emotion) {
+    const prompt = `
+Write a mood journal line for the user's message below: one short sentence of at most 20 words,
+in the third person without a subject (e.g. "Felt nervous about tomorrow's exam."), in English.
+Keep names and other identifying details out.
+
+Detected emotion: ${emotion}
+Message: ${userTranscript}
+`.trim();
+
+    const data = await callGemini({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { temperature: 0.2, maxOutputTokens: 60 },
+        safetySettings: SAFETY_SETTINGS
+    });
+
+    const summary = data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
+    if (!summary) {
+        throw new Error("Gemini returned an empty journal summary.");
+    }
+    return summary;
+}
@@ -0,0 +1,116 @@
+// File: lib/logger.js
+// Structured JSON logging. Every line is one JSON object with a timestamp, level,
+// message, the request ID (when logged while handling a request) and any extra fields.
+//
+// What users say is sensitive, so fields that carry their words or the replies to
+// them (see SENSITIVE_KEYS, at any depth) are replaced by their length and a keyed
+// hash. The hash lets you tell whether two log lines mention the same text without
+// revealing it.
+//
+// Configuration (environment variables, read on every call):
+//   LOG_LEVEL          debug | info (default) | warn | error
+//   LOG_USER_CONTENT   "true" to log transcripts and replies in clear text. Local debugging only.
+//   LOG_HASH_SECRET    Key for the redaction hashes. Set it to compare hashes across instances;
+//                      without it each instance uses a random key.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHmac, randomBytes } from 'crypto';
+import { AppError } from './errors.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+
+// Field names whose values are user content or model output.
+const SENSITIVE_KEYS = new Set(['transcript', 'reply', 'text', 'summary', 'previousSummary', 'sentence', 'response']);
+
+// Fields of the current request (e.g. requestId), added to every line logged while handling it.
+const requestContext = new AsyncLocalStorage();
+
+const fallbackHashKey = randomBytes(32);
+
+/**
+ * Adds fields to every line logged for the rest of the current request.
+ * @param {Object} fields - e.g. { requestId }.
+ */
+export function setLogContext(fields) {
+    requestContext.enterWith({ ...requestContext.getStore(), ...fields });
+}
+
+/**
+ * Replaces a piece of user content with its length and a short keyed hash.
+ * @param {string} text - The content.
+ * @returns {string} - e.g. '[redacted 42 chars #3f9a1c0b7d2e]'.
+ */
+export function redactText(text) {
+    const hash = createHmac('sha256', process.env.LOG_HASH_SECRET || fallbackHashKey).update(text).digest('hex').slice(0, 12);
+    return `[redacted ${text.length} chars #${hash}]`;
+}
+
+/**
+ * Copies a log value with the sensitive fields redacted.
+ * @param {unknown} value - Any JSON-able value.
+ * @param {boolean} sensitive - True if the value sits under a sensitive key.
+ * @returns {unknown}
+ */
+function redact(value, sensitive = false) {
+    if (typeof value === 'string') return sensitive ? redactText(value) : value;
+    if (Array.isArray(value)) return value.map(item => redact(item, sensitive));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item, sensitive || SENSITIVE_KEYS.has(key))]));
+    }
+    return value;
+}
+
+/**
+ * Turns an error into loggable fields. Stacks are only kept for unexpected errors;
+ * typed errors (bad input, upstream failures) say enough in their code and message.
+ * @param {unknown} error - The error.
+ * @returns {Object}
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) return { message: String(error) };
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.errorCode && { errorCode: error.errorCode }),
+        ...(error.code !== undefined && { code: error.code }),
+        ...(error.status !== undefined && { status: error.status }),
+        ...(!(error instanceof AppError) && { stack: error.stack }),
+        ...(error.cause && { cause: serializeError(error.cause) }),
+    };
+}
+
+/**
+ * Writes one log line if `level` is enabled.
+ * @param {'debug'|'info'|'warn'|'error'} level - Severity.
+ * @param {string} message - What happened. Keep user content out of it; put it in a field.
+ * @param {Object} [fields] - Extra fields; an `error` field may hold an Error.
+ */
+function write(level, message, fields = {}) {
+    const threshold = LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS[DEFAULT_LEVEL];
+    if (LEVELS[level] < threshold) return;
+
+    const { error, ...rest } = fields;
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        message,
+        ...requestContext.getStore(),
+        ...rest,
+        ...(error !== undefined && { error: serializeError(error) }),
+    };
+    const line = JSON.stringify(process.env.LOG_USER_CONTENT === 'true' ? entry : redact(entry));
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+}
+
+/**
+ * The application logger: logger.info('Message', { field: value }).
+ */
+export const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+};
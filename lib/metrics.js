@@ -0,0 +1,155 @@
+// File: lib/metrics.js
+// Per-stage latency and outcome metrics for the upstream calls (STT, Gemini, TTS),
+// rendered in the Prometheus text format by /api/metrics.
+//
+// Metrics live in process memory, so each serverless instance reports its own
+// counters; Prometheus sums them across the instances it scrapes.
+
+const STAGES = ['stt', 'llm', 'tts'];
+
+// Latency buckets in seconds, from a fast TTS call to a long-running transcription.
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+/**
+ * Formats a label set as `{name="value",...}`.
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * A monotonically increasing count per label set.
+ */
+class Counter {
+    /**
+     * @param {string} name - Metric name.
+     * @param {string} help - HELP text.
+     */
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.values = new Map(); // formatted labels -> count
+    }
+
+    inc(labels, amount = 1) {
+        const key = formatLabels(labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const [labels, value] of this.values) lines.push(`${this.name}${labels} ${value}`);
+        return lines.join('\n');
+    }
+
+    reset() {
+        this.values.clear();
+    }
+}
+
+/**
+ * Cumulative bucket counts, sum and count of observations per label set.
+ */
+class Histogram {
+    /**
+     * @param {string} name - Metric name.
+     * @param {string} help - HELP text.
+     * @param {number[]} buckets - Upper bounds, ascending.
+     */
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.series = new Map(); // formatted labels -> { labels, counts, sum, count }
+    }
+
+    observe(labels, value) {
+        const key = formatLabels(labels);
+        const series = this.series.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+        this.series.set(key, series);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const [key, series] of this.series) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${key} ${series.sum}`);
+            lines.push(`${this.name}_count${key} ${series.count}`);
+        }
+        return lines.join('\n');
+    }
+
+    reset() {
+        this.series.clear();
+    }
+}
+
+const upstreamCalls = new Counter('upstream_requests_total',
+    'Upstream API calls by stage (stt, llm, tts) and outcome (success, or the error code without the stage prefix).');
+const upstreamRetries = new Counter('upstream_retries_total', 'Retried upstream API attempts by stage.');
+const upstreamDuration = new Histogram('upstream_request_duration_seconds',
+    'Upstream API call latency by stage and outcome, including retries (whole stream for streamed calls).', DURATION_BUCKETS);
+
+const ALL_METRICS = [upstreamCalls, upstreamRetries, upstreamDuration];
+
+/**
+ * Maps an error code to a short outcome label, e.g. 'STT_TIMEOUT' -> 'timeout'.
+ * @param {'stt'|'llm'|'tts'} stage - Pipeline stage.
+ * @param {string} [errorCode] - Code of the error the call ended with (none for success).
+ * @returns {string}
+ */
+export function outcomeOf(stage, errorCode) {
+    if (!errorCode) return 'success';
+    const prefix = `${stage.toUpperCase()}_`;
+    return (errorCode.startsWith(prefix) ? errorCode.slice(prefix.length) : errorCode).toLowerCase();
+}
+
+/**
+ * Records one finished upstream call.
+ * @param {'stt'|'llm'|'tts'} stage - Pipeline stage.
+ * @param {Object} result
+ * @param {number} result.seconds - Time from the first attempt to success or final failure.
+ * @param {string} [result.errorCode] - Error code the call failed with, if it did.
+ */
+export function recordUpstreamCall(stage, { seconds, errorCode }) {
+    const labels = { stage, outcome: outcomeOf(stage, errorCode) };
+    upstreamCalls.inc(labels);
+    upstreamDuration.observe(labels, seconds);
+}
+
+/**
+ * Records a retry of an upstream call.
+ * @param {'stt'|'llm'|'tts'} stage - Pipeline stage.
+ */
+export function recordUpstreamRetry(stage) {
+    upstreamRetries.inc({ stage });
+}
+
+/**
+ * Renders all metrics in the Prometheus text exposition format (version 0.0.4).
+ * @returns {string}
+ */
+export function renderMetrics() {
+    // Zero retry counters for every stage, so rate() works before the first retry.
+    for (const stage of STAGES) upstreamRetries.inc({ stage }, 0);
+    return `${ALL_METRICS.map(metric => metric.render()).join('\n')}\n`;
+}
+
+/**
+ * Clears all metrics (e.g. between tests).
+ */
+export function resetMetrics() {
+    ALL_METRICS.forEach(metric => metric.reset());
+}
@@ -0,0 +1,182 @@
+// File: lib/mood-trends.js
+// Aggregates mood journal entries into chartable trends: emotion counts per day or
+// week, the most frequent emotions, and journaling streaks. Crisis turns carry no
+// emotion label (see recordJournalEntry in lib/pipeline.js); they count as entries
+// and are reported per period as `highRisk`, outside the emotion counts.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} MoodBucket
+ * @property {string} period - Day ('YYYY-MM-DD') or the Monday starting the ISO week.
+ * @property {number} total - Entries in the period.
+ * @property {number} highRisk - Entries that were high-risk (crisis) turns.
+ * @property {Object<string, number>} emotions - Entry count per emotion label.
+ * @property {string|null} dominantEmotion - Most frequent label (null for empty periods).
+ */
+
+/**
+ * @typedef {Object} MoodTrends
+ * @property {'day'|'week'} groupBy
+ * @property {string} timeZone - IANA time zone the periods are in.
+ * @property {number} totalEntries
+ * @property {MoodBucket[]} buckets - Every period in the range, oldest first (empty ones included).
+ * @property {Array<{emotion: string, count: number, share: number}>} topEmotions - Most frequent first.
+ * @property {{currentDays: number, longestDays: number, currentEmotion: {emotion: string, days: number}|null}} streaks
+ *   - Consecutive days with at least one entry (the current streak survives until the end of a
+ *     day without entries), and how many of the latest days in a row had the same dominant emotion.
+ */
+
+/**
+ * Returns the calendar day of a timestamp in a time zone.
+ * @param {number} timestamp - Epoch millis.
+ * @param {string} timeZone - IANA time zone.
+ * @returns {string} - 'YYYY-MM-DD'.
+ */
+function dayKey(timestamp, timeZone) {
+    // en-CA formats dates as YYYY-MM-DD.
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .format(new Date(timestamp));
+}
+
+/**
+ * Moves a day key by a number of days.
+ * @param {string} day - 'YYYY-MM-DD'.
+ * @param {number} days - Offset (may be negative).
+ * @returns {string}
+ */
+function addDays(day, days) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the Monday starting the ISO week that contains a day.
+ * @param {string} day - 'YYYY-MM-DD'.
+ * @returns {string}
+ */
+function weekKey(day) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+    return addDays(day, -((weekday + 6) % 7));
+}
+
+/**
+ * Picks the most frequent label; ties go to the label seen most recently.
+ * @param {Object<string, number>} counts - Count per label.
+ * @param {Object<string, number>} lastSeen - Latest timestamp per label.
+ * @returns {string|null}
+ */
+function dominant(counts, lastSeen) {
+    let best = null;
+    for (const [emotion, count] of Object.entries(counts)) {
+        if (best === null || count > counts[best] || (count === counts[best] && lastSeen[emotion] > lastSeen[best])) {
+            best = emotion;
+        }
+    }
+    return best;
+}
+
+/**
+ * Checks that a time zone name is one Intl knows.
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Berlin'.
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Computes mood trends for a range of journal entries.
+ * @param {import('./journal-store.js').JournalEntry[]} entries - Entries in the range (any order).
+ * @param {Object} options
+ * @param {number} options.from - Range start, epoch millis.
+ * @param {number} options.to - Range end (exclusive), epoch millis.
+ * @param {'day'|'week'} [options.groupBy] - Period size (default 'day').
+ * @param {string} [options.timeZone] - IANA time zone for day boundaries (default 'UTC').
+ * @param {number} [options.now] - Current time, for the current streak (default Date.now()).
+ * @returns {MoodTrends}
+ */
+export function computeMoodTrends(entries, { from, to, groupBy = 'day', timeZone = 'UTC', now = Date.now() }) {
+    const periodOf = timestamp => groupBy === 'week' ? weekKey(dayKey(timestamp, timeZone)) : dayKey(timestamp, timeZone);
+    const sorted = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+
+    // --- Per-period and per-day counts ---
+    const buckets = new Map();
+    const days = new Map(); // day -> { counts, lastSeen }
+    const totals = {};
+    for (const entry of sorted) {
+        const period = periodOf(entry.timestamp);
+        const bucket = buckets.get(period) || { period, total: 0, highRisk: 0, emotions: {}, lastSeen: {} };
+        bucket.total++;
+        if (entry.riskLevel === 'high') bucket.highRisk++;
+        buckets.set(period, bucket);
+
+        const day = dayKey(entry.timestamp, timeZone);
+        const dayCounts = days.get(day) || { counts: {}, lastSeen: {} };
+        days.set(day, dayCounts);
+        if (!entry.emotion) continue;
+
+        bucket.emotions[entry.emotion] = (bucket.emotions[entry.emotion] || 0) + 1;
+        bucket.lastSeen[entry.emotion] = entry.timestamp;
+        dayCounts.counts[entry.emotion] = (dayCounts.counts[entry.emotion] || 0) + 1;
+        dayCounts.lastSeen[entry.emotion] = entry.timestamp;
+
+        totals[entry.emotion] = (totals[entry.emotion] || 0) + 1;
+    }
+
+    // Every period in the range, so charts get explicit zeros for quiet days.
+    const filled = [];
+    const lastPeriod = periodOf(to - 1);
+    for (let period = periodOf(from); period <= lastPeriod; period = addDays(period, groupBy === 'week' ? 7 : 1)) {
+        const bucket = buckets.get(period);
+        filled.push(bucket
+            ? { period, total: bucket.total, highRisk: bucket.highRisk, emotions: bucket.emotions, dominantEmotion: dominant(bucket.emotions, bucket.lastSeen) }
+            : { period, total: 0, highRisk: 0, emotions: {}, dominantEmotion: null });
+    }
+
+    const topEmotions = Object.entries(totals)
+        .map(([emotion, count]) => ({ emotion, count, share: Math.round(count / sorted.length * 1000) / 1000 }))
+        .sort((a, b) => b.count - a.count || a.emotion.localeCompare(b.emotion));
+
+    // --- Streaks ---
+    const activeDays = [...days.keys()].sort();
+    let longestDays = 0;
+    let run = 0;
+    activeDays.forEach((day, index) => {
+        run = index > 0 && addDays(activeDays[index - 1], 1) === day ? run + 1 : 1;
+        longestDays = Math.max(longestDays, run);
+    });
+
+    const today = dayKey(now, timeZone);
+    let cursor = days.has(today) ? today : addDays(today, -1);
+    let currentDays = 0;
+    while (days.has(cursor)) {
+        currentDays++;
+        cursor = addDays(cursor, -1);
+    }
+
+    let currentEmotion = null;
+    if (activeDays.length) {
+        const latestDay = activeDays.at(-1);
+        const emotion = dominant(days.get(latestDay).counts, days.get(latestDay).lastSeen);
+        let streakDays = 0;
+        for (let day = latestDay; days.has(day); day = addDays(day, -1)) {
+            if (dominant(days.get(day).counts, days.get(day).lastSeen) !== emotion) break;
+            streakDays++;
+        }
+        if (emotion) currentEmotion = { emotion, days: streakDays };
+    }
+
+    return {
+        groupBy,
+        timeZone,
+        totalEntries: sorted.length,
+        buckets: filled,
+        topEmotions,
+        streaks: { currentDays, longestDays, currentEmotion },
+    };
+}
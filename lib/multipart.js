@@ -0,0 +1,112 @@
+// File: lib/multipart.js
+// Media type parsing and MIME multipart bodies: reading multipart/form-data
+// uploads and writing multipart/mixed responses.
+
+import { randomBytes } from 'crypto';
+import { RequestValidationError } from './errors.js';
+
+// Uploads carry one audio file and a handful of short fields.
+const MAX_PARTS = 20;
+
+/**
+ * @typedef {Object} MultipartPart
+ * @property {string|null} name - Form field name from Content-Disposition.
+ * @property {string|null} filename - File name, for file parts.
+ * @property {string|null} contentType - The part's media type (lower case, without parameters).
+ * @property {Buffer} data - The part's body.
+ */
+
+/**
+ * Splits a Content-Type (or Accept entry) into its media type and parameters.
+ * @param {string} [value] - e.g. 'multipart/form-data; boundary="abc"'.
+ * @returns {{type: string, params: Object<string, string>}} - Type and parameter names in lower case;
+ *   `type` is '' when the header is missing.
+ */
+export function parseMediaType(value) {
+    const [type, ...rest] = String(value ?? '').split(';');
+    const params = {};
+    for (const param of rest) {
+        const match = param.trim().match(/^([^=\s]+)\s*=\s*(?:"([^"]*)"|(\S*))$/);
+        if (match) params[match[1].toLowerCase()] = match[2] ?? match[3];
+    }
+    return { type: type.trim().toLowerCase(), params };
+}
+
+/**
+ * Reads a parameter of a Content-Disposition header, e.g. `name` in 'form-data; name="audio"'.
+ * @param {string} disposition - The header value.
+ * @param {string} param - Parameter name.
+ * @returns {string|null}
+ */
+function dispositionParam(disposition, param) {
+    const match = disposition.match(new RegExp(`(?:^|;)\\s*${param}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+    return match ? (match[1] ?? match[2]) : null;
+}
+
+/**
+ * Parses a multipart body (RFC 2046 / RFC 7578).
+ * @param {Buffer} body - The raw request body.
+ * @param {string} [boundary] - The boundary parameter of the Content-Type.
+ * @returns {MultipartPart[]}
+ * @throws {RequestValidationError} - If the boundary is missing or the body is malformed.
+ */
+export function parseMultipart(body, boundary) {
+    if (!boundary || boundary.length > 70) {
+        throw new RequestValidationError("Multipart request is missing a valid 'boundary' in its Content-Type.");
+    }
+    const delimiter = Buffer.from(`--${boundary}`);
+    const nextDelimiter = Buffer.from(`\r\n--${boundary}`);
+    const malformed = () => new RequestValidationError("Malformed multipart body.");
+
+    let position = body.indexOf(delimiter);
+    if (position === -1) throw malformed();
+
+    const parts = [];
+    for (;;) {
+        position += delimiter.length;
+        if (body[position] === 0x2d && body[position + 1] === 0x2d) break; // "--": closing delimiter
+
+        // Headers run from the line after the delimiter to the first empty line.
+        const lineEnd = body.indexOf('\r\n', position);
+        const headerEnd = body.indexOf('\r\n\r\n', position);
+        if (lineEnd === -1 || headerEnd === -1) throw malformed();
+        const headers = {};
+        if (headerEnd > lineEnd) {
+            for (const line of body.toString('utf8', lineEnd + 2, headerEnd).split('\r\n')) {
+                const colon = line.indexOf(':');
+                if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+            }
+        }
+
+        const dataEnd = body.indexOf(nextDelimiter, headerEnd + 4);
+        if (dataEnd === -1) throw malformed();
+        const disposition = headers['content-disposition'] || '';
+        parts.push({
+            name: dispositionParam(disposition, 'name'),
+            filename: dispositionParam(disposition, 'filename'),
+            contentType: headers['content-type'] ? parseMediaType(headers['content-type']).type : null,
+            data: body.subarray(headerEnd + 4, dataEnd),
+        });
+        if (parts.length > MAX_PARTS) {
+            throw new RequestValidationError(`Multipart request has more than ${MAX_PARTS} parts.`);
+        }
+        position = dataEnd + 2; // Points at the next "--boundary"
+    }
+    return parts;
+}
+
+/**
+ * Builds a multipart body, e.g. for a multipart/mixed response.
+ * @param {Array<{headers: Object<string, string>, data: Buffer|string}>} parts - Each part's headers and body.
+ * @param {string} [boundary] - Boundary to use (random by default).
+ * @returns {{boundary: string, body: Buffer}}
+ */
+export function buildMultipart(parts, boundary = `----zenari-${randomBytes(12).toString('hex')}`) {
+    const chunks = [];
+    for (const { headers, data } of parts) {
+        const headerLines = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+        chunks.push(Buffer.from(`--${boundary}\r\n${headerLines}\r\n`), Buffer.from(data), Buffer.from('\r\n'));
+    }
+    chunks.push(Buffer.from(`--${boundary}--\r\n`));
+    return { boundary, body: Buffer.concat(chunks) };
+}
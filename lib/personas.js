@@ -0,0 +1,215 @@
+// File: lib/personas.js
+// Loads and validates the persona config (config/personas.js by default).
+// Validation runs when this module is first imported, so a bad config fails the
+// deployment's first request loudly instead of producing odd replies later.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import defaultPersonas from '../config/personas.js';
+import { EMOTION_LABELS, TYPICAL_INTENSITY } from './emotions.js';
+import { logger } from './logger.js';
+
+const SSML_GENDERS = ['FEMALE', 'MALE', 'NEUTRAL'];
+
+// Ranges Google TTS accepts for each prosody setting.
+const PROSODY_RANGES = {
+    rate: [0.25, 4.0],
+    pitch: [-20, 20],
+    volumeDb: [-96, 16],
+    sentencePauseMs: [0, 5000],
+};
+
+/**
+ * @typedef {Object} Prosody
+ * @property {number} rate - Speaking rate (1.0 = normal).
+ * @property {number} pitch - Pitch shift in semitones.
+ * @property {number} volumeDb - Volume change in dB.
+ * @property {number} sentencePauseMs - Extra pause inserted between sentences.
+ */
+
+/**
+ * @typedef {Object} Persona
+ * @property {string} id
+ * @property {string} name
+ * @property {string} systemPrompt
+ * @property {string[]} emotions
+ * @property {{ssmlGender: string, names?: Object<string, string>}} voice
+ * @property {{default?: Partial<Prosody>, emotions?: Object<string, Partial<Prosody>>, exercise?: Partial<Prosody>}} prosody
+ */
+
+/**
+ * Checks a persona list and returns every problem found.
+ * @param {unknown} personas - The loaded config.
+ * @returns {string[]} - Human-readable problems; empty if the config is valid.
+ */
+export function validatePersonas(personas) {
+    const problems = [];
+    if (!Array.isArray(personas) || personas.length === 0) {
+        return ['Persona config must export a non-empty array.'];
+    }
+
+    const seen = new Set();
+    personas.forEach((persona, index) => {
+        const where = `persona[${index}]${persona?.id ? ` ("${persona.id}")` : ''}`;
+        if (!persona || typeof persona !== 'object') {
+            problems.push(`${where} must be an object.`);
+            return;
+        }
+        if (typeof persona.id !== 'string' || !/^[a-z0-9_-]{1,32}$/.test(persona.id)) {
+            problems.push(`${where}: 'id' must be 1-32 characters from a-z, 0-9, '_' and '-'.`);
+        } else if (seen.has(persona.id)) {
+            problems.push(`${where}: duplicate id.`);
+        } else {
+            seen.add(persona.id);
+        }
+        if (typeof persona.name !== 'string' || !persona.name.trim()) {
+            problems.push(`${where}: 'name' must be a non-empty string.`);
+        }
+        if (typeof persona.systemPrompt !== 'string' || !persona.systemPrompt.trim()) {
+            problems.push(`${where}: 'systemPrompt' must be a non-empty string.`);
+        }
+
+        const emotions = persona.emotions;
+        if (!Array.isArray(emotions) || !emotions.every(e => typeof e === 'string' && /^[a-z_]+$/.test(e))) {
+            problems.push(`${where}: 'emotions' must be an array of lower-case labels.`);
+        } else {
+            if (!emotions.includes('neutral')) {
+                problems.push(`${where}: 'emotions' must include 'neutral' (used as the fallback label).`);
+            }
+            const unknown = emotions.filter(e => !EMOTION_LABELS.includes(e));
+            if (unknown.length) {
+                problems.push(`${where}: 'emotions' has labels outside the taxonomy (${unknown.join(', ')}); use ${EMOTION_LABELS.join(', ')}.`);
+            }
+        }
+
+        if (!persona.voice || !SSML_GENDERS.includes(persona.voice.ssmlGender)) {
+            problems.push(`${where}: 'voice.ssmlGender' must be one of ${SSML_GENDERS.join(', ')}.`);
+        }
+        if (persona.voice?.names !== undefined &&
+            (typeof persona.voice.names !== 'object' || !Object.values(persona.voice.names).every(n => typeof n === 'string'))) {
+            problems.push(`${where}: 'voice.names' must map language codes to voice names.`);
+        }
+
+        const checkProsody = (prosody, label) => {
+            if (typeof prosody !== 'object' || prosody === null) {
+                problems.push(`${where}: ${label} must be an object.`);
+                return;
+            }
+            for (const [key, value] of Object.entries(prosody)) {
+                const range = PROSODY_RANGES[key];
+                if (!range) {
+                    problems.push(`${where}: ${label}.${key} is not a known prosody setting.`);
+                } else if (typeof value !== 'number' || value < range[0] || value > range[1]) {
+                    problems.push(`${where}: ${label}.${key} must be a number from ${range[0]} to ${range[1]}.`);
+                }
+            }
+        };
+        if (persona.prosody?.default !== undefined) checkProsody(persona.prosody.default, 'prosody.default');
+        if (persona.prosody?.exercise !== undefined) checkProsody(persona.prosody.exercise, 'prosody.exercise');
+        for (const [emotion, prosody] of Object.entries(persona.prosody?.emotions || {})) {
+            if (Array.isArray(emotions) && !emotions.includes(emotion)) {
+                problems.push(`${where}: prosody.emotions.${emotion} is not in 'emotions'.`);
+            }
+            checkProsody(prosody, `prosody.emotions.${emotion}`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Loads personas from PERSONAS_CONFIG (a .js module with a default export, or a
+ * .json file) when set, otherwise from config/personas.js.
+ * @returns {Promise<Persona[]>}
+ */
+async function loadPersonas() {
+    const configPath = process.env.PERSONAS_CONFIG;
+    if (!configPath) return defaultPersonas;
+
+    const resolved = path.resolve(configPath);
+    logger.info("Loading personas.", { path: resolved });
+    if (resolved.endsWith('.json')) {
+        return JSON.parse(await fs.readFile(resolved, 'utf8'));
+    }
+    return (await import(pathToFileURL(resolved).href)).default;
+}
+
+// --- Startup Validation ---
+const personas = await loadPersonas();
+const problems = validatePersonas(personas);
+if (problems.length) {
+    throw new Error(`FATAL: Invalid persona config:\n- ${problems.join('\n- ')}`);
+}
+
+const personasById = new Map(personas.map(persona => [persona.id, persona]));
+const DEFAULT_PERSONA_ID = process.env.DEFAULT_PERSONA_ID || personas[0].id;
+if (!personasById.has(DEFAULT_PERSONA_ID)) {
+    throw new Error(`FATAL: DEFAULT_PERSONA_ID "${DEFAULT_PERSONA_ID}" is not a configured persona.`);
+}
+
+/**
+ * Returns a persona by ID, or the default persona when no ID is given.
+ * @param {string} [personaId] - Persona ID from the request.
+ * @returns {Persona|null} - The persona, or null if the ID is unknown.
+ */
+export function getPersona(personaId) {
+    return personasById.get(personaId ?? DEFAULT_PERSONA_ID) || null;
+}
+
+/**
+ * Lists the configured persona IDs.
+ * @returns {string[]}
+ */
+export function getPersonaIds() {
+    return [...personasById.keys()];
+}
+
+/**
+ * Maps a model-produced emotion label onto the persona's allowed set.
+ * @param {Persona} persona - The active persona.
+ * @param {string} emotion - Label from Gemini (any case).
+ * @returns {string} - The label, or 'neutral' if the persona doesn't allow it.
+ */
+export function normalizeEmotion(persona, emotion) {
+    const label = typeof emotion === 'string' ? emotion.trim().toLowerCase() : '';
+    return persona.emotions.includes(label) ? label : 'neutral';
+}
+
+/**
+ * Resolves the prosody for an emotion: built-in defaults, then the persona's
+ * default, then its override for the emotion. The override is tuned for a
+ * typical intensity (0.5); its distance from the default grows with the
+ * intensity, from none at 0 to twice as far at 1, within the ranges TTS accepts.
+ * @param {Persona} persona - The active persona.
+ * @param {string} [emotion] - Emotion label.
+ * @param {number} [intensity] - Emotion intensity, 0-1.
+ * @returns {Prosody}
+ */
+export function resolveProsody(persona, emotion, intensity = TYPICAL_INTENSITY) {
+    const base = { rate: 1.0, pitch: 0, volumeDb: 0, sentencePauseMs: 0, ...persona.prosody?.default };
+    const override = persona.prosody?.emotions?.[emotion?.toLowerCase()] || {};
+    const scale = Math.min(1, Math.max(0, intensity)) / TYPICAL_INTENSITY;
+
+    const prosody = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        const [min, max] = PROSODY_RANGES[key];
+        const scaled = scale === 1 ? value : base[key] + (value - base[key]) * scale;
+        prosody[key] = Math.min(max, Math.max(min, scaled));
+    }
+    prosody.sentencePauseMs = Math.round(prosody.sentencePauseMs);
+    return prosody;
+}
+
+/**
+ * Resolves the prosody for guided exercise steps: the persona's `exercise` setting
+ * on top of its default, or its calm voice if it has none. Steps carry their own
+ * pauses, so there is no extra pause between sentences.
+ * @param {Persona} persona - The active persona.
+ * @returns {Prosody}
+ */
+export function resolveExerciseProsody(persona) {
+    const base = persona.prosody?.exercise
+        ? { ...resolveProsody(persona), ...persona.prosody.exercise }
+        : resolveProsody(persona, 'calm');
+    return { ...base, sentencePauseMs: 0 };
+}
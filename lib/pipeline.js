@@ -0,0 +1,214 @@
+// File: lib/pipeline.js
+// Steps shared by the API routes between transcription and speech synthesis:
+// crisis risk assessment, reply generation, conversation memory and the mood journal.
+
+import {
+    getConversationStore,
+    createEmptySession,
+    SESSION_TTL_MS,
+    MAX_HISTORY_TURNS,
+    HISTORY_TURNS_AFTER_SUMMARY,
+} from './conversation-store.js';
+import { assessRisk, buildCrisisReply, getCrisisResources } from './safety.js';
+import { getRiskEventStore, createRiskEvent } from './risk-event-store.js';
+import { DEFAULT_LANGUAGE_CODE } from './languages.js';
+import { getJournalStore, createJournalEntry } from './journal-store.js';
+import { defaultEmotionAnalysis } from './emotions.js';
+import { classifyRiskWithGemini, getGeminiResponse, summarizeConversation, summarizeJournalEntry } from './llm.js';
+import { logger } from './logger.js';
+
+// --- Risk Assessment ---
+/**
+ * Assesses the transcript for crisis risk and records an event when it isn't 'none'.
+ * Runs before Gemini so a high-risk message never gets a free-form reply.
+ * @param {string} transcript - The user's transcript (may be empty).
+ * @param {{userId?: string, sessionId?: string, locale?: string}} context - Request context for the risk event;
+ *   userId links it to the authenticated user, also for stateless requests without a session.
+ * @returns {Promise<{risk: import('./safety.js').RiskAssessment, riskEventId?: string}>}
+ */
+export async function assessAndRecordRisk(transcript, { userId, sessionId, locale } = {}) {
+    const risk = await assessRisk(transcript, { modelCheck: classifyRiskWithGemini });
+    let riskEventId;
+    if (risk.riskLevel !== 'none') {
+        logger.warn("Risk detected.", { riskLevel: risk.riskLevel, categories: risk.categories, sources: risk.sources });
+        const riskEvent = createRiskEvent(risk, { userId, sessionId, locale });
+        try {
+            await getRiskEventStore().record(riskEvent);
+            riskEventId = riskEvent.id;
+        } catch (error) {
+            logger.error("Failed to record risk event.", { error });
+        }
+    }
+    return { risk, riskEventId };
+}
+
+// --- Reply Generation ---
+/**
+ * Gets the emotion analysis and the persona's reply: the fixed crisis reply for high risk, Gemini otherwise.
+ * @param {Object} turn
+ * @param {string} turn.transcript - The user's transcript.
+ * @param {string} turn.languageCode - Language the user spoke.
+ * @param {import('./conversation-store.js').ConversationSession} turn.session - Prior conversation.
+ * @param {import('./safety.js').RiskAssessment} turn.risk - Result of assessAndRecordRisk.
+ * @param {string} [turn.locale] - Locale used to pick crisis resources.
+ * @param {import('./personas.js').Persona} [turn.persona] - Persona answering (default persona if omitted).
+ * @returns {Promise<{emotion: string, reply: string, analysis: import('./emotions.js').EmotionAnalysis, exercise?: import('./exercises.js').Exercise, replyLanguageCode: string}>}
+ */
+export async function generateReply({ transcript, languageCode, session, risk, locale, persona }) {
+    if (risk.riskLevel === 'high') {
+        // Reviewed, fixed wording with local helplines. Neutral keeps the default steady voice.
+        // The wording has only been reviewed in English, so it is always spoken in English.
+        logger.info("High risk detected. Returning fixed crisis response.");
+        return {
+            emotion: 'neutral',
+            reply: buildCrisisReply(risk, locale),
+            analysis: defaultEmotionAnalysis('neutral'),
+            replyLanguageCode: DEFAULT_LANGUAGE_CODE
+        };
+    }
+    const { emotion, reply, analysis, exercise } = await getGeminiResponse(transcript, session, { persona, riskLevel: risk.riskLevel, languageCode });
+    return { emotion, reply, analysis, exercise, replyLanguageCode: languageCode };
+}
+
+// --- Conversation Memory ---
+/**
+ * Builds the conversation store key. Session IDs come from the client, so they are
+ * scoped to the authenticated user: another user's sessionId only finds an empty
+ * session of the caller's own. Session IDs can't contain ':' (see isValidSessionId),
+ * so the key is unambiguous.
+ * @param {import('./auth.js').AuthenticatedUser} user - The authenticated caller.
+ * @param {string} sessionId - Validated client session ID.
+ * @returns {string}
+ */
+function sessionKey(user, sessionId) {
+    return `${user.userId}:${sessionId}`;
+}
+
+/**
+ * Loads the caller's conversation so far, or starts a fresh one.
+ * @param {import('./auth.js').AuthenticatedUser} user - The authenticated caller.
+ * @param {string|undefined} sessionId - Client session ID (a fresh, unsaved session without one).
+ * @returns {Promise<import('./conversation-store.js').ConversationSession>}
+ */
+export async function loadSession(user, sessionId) {
+    return (sessionId && await getConversationStore().get(sessionKey(user, sessionId))) || createEmptySession();
+}
+
+/**
+ * Appends the latest exchange to the session and, once the history grows past
+ * MAX_HISTORY_TURNS, summarizes the oldest turns so the prompt stays bounded.
+ * @param {import('./conversation-store.js').ConversationSession} session - Session to update (mutated).
+ * @param {string} transcript - The user's transcript.
+ * @param {{emotion: string, intensity?: number, exerciseId?: string, reply: string}} geminiResult - The companion's reply.
+ * @returns {Promise<import('./conversation-store.js').ConversationSession>} - The updated session.
+ */
+export async function appendTurn(session, transcript, { emotion, intensity, exerciseId, reply }) {
+    const now = Date.now();
+    session.turns.push(
+        { role: 'user', text: transcript, timestamp: now },
+        {
+            role: 'model',
+            text: reply,
+            emotion: emotion || 'neutral',
+            ...(intensity !== undefined && { intensity }),
+            ...(exerciseId && { exerciseId }),
+            timestamp: now
+        }
+    );
+
+    if (session.turns.length > MAX_HISTORY_TURNS) {
+        const foldCount = session.turns.length - HISTORY_TURNS_AFTER_SUMMARY;
+        const olderTurns = session.turns.slice(0, foldCount);
+        try {
+            session.summary = await summarizeConversation(session.summary, olderTurns);
+            logger.info("Summarized older turns into the session summary.", { turns: olderTurns.length });
+        } catch (error) {
+            // Summarization is best-effort; dropping the oldest turns still keeps the prompt bounded.
+            logger.warn("Failed to summarize conversation history, dropping oldest turns.", { error });
+        }
+        session.turns = session.turns.slice(foldCount);
+    }
+
+    session.updatedAt = now;
+    return session;
+}
+
+/**
+ * Saves the latest exchange to the session. Silence isn't worth remembering, and a
+ * storage failure shouldn't cost the user their reply, so errors are only logged.
+ * @param {import('./auth.js').AuthenticatedUser} user - The authenticated caller, who owns the session.
+ * @param {string|undefined} sessionId - Client session ID (no-op without one).
+ * @param {import('./conversation-store.js').ConversationSession} session - Session loaded for this request.
+ * @param {string} transcript - The user's transcript.
+ * @param {{emotion: string, intensity?: number, exerciseId?: string, reply: string}} result - The companion's reply.
+ */
+export async function rememberTurn(user, sessionId, session, transcript, result) {
+    if (!sessionId || !transcript) return;
+    try {
+        await appendTurn(session, transcript, result);
+        await getConversationStore().set(sessionKey(user, sessionId), session, SESSION_TTL_MS);
+    } catch (error) {
+        logger.warn("Failed to save conversation history.", { sessionId, error });
+    }
+}
+
+// --- Mood Journal ---
+/**
+ * Adds the turn to the user's mood journal with a short Gemini-written summary.
+ * Best-effort like rememberTurn: without a summary the entry is still saved, and a
+ * storage failure only costs the journal entry. Set JOURNAL_ENABLED=false to turn
+ * the journal off.
+ * High-risk turns are saved with their risk level only: their 'neutral' label just
+ * picks the steady crisis voice, so it isn't recorded as a mood, and the transcript
+ * isn't sent to Gemini for a summary.
+ * @param {import('./auth.js').AuthenticatedUser} user - The authenticated caller.
+ * @param {Object} turn
+ * @param {string} [turn.sessionId] - Conversation session.
+ * @param {string} turn.transcript - What the user said (summarized, not stored).
+ * @param {string} turn.emotion - Emotion label of the turn.
+ * @param {string} turn.riskLevel - Result of the risk assessment.
+ * @param {string} turn.languageCode - Language the user spoke.
+ * @param {import('./personas.js').Persona} turn.persona - Persona that replied.
+ * @returns {Promise<string|undefined>} - The new entry's ID, if one was saved.
+ */
+export async function recordJournalEntry(user, { sessionId, transcript, emotion, riskLevel, languageCode, persona }) {
+    if (!transcript || process.env.JOURNAL_ENABLED === 'false') return undefined;
+
+    const crisis = riskLevel === 'high';
+    let summary = null;
+    if (!crisis) {
+        try {
+            summary = await summarizeJournalEntry(transcript, emotion);
+        } catch (error) {
+            logger.warn("Failed to summarize the journal entry, saving it without a summary.", { error });
+        }
+    }
+    const entry = createJournalEntry(user.userId, {
+        sessionId, emotion: crisis ? null : emotion, riskLevel, summary, languageCode, personaId: persona.id,
+    });
+    try {
+        await getJournalStore().add(entry);
+        return entry.id;
+    } catch (error) {
+        logger.warn("Failed to save journal entry.", { userId: user.userId, error });
+        return undefined;
+    }
+}
+
+/**
+ * Response fields describing the risk assessment. For medium/high risk they include
+ * what the app needs to show an escalation UI.
+ * @param {import('./safety.js').RiskAssessment} risk - The risk assessment.
+ * @param {string} [locale] - Locale used to pick crisis resources.
+ * @param {string} [riskEventId] - ID of the recorded risk event.
+ * @returns {object}
+ */
+export function riskResponseFields(risk, locale, riskEventId) {
+    return {
+        riskLevel: risk.riskLevel,   // 'none' | 'low' | 'medium' | 'high'
+        ...((risk.riskLevel === 'medium' || risk.riskLevel === 'high') && {
+            crisisResources: getCrisisResources(locale),
+            riskEventId
+        }),
+    };
+}
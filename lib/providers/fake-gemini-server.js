@@ -0,0 +1,89 @@
+// File: lib/providers/fake-gemini-server.js
+// A local HTTP stand-in for the Gemini REST API, so GeminiRestProvider can be
+// exercised without network access. Point GEMINI_API_BASE_URL at its `baseUrl`.
+//
+// Run standalone: node lib/providers/fake-gemini-server.js [port]
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { fakeGeminiText, toGeminiResponse, toGenerateContentResponse, chunkText } from './fake.js';
+
+const ROUTE = /^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/;
+
+/**
+ * Starts the stand-in server.
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (default: 0, a free port).
+ * @param {string} [options.apiKey] - If set, requests must pass this key in the `x-goog-api-key` header.
+ * @param {(requestBody: object) => (string|{status: number, body?: string})} [options.respond]
+ *   - Produces the model text, or `{status, body}` to answer with an HTTP error. Default: fakeGeminiText.
+ * @returns {Promise<{baseUrl: string, requests: object[], close: () => Promise<void>}>}
+ *   - `requests` collects every parsed request body, for assertions.
+ */
+export async function startFakeGeminiServer({ port = 0, apiKey, respond = fakeGeminiText } = {}) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const route = url.pathname.match(ROUTE);
+
+        const sendJson = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        };
+
+        if (req.method !== 'POST' || !route) {
+            return sendJson(404, { error: { code: 404, message: 'Not found', status: 'NOT_FOUND' } });
+        }
+        if (apiKey && req.headers['x-goog-api-key'] !== apiKey) {
+            return sendJson(400, { error: { code: 400, message: 'API key not valid.', status: 'INVALID_ARGUMENT' } });
+        }
+
+        let raw = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            let requestBody;
+            try {
+                requestBody = JSON.parse(raw);
+            } catch {
+                return sendJson(400, { error: { code: 400, message: 'Invalid JSON payload.', status: 'INVALID_ARGUMENT' } });
+            }
+            requests.push(requestBody);
+
+            const result = respond(requestBody);
+            if (typeof result === 'object' && result !== null) {
+                res.writeHead(result.status, { 'Content-Type': 'application/json' });
+                return res.end(result.body ?? JSON.stringify({ error: { code: result.status, message: 'Fake error' } }));
+            }
+
+            if (route[2] === 'generateContent') {
+                return sendJson(200, toGenerateContentResponse(requestBody, result));
+            }
+            // streamGenerateContent?alt=sse
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            const chunks = chunkText(result);
+            chunks.forEach((chunk, i) => {
+                const response = toGeminiResponse(chunk);
+                if (i < chunks.length - 1) delete response.candidates[0].finishReason;
+                res.write(`data: ${JSON.stringify(response)}\r\n\r\n`);
+            });
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+    const { port: boundPort } = server.address();
+
+    return {
+        baseUrl: `http://127.0.0.1:${boundPort}/v1beta`,
+        requests,
+        close: () => new Promise(resolve => server.close(() => resolve())),
+    };
+}
+
+// Allow `node lib/providers/fake-gemini-server.js 8787` for manual testing.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const { baseUrl } = await startFakeGeminiServer({ port: parseInt(process.argv[2], 10) || 8787 });
+    console.log(`Fake Gemini API listening. Set GEMINI_API_BASE_URL=${baseUrl}`);
+}
@@ -0,0 +1,245 @@
+// File: lib/providers/fake.js
+// Deterministic offline providers for local development and tests.
+// Select them with STT_PROVIDER=fake, LLM_PROVIDER=fake and TTS_PROVIDER=fake.
+
+import { EMOTION_TAXONOMY } from '../emotions.js';
+
+const DEFAULT_FAKE_TRANSCRIPT = 'I have been feeling anxious about my exams.';
+
+// Keyword -> emotion label, checked in order. Used by the fake model to pick a label.
+const FAKE_EMOTION_KEYWORDS = [
+    [/\b(anxious|anxiety|worried|nervous|stressed|panic|panicking)\b/i, 'anxiety'],
+    [/\b(sad|down|lonely|cry|crying)\b/i, 'sadness'],
+    [/\b(scared|afraid|terrified)\b/i, 'fear'],
+    [/\b(angry|mad|furious|annoyed)\b/i, 'anger'],
+    [/\b(happy|great|excited|glad)\b/i, 'joy'],
+    [/\b(calm|relaxed|peaceful)\b/i, 'calm'],
+];
+
+// Speaking time per character of the fake TTS voice, for <mark> timepoints.
+const FAKE_MS_PER_CHARACTER = 70;
+
+// Keyword -> guided exercise the fake model starts, when the request offers exercises.
+const FAKE_EXERCISE_KEYWORDS = [
+    [/\b(panic|panicking|can't breathe)\b/i, 'box_breathing'],
+    [/\b(grounding|spiralling|spiraling)\b/i, 'grounding_54321'],
+    [/\b(body scan|tense|can't sleep)\b/i, 'body_scan'],
+];
+
+/**
+ * Names of the functions a generateContent request declares.
+ * @param {object} requestBody
+ * @returns {string[]}
+ */
+function declaredFunctions(requestBody) {
+    return (requestBody.tools || []).flatMap(tool => tool.functionDeclarations || []).map(declaration => declaration.name);
+}
+
+/**
+ * Speech-to-text provider that returns a fixed transcript.
+ */
+export class FakeSpeechToTextProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.transcript] - Transcript to return ('' simulates silence).
+     *   Defaults to FAKE_STT_TRANSCRIPT or a fixed sentence.
+     * @param {string} [options.languageCode] - Detected language to report (default: the requested one).
+     */
+    constructor({ transcript = process.env.FAKE_STT_TRANSCRIPT ?? DEFAULT_FAKE_TRANSCRIPT, languageCode } = {}) {
+        this.transcript = transcript;
+        this.languageCode = languageCode;
+        this.requests = [];
+        this.longRunningRequests = [];
+        this.stagedAudio = new Map(); // uri -> clip, until discarded
+    }
+
+    async recognize(request) {
+        this.requests.push(request);
+        return this.respond(request);
+    }
+
+    async stageAudio(audio) {
+        const uri = `fake://stt-uploads/${this.stagedAudio.size + 1}`;
+        this.stagedAudio.set(uri, audio);
+        return { uri, discard: async () => { this.stagedAudio.delete(uri); } };
+    }
+
+    async longRunningRecognize(request) {
+        this.longRunningRequests.push(request);
+        return this.respond(request);
+    }
+
+    // Builds a recognize response with the fixed transcript.
+    respond(request) {
+        if (!this.transcript) return { results: [] };
+        return {
+            results: [{
+                alternatives: [{ transcript: this.transcript, confidence: 0.99 }],
+                // Google reports detected languages in lower case
+                languageCode: (this.languageCode || request.config.languageCode).toLowerCase(),
+            }],
+        };
+    }
+}
+
+/**
+ * Produces the fake model's text for a Gemini request body. Recognizes the request
+ * types process-voice sends (risk classifier, conversation summary, journal line, JSON
+ * or streamed reply) and answers each in the format that request asks for.
+ * @param {object} requestBody - A generateContent request body.
+ * @returns {string} - The generated text.
+ */
+export function fakeGeminiText(requestBody) {
+    const systemText = requestBody.systemInstruction?.parts?.map(part => part.text).join('\n') || '';
+    const lastUserText = [...(requestBody.contents || [])].reverse()
+        .find(content => content.role === 'user')?.parts?.map(part => part.text).join('\n') || '';
+
+    if (systemText.includes('safety classifier')) {
+        return JSON.stringify({ riskLevel: 'none', categories: [] });
+    }
+    if (lastUserText.startsWith('Update the running summary')) {
+        return 'The user has been sharing how they feel and Aura has been listening.';
+    }
+    if (lastUserText.startsWith('Write a mood journal line')) {
+        const emotion = lastUserText.match(/^Detected emotion: (\w+)$/m)?.[1] || 'neutral';
+        return `Talked about feeling ${emotion}.`;
+    }
+
+    const emotion = FAKE_EMOTION_KEYWORDS.find(([pattern]) => pattern.test(lastUserText))?.[1] || 'neutral';
+    const reply = `Thank you for sharing that with me. It sounds like you are feeling some ${emotion}. I am here with you.`;
+    const intensity = emotion === 'neutral' ? 0.3 : 0.6;
+    if (systemText.includes('[primary_emotion_label')) {
+        return `[${emotion} ${intensity}] ${reply}`;
+    }
+    const { valence, arousal } = EMOTION_TAXONOMY[emotion];
+    const exerciseId = declaredFunctions(requestBody).includes('start_guided_exercise')
+        ? FAKE_EXERCISE_KEYWORDS.find(([pattern]) => pattern.test(lastUserText))?.[1]
+        : undefined;
+    return JSON.stringify({ emotion, intensity, confidence: 0.9, secondaryEmotions: [], valence, arousal, reply, exerciseId });
+}
+
+/**
+ * Wraps generated text in the generateContent response shape.
+ * @param {string} text - Generated text.
+ * @param {string} [finishReason] - Candidate finish reason.
+ * @returns {object}
+ */
+export function toGeminiResponse(text, finishReason = 'STOP') {
+    return {
+        candidates: [{
+            content: { role: 'model', parts: [{ text }] },
+            finishReason,
+        }],
+    };
+}
+
+/**
+ * Builds the generateContent response to a request. When the request declares
+ * functions, JSON object text becomes the function call Gemini would make in
+ * mode ANY: start_guided_exercise if it has an exerciseId, reply otherwise.
+ * Other text (e.g. a test's malformed output) is returned as text.
+ * @param {object} requestBody - The generateContent request body.
+ * @param {string} text - Generated text (see fakeGeminiText).
+ * @returns {object}
+ */
+export function toGenerateContentResponse(requestBody, text) {
+    if (declaredFunctions(requestBody).length) {
+        let args = null;
+        try {
+            args = JSON.parse(text);
+        } catch {
+            // Not JSON: answer with the text itself.
+        }
+        if (args && typeof args === 'object' && !Array.isArray(args)) {
+            const name = args.exerciseId !== undefined ? 'start_guided_exercise' : 'reply';
+            return {
+                candidates: [{
+                    content: { role: 'model', parts: [{ functionCall: { name, args } }] },
+                    finishReason: 'STOP',
+                }],
+            };
+        }
+    }
+    return toGeminiResponse(text);
+}
+
+/**
+ * Splits text into a few chunks on word boundaries, to imitate streamed output.
+ * @param {string} text - Text to split.
+ * @param {number} [chunkCount] - Number of chunks to aim for.
+ * @returns {string[]}
+ */
+export function chunkText(text, chunkCount = 3) {
+    const words = text.split(/(?<=\s)/);
+    const size = Math.max(1, Math.ceil(words.length / chunkCount));
+    const chunks = [];
+    for (let i = 0; i < words.length; i += size) {
+        chunks.push(words.slice(i, i + size).join(''));
+    }
+    return chunks;
+}
+
+/**
+ * LLM provider that answers without calling Gemini. Same interface as GeminiRestProvider.
+ */
+export class FakeLlmProvider {
+    /**
+     * @param {Object} [options]
+     * @param {(requestBody: object) => string} [options.respond] - Produces the model text (default: fakeGeminiText).
+     */
+    constructor({ respond = fakeGeminiText } = {}) {
+        this.respond = respond;
+        this.requests = [];
+    }
+
+    async generateContent(requestBody) {
+        this.requests.push(requestBody);
+        return toGenerateContentResponse(requestBody, this.respond(requestBody));
+    }
+
+    async *streamGenerateContent(requestBody) {
+        this.requests.push(requestBody);
+        const chunks = chunkText(this.respond(requestBody));
+        for (const [i, chunk] of chunks.entries()) {
+            const response = toGeminiResponse(chunk);
+            if (i < chunks.length - 1) delete response.candidates[0].finishReason;
+            yield response;
+        }
+    }
+}
+
+/**
+ * Times the <mark>s in SSML as if every character took FAKE_MS_PER_CHARACTER to
+ * say (entities count as one), plus the <break>s.
+ * @param {string} ssml
+ * @returns {Array<{markName: string, timeSeconds: number}>}
+ */
+function fakeTimepoints(ssml) {
+    const timepoints = [];
+    let elapsedMs = 0;
+    for (const [, markName, breakMs, text] of ssml.matchAll(/<mark name="([^"]*)"\/>|<break time="(\d+)ms"\/>|<[^>]*>|([^<]+)/g)) {
+        if (markName !== undefined) timepoints.push({ markName, timeSeconds: elapsedMs / 1000 });
+        else if (breakMs !== undefined) elapsedMs += Number(breakMs);
+        else if (text !== undefined) elapsedMs += text.replace(/&\w+;/g, '_').length * FAKE_MS_PER_CHARACTER;
+    }
+    return timepoints;
+}
+
+/**
+ * Text-to-speech provider that returns deterministic bytes instead of MP3 audio.
+ * The "audio" is the voice name and SSML, so tests can check what would have been spoken.
+ * <mark> timepoints are reported when requested (see fakeTimepoints).
+ */
+export class FakeTextToSpeechProvider {
+    constructor() {
+        this.requests = [];
+    }
+
+    async synthesizeSpeech(request) {
+        this.requests.push(request);
+        const voice = request.voice?.name || request.voice?.languageCode;
+        const audioContent = Buffer.from(`FAKE_AUDIO|${voice}|${request.input.ssml ?? request.input.text}`);
+        if (!request.enableTimePointing?.includes('SSML_MARK')) return { audioContent };
+        return { audioContent, timepoints: fakeTimepoints(request.input.ssml) };
+    }
+}
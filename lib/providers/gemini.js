@@ -0,0 +1,80 @@
+// File: lib/providers/gemini.js
+// LLM provider that talks to the Gemini REST API.
+
+import fetch from 'node-fetch';
+import { parseSseJson } from '../response-stream.js';
+import { ConfigurationError } from '../errors.js';
+import { logger } from '../logger.js';
+
+export const DEFAULT_GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+export const DEFAULT_GEMINI_MODEL = 'gemini-1.5-flash';
+
+/**
+ * LLM provider backed by the Gemini REST API.
+ * Interface:
+ * - generateContent(requestBody, {signal})       -> Promise<object>   (generateContent response JSON)
+ * - streamGenerateContent(requestBody, {signal}) -> AsyncIterable<object> (one response chunk per SSE event)
+ * Failed calls throw an Error with the HTTP `status`, which lib/upstream.js uses to
+ * decide whether to retry.
+ */
+export class GeminiRestProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.apiKey] - Gemini API key (default: GEMINI_API_KEY).
+     * @param {string} [options.baseUrl] - API base URL (default: GEMINI_API_BASE_URL, or the public endpoint).
+     *   Point this at a local stand-in (see fake-gemini-server.js) to run without network access.
+     * @param {string} [options.model] - Model name (default: GEMINI_MODEL, or gemini-1.5-flash).
+     */
+    constructor({ apiKey = process.env.GEMINI_API_KEY, baseUrl = process.env.GEMINI_API_BASE_URL, model = process.env.GEMINI_MODEL } = {}) {
+        if (!apiKey) {
+            logger.warn("GEMINI_API_KEY environment variable is not set.");
+        }
+        this.apiKey = apiKey;
+        this.baseUrl = (baseUrl || DEFAULT_GEMINI_BASE_URL).replace(/\/+$/, '');
+        this.model = model || DEFAULT_GEMINI_MODEL;
+    }
+
+    /**
+     * Posts a request body to a Gemini model method and checks the response status.
+     * @param {'generateContent'|'streamGenerateContent'} method - The model method to call.
+     * @param {object} requestBody - The request payload.
+     * @param {string} [query] - Extra query string parameters, e.g. 'alt=sse'.
+     * @param {AbortSignal} [signal] - Cancels the request (used for timeouts).
+     * @returns {Promise<import('node-fetch').Response>} - The successful HTTP response.
+     * @throws {ConfigurationError} - If the key is missing.
+     * @throws {Error} - If the API responds with an error status (`status` is set).
+     */
+    async post(method, requestBody, query = '', signal) {
+        if (!this.apiKey) {
+            throw new ConfigurationError("Gemini API Key is not configured. Cannot call the API.");
+        }
+        // The key goes in a header: network errors quote the URL, and those messages end up in logs.
+        const API_URL = `${this.baseUrl}/models/${this.model}:${method}${query ? `?${query}` : ''}`;
+
+        const response = await fetch(API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': this.apiKey },
+            body: JSON.stringify(requestBody),
+            signal,
+        });
+
+        if (!response.ok) {
+            const errorBody = await response.text();
+            logger.error("Gemini API error response.", { status: response.status, body: errorBody });
+            const error = new Error(`Gemini API request failed: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    async generateContent(requestBody, { signal } = {}) {
+        const response = await this.post('generateContent', requestBody, '', signal);
+        return response.json();
+    }
+
+    async *streamGenerateContent(requestBody, { signal } = {}) {
+        const response = await this.post('streamGenerateContent', requestBody, 'alt=sse', signal);
+        yield* parseSseJson(response.body);
+    }
+}
@@ -0,0 +1,156 @@
+// File: lib/providers/google.js
+// Google Cloud Speech-to-Text and Text-to-Speech providers.
+// Clients are created on first use, so importing this module needs no credentials.
+//
+// Configuration (environment variables):
+//   STT_GCS_BUCKET   Cloud Storage bucket that compressed clips over a minute are uploaded
+//                    to for long-running recognition, which takes only about a minute of
+//                    inline audio. Uploads are deleted after recognition; add a lifecycle
+//                    rule to the bucket for any left behind by a crashed instance.
+
+import { randomUUID } from 'crypto';
+import { SpeechClient } from '@google-cloud/speech';
+import { Storage } from '@google-cloud/storage';
+import { v1beta1 } from '@google-cloud/text-to-speech';
+import { ConfigurationError } from '../errors.js';
+import { logger } from '../logger.js';
+
+// Object name prefix of the clips uploaded for long-running recognition.
+const STAGED_AUDIO_PREFIX = 'stt-uploads/';
+
+// --- Google Cloud Credentials Handling ---
+/**
+ * Determines how Google Cloud clients authenticate.
+ * @returns {object} - Client options for the Google Cloud client libraries.
+ */
+function getGoogleClientOptions() {
+    // Option 1 (Recommended for Vercel): Parse credentials from an environment variable.
+    // Set GOOGLE_CREDENTIALS_JSON with the *content* of your service account key file.
+    if (process.env.GOOGLE_CREDENTIALS_JSON) {
+        try {
+            const credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS_JSON);
+            logger.info("Using Google Cloud credentials from GOOGLE_CREDENTIALS_JSON env var.");
+            return { credentials };
+        } catch (e) {
+            // Only the error name: a JSON.parse message quotes the start of the (secret) input.
+            logger.error("Failed to parse GOOGLE_CREDENTIALS_JSON. Ensure it contains valid JSON.", { errorName: e.name });
+            // Decide if this is a fatal error depending on your setup
+        }
+    }
+    // Option 2 (Common for Local Development): Use GOOGLE_APPLICATION_CREDENTIALS.
+    // Set GOOGLE_APPLICATION_CREDENTIALS to the *path* of your service account key file.
+    // The Google Cloud client libraries automatically detect this variable.
+    // If GOOGLE_CREDENTIALS_JSON is set (Option 1), it takes precedence.
+    else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        logger.info("Using Google Cloud credentials from GOOGLE_APPLICATION_CREDENTIALS env var (path).");
+        // No need to load the file here, the client library handles it.
+    } else {
+        logger.warn("No Google Cloud credentials explicitly configured. Attempting default ADC (Application Default Credentials). This might work in some Cloud environments but requires setup locally (gcloud auth application-default login).");
+    }
+    // Let the library use ADC (which includes GOOGLE_APPLICATION_CREDENTIALS).
+    return {};
+}
+
+/**
+ * gax call options for one attempt. The client libraries take no AbortSignal, so
+ * a unary call is stopped by a gRPC deadline matching the attempt timeout (see
+ * callUpstream); gax's own retries are off, since lib/upstream.js retries.
+ * @param {number} [timeoutMs] - The attempt timeout.
+ * @returns {object}
+ */
+function callOptions(timeoutMs) {
+    return { retry: null, ...(timeoutMs && { timeout: timeoutMs }) };
+}
+
+/**
+ * Speech-to-text provider backed by Google Cloud STT.
+ * Interface: recognize(request, {signal, timeoutMs}) -> Promise<{results: Array<{alternatives: Array<{transcript: string}>, languageCode?: string, resultEndTime?: object}>}>
+ *            stageAudio(audio, {signal}) -> Promise<{uri: string, discard: () => Promise<void>}> (uploads a clip
+ *            for long-running recognition)
+ *            longRunningRecognize(request, {signal}) -> Promise<same shape> (resolves when the operation is done;
+ *            the operation is cancelled when the signal aborts)
+ */
+export class GoogleSpeechToTextProvider {
+    /**
+     * @param {object} [clientOptions] - Options for SpeechClient and Storage; defaults to the env-based credentials.
+     * @param {Object} [options]
+     * @param {string} [options.bucket] - Bucket for clips sent to long-running recognition (default: STT_GCS_BUCKET).
+     */
+    constructor(clientOptions, { bucket = process.env.STT_GCS_BUCKET } = {}) {
+        this.clientOptions = clientOptions;
+        this.bucket = bucket;
+        this.client = null;
+        this.storage = null;
+    }
+
+    async recognize(request, { timeoutMs } = {}) {
+        this.client ??= new SpeechClient(this.clientOptions ?? getGoogleClientOptions());
+        const [response] = await this.client.recognize(request, callOptions(timeoutMs));
+        return response;
+    }
+
+    /**
+     * Uploads a clip to the STT_GCS_BUCKET bucket, since long-running recognition only
+     * takes about a minute of inline audio. The upload can't be aborted; a timed-out
+     * one is left for the bucket's lifecycle rule.
+     * @param {Buffer} audio - The clip.
+     * @param {{signal?: AbortSignal}} [options]
+     * @returns {Promise<{uri: string, discard: () => Promise<void>}>} - The gs:// URI, and a function that deletes the upload.
+     * @throws {ConfigurationError} - If no bucket is configured.
+     */
+    async stageAudio(audio, { signal } = {}) {
+        if (!this.bucket) {
+            throw new ConfigurationError("STT_GCS_BUCKET is not configured. Compressed clips over a minute are uploaded there for long-running recognition.");
+        }
+        signal?.throwIfAborted();
+        this.storage ??= new Storage(this.clientOptions ?? getGoogleClientOptions());
+        const file = this.storage.bucket(this.bucket).file(`${STAGED_AUDIO_PREFIX}${randomUUID()}`);
+        await file.save(audio, { resumable: false, contentType: 'application/octet-stream' });
+        return {
+            uri: `gs://${this.bucket}/${file.name}`,
+            discard: async () => { await file.delete({ ignoreNotFound: true }); },
+        };
+    }
+
+    async longRunningRecognize(request, { signal } = {}) {
+        this.client ??= new SpeechClient(this.clientOptions ?? getGoogleClientOptions());
+        signal?.throwIfAborted();
+        const [operation] = await this.client.longRunningRecognize(request, callOptions());
+        // A timed-out caller has given up on the result; stop the recognition (and its billing).
+        const cancel = () => {
+            operation.cancel().catch(error => logger.warn("Failed to cancel long-running recognition.", { error }));
+        };
+        if (signal?.aborted) {
+            cancel();
+            signal.throwIfAborted();
+        }
+        signal?.addEventListener('abort', cancel, { once: true });
+        try {
+            const [response] = await operation.promise();
+            return response;
+        } finally {
+            signal?.removeEventListener('abort', cancel);
+        }
+    }
+}
+
+/**
+ * Text-to-speech provider backed by Google Cloud TTS. Uses the v1beta1 API, the
+ * one that reports <mark> timepoints (request.enableTimePointing).
+ * Interface: synthesizeSpeech(request, {signal, timeoutMs}) -> Promise<{audioContent: Buffer, timepoints?: Array<{markName: string, timeSeconds: number}>}>
+ */
+export class GoogleTextToSpeechProvider {
+    /**
+     * @param {object} [clientOptions] - Options for the v1beta1 TextToSpeechClient; defaults to the env-based credentials.
+     */
+    constructor(clientOptions) {
+        this.clientOptions = clientOptions;
+        this.client = null;
+    }
+
+    async synthesizeSpeech(request, { timeoutMs } = {}) {
+        this.client ??= new v1beta1.TextToSpeechClient(this.clientOptions ?? getGoogleClientOptions());
+        const [response] = await this.client.synthesizeSpeech(request, callOptions(timeoutMs));
+        return response;
+    }
+}
@@ -0,0 +1,86 @@
+// File: lib/providers/index.js
+// Chooses the STT, LLM and TTS providers used by the API routes.
+//
+// Configuration (environment variables):
+//   STT_PROVIDER = google (default) | fake
+//   LLM_PROVIDER = gemini (default) | fake
+//   TTS_PROVIDER = google (default) | fake
+//
+// Provider interfaces (duck-typed):
+//   stt.recognize(request, {signal, timeoutMs})     -> Promise<Google STT recognize response>
+//   stt.stageAudio(audio, {signal})                -> Promise<{uri, discard()}> (uploads a clip for long-running recognition)
+//   stt.longRunningRecognize(request, {signal})     -> Promise<Google STT recognize response> (for clips over a minute, by uri)
+//   llm.generateContent(requestBody, {signal})     -> Promise<Gemini generateContent response>
+//   llm.streamGenerateContent(requestBody, {signal}) -> AsyncIterable<Gemini response chunk>
+//   tts.synthesizeSpeech(request, {signal, timeoutMs}) -> Promise<{audioContent: Buffer, timepoints?: Array<{markName, timeSeconds}>}>
+//
+// `signal` aborts when the attempt times out and `timeoutMs` is the attempt timeout;
+// providers must stop the call by one or the other (see callUpstream).
+// Providers throw plain errors; lib/upstream.js adds timeouts and retries and maps
+// HTTP `status` / gRPC `code` properties on those errors to typed errors.
+
+import { GoogleSpeechToTextProvider, GoogleTextToSpeechProvider } from './google.js';
+import { GeminiRestProvider } from './gemini.js';
+import { FakeSpeechToTextProvider, FakeLlmProvider, FakeTextToSpeechProvider } from './fake.js';
+import { ConfigurationError } from '../errors.js';
+
+const PROVIDER_FACTORIES = {
+    stt: {
+        google: () => new GoogleSpeechToTextProvider(),
+        fake: () => new FakeSpeechToTextProvider(),
+    },
+    llm: {
+        gemini: () => new GeminiRestProvider(),
+        fake: () => new FakeLlmProvider(),
+    },
+    tts: {
+        google: () => new GoogleTextToSpeechProvider(),
+        fake: () => new FakeTextToSpeechProvider(),
+    },
+};
+
+const DEFAULT_PROVIDER_NAMES = { stt: 'google', llm: 'gemini', tts: 'google' };
+
+/**
+ * Creates a provider of the given kind from its configured name.
+ * @param {'stt'|'llm'|'tts'} kind - The pipeline stage.
+ * @returns {object} - The provider instance.
+ * @throws {ConfigurationError} - If the configured name is unknown.
+ */
+function createProvider(kind) {
+    const name = (process.env[`${kind.toUpperCase()}_PROVIDER`] || DEFAULT_PROVIDER_NAMES[kind]).toLowerCase();
+    const factory = PROVIDER_FACTORIES[kind][name];
+    if (!factory) {
+        throw new ConfigurationError(`Unknown ${kind.toUpperCase()}_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDER_FACTORIES[kind]).join(', ')}.`);
+    }
+    return factory();
+}
+
+// Providers are created on first use and then reused across requests.
+let activeProviders = {};
+
+/**
+ * Returns the providers used by the handlers, creating them from configuration on first use.
+ * @returns {{stt: object, llm: object, tts: object}}
+ */
+export function getProviders() {
+    activeProviders.stt ??= createProvider('stt');
+    activeProviders.llm ??= createProvider('llm');
+    activeProviders.tts ??= createProvider('tts');
+    return activeProviders;
+}
+
+/**
+ * Overrides some or all providers (e.g. in tests). Omitted ones keep their current value.
+ * @param {{stt?: object, llm?: object, tts?: object}} providers - Provider instances to use.
+ */
+export function setProviders(providers) {
+    activeProviders = { ...activeProviders, ...providers };
+}
+
+/**
+ * Drops all providers so the next getProviders() call re-reads configuration.
+ */
+export function resetProviders() {
+    activeProviders = {};
+}
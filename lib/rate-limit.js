@@ -0,0 +1,257 @@
+// File: lib/rate-limit.js
+// Per-user and per-IP request rate limits (sliding window) and a daily usage quota
+// counted in audio seconds transcribed and characters synthesized.
+//
+// Configuration (environment variables, read on every request; 0 turns a limit off):
+//   RATE_LIMIT_WINDOW_MS          sliding window length (default 60000)
+//   RATE_LIMIT_USER_MAX           requests per window per user (default 20)
+//   RATE_LIMIT_IP_MAX             requests per window per client IP (default 60)
+//   DAILY_AUDIO_SECONDS_QUOTA     audio seconds a user may transcribe per UTC day (default 1800)
+//   DAILY_TTS_CHARACTERS_QUOTA    characters a user may have synthesized per UTC day (default 100000)
+
+import { RateLimitError } from './errors.js';
+import { logger } from './logger.js';
+
+const DEFAULTS = {
+    RATE_LIMIT_WINDOW_MS: 60 * 1000,
+    RATE_LIMIT_USER_MAX: 20,
+    RATE_LIMIT_IP_MAX: 60,
+    DAILY_AUDIO_SECONDS_QUOTA: 30 * 60,
+    DAILY_TTS_CHARACTERS_QUOTA: 100000,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The in-memory store sweeps expired keys once it holds this many.
+const IN_MEMORY_SWEEP_THRESHOLD = 10000;
+
+/**
+ * @typedef {Object} Usage
+ * @property {number} audioSeconds - Seconds of audio sent to speech-to-text.
+ * @property {number} ttsCharacters - Characters sent to text-to-speech.
+ */
+
+const readLimit = name => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : DEFAULTS[name];
+};
+
+// --- Storage Interface ---
+/**
+ * Storage interface for rate-limit counters. Implement this over a shared store
+ * (e.g. Redis) when running more than one instance. All methods are async, and
+ * `hit` must check and record atomically.
+ *
+ * - hit(key, { limit, windowMs, now })  -> Promise<{allowed: boolean, remaining: number, retryAfterMs: number}>
+ * - getUsage(key)                        -> Promise<Usage>
+ * - addUsage(key, usage, ttlMs)          -> Promise<Usage> (the new totals; must add atomically.
+ *                                           Amounts may be negative, to release a reservation)
+ */
+export class RateLimitStore {
+    async hit(key, options) { throw new Error("RateLimitStore.hit not implemented"); }
+    async getUsage(key) { throw new Error("RateLimitStore.getUsage not implemented"); }
+    async addUsage(key, usage, ttlMs) { throw new Error("RateLimitStore.addUsage not implemented"); }
+}
+
+/**
+ * Default in-process store. Keeps the timestamps of recent hits per key (a sliding
+ * window log), and usage totals with an expiry. Counters are per instance.
+ */
+export class InMemoryRateLimitStore extends RateLimitStore {
+    constructor() {
+        super();
+        this.hits = new Map();  // key -> ascending hit timestamps
+        this.usage = new Map(); // key -> { audioSeconds, ttsCharacters, expiresAt }
+    }
+
+    async hit(key, { limit, windowMs, now = Date.now() }) {
+        const recent = (this.hits.get(key) || []).filter(timestamp => timestamp > now - windowMs);
+        if (recent.length >= limit) {
+            this.hits.set(key, recent);
+            return { allowed: false, remaining: 0, retryAfterMs: recent[0] + windowMs - now };
+        }
+        recent.push(now);
+        this.hits.set(key, recent);
+        if (this.hits.size > IN_MEMORY_SWEEP_THRESHOLD) this.sweep(now, windowMs);
+        return { allowed: true, remaining: limit - recent.length, retryAfterMs: 0 };
+    }
+
+    async getUsage(key) {
+        const entry = this.usage.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) return { audioSeconds: 0, ttsCharacters: 0 };
+        return { audioSeconds: entry.audioSeconds, ttsCharacters: entry.ttsCharacters };
+    }
+
+    async addUsage(key, { audioSeconds = 0, ttsCharacters = 0 }, ttlMs) {
+        const now = Date.now();
+        let entry = this.usage.get(key);
+        if (!entry || entry.expiresAt <= now) {
+            entry = { audioSeconds: 0, ttsCharacters: 0, expiresAt: now + ttlMs };
+            this.usage.set(key, entry);
+        }
+        entry.audioSeconds += audioSeconds;
+        entry.ttsCharacters += ttsCharacters;
+        return { audioSeconds: entry.audioSeconds, ttsCharacters: entry.ttsCharacters };
+    }
+
+    sweep(now, windowMs) {
+        for (const [key, timestamps] of this.hits) {
+            if (timestamps.at(-1) <= now - windowMs) this.hits.delete(key);
+        }
+        for (const [key, entry] of this.usage) {
+            if (entry.expiresAt <= now) this.usage.delete(key);
+        }
+    }
+}
+
+// --- Active Store ---
+let activeStore = new InMemoryRateLimitStore();
+
+/**
+ * Returns the store used by the handlers.
+ * @returns {RateLimitStore}
+ */
+export function getRateLimitStore() {
+    return activeStore;
+}
+
+/**
+ * Replaces the store used by the handlers.
+ * @param {RateLimitStore} store - The store implementation to use.
+ */
+export function setRateLimitStore(store) {
+    activeStore = store;
+}
+
+// --- Limits ---
+/**
+ * Returns the caller's IP as the platform saw it: X-Vercel-Forwarded-For or X-Real-IP
+ * (both set by Vercel), else the last X-Forwarded-For entry (the hop our proxy appended),
+ * else the socket address. Earlier X-Forwarded-For entries come from the client, so
+ * they could be changed on every request to dodge the per-IP limit.
+ * @param {import('http').IncomingMessage} req - The incoming request.
+ * @returns {string}
+ */
+export function getClientIp(req) {
+    const header = name => {
+        const value = req.headers?.[name];
+        return Array.isArray(value) ? value.join(',') : value;
+    };
+    const platformIp = [header('x-vercel-forwarded-for'), header('x-real-ip')]
+        .map(value => value?.split(',')[0].trim())
+        .find(Boolean);
+    const lastForwarded = header('x-forwarded-for')?.split(',').at(-1).trim();
+    return platformIp || lastForwarded || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Counts a request against a sliding-window limit.
+ * @param {string} key - Counter key.
+ * @param {string} limitName - Env var holding the limit.
+ * @param {string} who - Description for the error message.
+ * @throws {RateLimitError}
+ */
+async function enforceWindow(key, limitName, who) {
+    const limit = readLimit(limitName);
+    if (!limit) return;
+    const windowMs = readLimit('RATE_LIMIT_WINDOW_MS');
+    const result = await getRateLimitStore().hit(key, { limit, windowMs, now: Date.now() });
+    if (!result.allowed) {
+        logger.warn("Rate limit hit.", { key, limit, windowMs });
+        throw new RateLimitError(`Too many requests ${who}. Try again later.`, {
+            retryAfterSeconds: Math.max(1, Math.ceil(result.retryAfterMs / 1000)),
+        });
+    }
+}
+
+/**
+ * Counts a request against the per-IP limit. Runs before authentication, so
+ * credential guessing is limited too.
+ * @param {string} clientIp - From getClientIp.
+ * @throws {RateLimitError}
+ */
+export async function enforceIpRateLimit(clientIp) {
+    await enforceWindow(`ip:${clientIp}`, 'RATE_LIMIT_IP_MAX', 'from this address');
+}
+
+/**
+ * Key of a user's usage counter for the current UTC day.
+ * @param {string} userId - The user.
+ * @param {number} now - Epoch millis.
+ * @returns {string}
+ */
+const usageKey = (userId, now) => `usage:${userId}:${new Date(now).toISOString().slice(0, 10)}`;
+
+/**
+ * Counts a request against the per-user limit and refuses it if the user's daily
+ * quota is already used up.
+ * @param {import('./auth.js').AuthenticatedUser} user - The authenticated caller.
+ * @throws {RateLimitError}
+ */
+export async function enforceUserLimits(user) {
+    await enforceWindow(`user:${user.userId}`, 'RATE_LIMIT_USER_MAX', 'for this user');
+
+    const now = Date.now();
+    const usage = await getRateLimitStore().getUsage(usageKey(user.userId, now));
+    const audioQuota = readLimit('DAILY_AUDIO_SECONDS_QUOTA');
+    const charactersQuota = readLimit('DAILY_TTS_CHARACTERS_QUOTA');
+    const exhausted = [
+        audioQuota && usage.audioSeconds >= audioQuota && `${audioQuota} seconds of audio`,
+        charactersQuota && usage.ttsCharacters >= charactersQuota && `${charactersQuota} characters of speech`,
+    ].filter(Boolean);
+    if (exhausted.length) {
+        logger.warn("Daily quota used up.", { userId: user.userId, exhausted });
+        throw quotaError(`Daily quota of ${exhausted.join(' and ')} used up. It resets at midnight UTC.`, now);
+    }
+}
+
+/**
+ * The error for a request the daily quota doesn't cover; retry after midnight UTC.
+ * @param {string} message - Client message.
+ * @param {number} now - Epoch millis.
+ * @returns {RateLimitError}
+ */
+function quotaError(message, now) {
+    const nextUtcMidnight = Math.ceil((now + 1) / DAY_MS) * DAY_MS;
+    return new RateLimitError(message, { retryAfterSeconds: Math.ceil((nextUtcMidnight - now) / 1000), quota: true });
+}
+
+/**
+ * Reserves a recording's duration against the user's daily audio quota before it
+ * is sent to speech-to-text, and refuses it if it doesn't fit in what is left.
+ * The reservation is added up front, so parallel requests can't all pass the
+ * check. Settle it with recordUsage once STT reports the billed seconds (add the
+ * difference), or release it (add the negative) if STT fails.
+ * @param {import('./auth.js').AuthenticatedUser} user - The authenticated caller.
+ * @param {number} seconds - The recording's duration (from validateAudioRequest).
+ * @returns {Promise<number>} - The seconds reserved.
+ * @throws {RateLimitError}
+ */
+export async function reserveAudioSeconds(user, seconds) {
+    const now = Date.now();
+    const key = usageKey(user.userId, now);
+    const totals = await getRateLimitStore().addUsage(key, { audioSeconds: seconds }, DAY_MS);
+    const audioQuota = readLimit('DAILY_AUDIO_SECONDS_QUOTA');
+    if (audioQuota && totals.audioSeconds > audioQuota) {
+        await getRateLimitStore().addUsage(key, { audioSeconds: -seconds }, DAY_MS);
+        const left = Math.max(0, Math.floor(audioQuota - (totals.audioSeconds - seconds)));
+        logger.warn("Recording exceeds the daily audio quota.", { userId: user.userId, seconds, left });
+        throw quotaError(`This recording is ${Math.ceil(seconds)} seconds long, but only ${left} of the daily ${audioQuota} seconds of audio are left. The quota resets at midnight UTC.`, now);
+    }
+    return seconds;
+}
+
+/**
+ * Adds what a request used to the user's daily totals. Best-effort: the user already
+ * has their answer, so a storage failure is only logged.
+ * @param {import('./auth.js').AuthenticatedUser} user - The authenticated caller.
+ * @param {Partial<Usage>} usage - Amounts to add.
+ */
+export async function recordUsage(user, usage) {
+    const now = Date.now();
+    try {
+        await getRateLimitStore().addUsage(usageKey(user.userId, now), usage, DAY_MS);
+    } catch (error) {
+        logger.warn("Failed to record usage.", { userId: user.userId, error });
+    }
+}
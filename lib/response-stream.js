@@ -0,0 +1,185 @@
+// File: lib/response-stream.js
+// Helpers for the streaming response mode of process-voice: format negotiation,
+// an event writer for Server-Sent Events / NDJSON, and incremental text parsing.
+
+// --- Format Negotiation ---
+export const STREAM_CONTENT_TYPES = {
+    sse: 'text/event-stream',
+    ndjson: 'application/x-ndjson',
+};
+
+/**
+ * Decides whether the client asked for a streaming response.
+ * `?stream=sse|ndjson` wins over the Accept header.
+ * @param {import('http').IncomingMessage & {query?: Object}} req - The incoming request.
+ * @returns {'sse'|'ndjson'|null} - The stream format, or null for the single-JSON response.
+ */
+export function getStreamFormat(req) {
+    const requested = req.query?.stream;
+    if (requested === 'sse' || requested === 'ndjson') return requested;
+
+    const accept = req.headers?.accept || '';
+    if (accept.includes(STREAM_CONTENT_TYPES.sse)) return 'sse';
+    if (accept.includes(STREAM_CONTENT_TYPES.ndjson)) return 'ndjson';
+    return null;
+}
+
+// --- Event Writer ---
+/**
+ * Writes typed events to the response in the negotiated format.
+ * SSE:    "event: <type>\ndata: <json>\n\n"
+ * NDJSON: "{"type": "<type>", ...data}\n"
+ */
+export class EventStreamWriter {
+    /**
+     * @param {import('http').ServerResponse} res - The response to write to.
+     * @param {'sse'|'ndjson'} format - Stream format from getStreamFormat.
+     */
+    constructor(res, format) {
+        this.res = res;
+        this.format = format;
+    }
+
+    // Sends the status line and headers. Call once, before the first event.
+    open() {
+        this.res.statusCode = 200;
+        this.res.setHeader('Content-Type', `${STREAM_CONTENT_TYPES[this.format]}; charset=utf-8`);
+        this.res.setHeader('Cache-Control', 'no-cache, no-transform');
+        this.res.setHeader('Connection', 'keep-alive');
+        // Stop reverse proxies (nginx, Vercel edge) from buffering the stream.
+        this.res.setHeader('X-Accel-Buffering', 'no');
+        this.res.flushHeaders?.();
+    }
+
+    /**
+     * @param {string} type - Event type, e.g. 'transcript', 'reply', 'audio', 'done', 'error'.
+     * @param {object} data - JSON-serializable payload.
+     */
+    send(type, data) {
+        if (this.res.writableEnded) return;
+        if (this.format === 'sse') {
+            this.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        } else {
+            this.res.write(`${JSON.stringify({ type, ...data })}\n`);
+        }
+    }
+
+    end() {
+        if (!this.res.writableEnded) this.res.end();
+    }
+}
+
+// --- Incremental Parsing ---
+/**
+ * Reads a Server-Sent Events body (as returned by Gemini's `?alt=sse`) and yields
+ * each `data:` payload parsed as JSON.
+ * @param {AsyncIterable<Buffer|string>} body - The response body stream.
+ * @returns {AsyncGenerator<object>}
+ */
+export async function* parseSseJson(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).replace(/\r$/, '');
+            buffer = buffer.slice(newline + 1);
+            if (line.startsWith('data:')) {
+                const payload = line.slice(5).trim();
+                if (payload) yield JSON.parse(payload);
+            }
+        }
+    }
+    if (buffer.startsWith('data:') && buffer.slice(5).trim()) {
+        yield JSON.parse(buffer.slice(5).trim());
+    }
+}
+
+// Sentence end: terminal punctuation (incl. Devanagari danda), optional closing quotes/brackets, then whitespace.
+const SENTENCE_END = /[.!?।]+["'”’)\]]*\s+/g;
+
+/**
+ * Accumulates streamed text and hands back complete sentences as they form,
+ * so each one can be synthesized while the rest is still generating.
+ */
+export class SentenceSplitter {
+    constructor() {
+        this.buffer = '';
+    }
+
+    /**
+     * @param {string} text - Next chunk of text.
+     * @returns {string[]} - Sentences completed by this chunk (may be empty).
+     */
+    push(text) {
+        this.buffer += text;
+        const sentences = [];
+        let start = 0;
+        for (const match of this.buffer.matchAll(SENTENCE_END)) {
+            const end = match.index + match[0].length;
+            const sentence = this.buffer.slice(start, end).trim();
+            if (sentence) sentences.push(sentence);
+            start = end;
+        }
+        this.buffer = this.buffer.slice(start);
+        return sentences;
+    }
+
+    /**
+     * @returns {string|null} - Whatever is left once the stream has ended.
+     */
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        return rest || null;
+    }
+}
+
+// Longest prefix we wait for before giving up on a "[label]" header.
+const MAX_EMOTION_HEADER_LENGTH = 32;
+
+/**
+ * Splits the streamed "[emotion intensity] reply text" format into the label, the
+ * intensity and the reply. Feed it raw model text; it returns reply text once the
+ * header has been read. The intensity is optional ("[emotion] reply text" works too).
+ */
+export class EmotionHeaderParser {
+    constructor() {
+        this.pending = '';
+        this.emotion = null; // Set once the header has been read (or skipped)
+        this.intensity = null; // 0-1, if the header had one
+    }
+
+    /**
+     * @param {string} text - Next chunk of model output.
+     * @returns {string} - Reply text contained in this chunk (empty while reading the header).
+     */
+    push(text) {
+        if (this.emotion !== null) return text;
+        this.pending += text;
+
+        const match = this.pending.match(/^\s*\[([A-Za-z_ -]+?)(?:[\s,:]+(\d*\.?\d+))?\s*\]\s*/);
+        if (match) {
+            this.emotion = match[1].trim().toLowerCase();
+            if (match[2] !== undefined) this.intensity = Math.min(1, Number(match[2]));
+            return this.pending.slice(match[0].length);
+        }
+        // No header coming (model ignored the format): treat everything as reply text.
+        const trimmed = this.pending.trimStart();
+        if ((trimmed && !trimmed.startsWith('[')) || this.pending.length > MAX_EMOTION_HEADER_LENGTH) {
+            this.emotion = 'neutral';
+            return this.pending;
+        }
+        return '';
+    }
+
+    /**
+     * @returns {string} - Buffered text if the stream ended while still reading the header.
+     */
+    flush() {
+        if (this.emotion !== null) return '';
+        this.emotion = 'neutral';
+        return this.pending;
+    }
+}
@@ -0,0 +1,94 @@
+// File: lib/risk-event-store.js
+// Records elevated-risk events so they can be reviewed and surfaced to the app.
+// Events hold the assessment only, never the transcript text.
+
+import { randomUUID } from 'crypto';
+
+// Max events kept by the in-memory store before the oldest are dropped.
+const MAX_IN_MEMORY_EVENTS = 1000;
+
+/**
+ * @typedef {Object} RiskEvent
+ * @property {string} id - Unique event ID.
+ * @property {string|null} userId - The authenticated user the event concerns.
+ * @property {string|null} sessionId - Conversation session, if the client sent one.
+ * @property {string} riskLevel - 'low' | 'medium' | 'high'.
+ * @property {string[]} categories - Risk categories that were detected.
+ * @property {string[]} matchedRules - Keyword rule IDs that fired.
+ * @property {string[]} sources - Which checks contributed ('rules', 'model').
+ * @property {string|null} locale - Locale used to pick crisis resources.
+ * @property {number} timestamp - Epoch millis.
+ */
+
+// --- Storage Interface ---
+/**
+ * Storage interface for risk events. Implement this to forward events to a
+ * database or an alerting system. All methods are async.
+ *
+ * - record(event)        -> Promise<void>
+ * - list({ sessionId, userId }) -> Promise<RiskEvent[]>   (both filters optional)
+ */
+export class RiskEventStore {
+    async record(event) { throw new Error("RiskEventStore.record not implemented"); }
+    async list(filter) { throw new Error("RiskEventStore.list not implemented"); }
+}
+
+/**
+ * Default in-process store, bounded to the most recent MAX_IN_MEMORY_EVENTS events.
+ */
+export class InMemoryRiskEventStore extends RiskEventStore {
+    constructor() {
+        super();
+        this.events = [];
+    }
+
+    async record(event) {
+        this.events.push(event);
+        if (this.events.length > MAX_IN_MEMORY_EVENTS) {
+            this.events.splice(0, this.events.length - MAX_IN_MEMORY_EVENTS);
+        }
+    }
+
+    async list({ sessionId, userId } = {}) {
+        return this.events.filter(e => (!sessionId || e.sessionId === sessionId) && (!userId || e.userId === userId));
+    }
+}
+
+// --- Active Store ---
+let activeStore = new InMemoryRiskEventStore();
+
+/**
+ * Returns the store used by the handlers.
+ * @returns {RiskEventStore}
+ */
+export function getRiskEventStore() {
+    return activeStore;
+}
+
+/**
+ * Replaces the store used by the handlers.
+ * @param {RiskEventStore} store - The store implementation to use.
+ */
+export function setRiskEventStore(store) {
+    activeStore = store;
+}
+
+/**
+ * Builds a RiskEvent from an assessment.
+ * @param {import('./safety.js').RiskAssessment} assessment - The risk assessment.
+ * @param {{userId?: string, sessionId?: string, locale?: string}} context - Request context.
+ * @returns {RiskEvent}
+ */
+export function createRiskEvent(assessment, { userId, sessionId, locale } = {}) {
+    return {
+        id: randomUUID(),
+        userId: userId || null,
+        sessionId: sessionId || null,
+        riskLevel: assessment.riskLevel,
+        categories: assessment.categories,
+        matchedRules: assessment.matchedRules,
+        sources: assessment.sources,
+        locale: locale || null,
+        timestamp: Date.now(),
+    };
+}
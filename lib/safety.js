@@ -0,0 +1,179 @@
+// File: lib/safety.js
+// Crisis / self-harm risk assessment that runs before Aura generates a reply.
+// Combines deterministic keyword rules with an optional model-based check.
+
+import { logger } from './logger.js';
+
+// --- Risk Levels ---
+export const RISK_LEVELS = ['none', 'low', 'medium', 'high'];
+
+/**
+ * Returns the more severe of two risk levels.
+ * @param {string} a - A risk level from RISK_LEVELS.
+ * @param {string} b - A risk level from RISK_LEVELS.
+ * @returns {string}
+ */
+export function maxRiskLevel(a, b) {
+    return RISK_LEVELS.indexOf(a) >= RISK_LEVELS.indexOf(b) ? a : b;
+}
+
+// --- Keyword / Pattern Rules ---
+// Deliberately broad: a false positive shows someone a helpline, a false negative
+// can miss a person in danger. Matching is done on a lower-cased transcript.
+const RISK_RULES = [
+    // Suicidal ideation
+    { id: 'kill_myself', category: 'suicidal_ideation', level: 'high', pattern: /\bkill(ing)?\s+my\s*self\b/ },
+    { id: 'end_my_life', category: 'suicidal_ideation', level: 'high', pattern: /\b(end|take)(ing)?\s+my\s+(own\s+)?life\b/ },
+    { id: 'suicide', category: 'suicidal_ideation', level: 'high', pattern: /\bsuicid(e|al)\b/ },
+    { id: 'want_to_die', category: 'suicidal_ideation', level: 'high', pattern: /\b(want|wanna|going)\s+(to\s+)?die\b/ },
+    { id: 'better_off_dead', category: 'suicidal_ideation', level: 'high', pattern: /\bbetter\s+off\s+dead\b/ },
+    { id: 'not_be_alive', category: 'suicidal_ideation', level: 'high', pattern: /\b(don'?t|do\s+not)\s+want\s+to\s+(be\s+alive|live)\b/ },
+    { id: 'no_reason_to_live', category: 'suicidal_ideation', level: 'medium', pattern: /\bno\s+(reason|point)\s+(to|in)\s+(live|living|go(ing)?\s+on)\b/ },
+    { id: 'cant_go_on', category: 'suicidal_ideation', level: 'medium', pattern: /\bcan'?t\s+(go\s+on|do\s+this\s+anymore|take\s+it\s+anymore)\b/ },
+    { id: 'disappear', category: 'suicidal_ideation', level: 'medium', pattern: /\b(wish\s+i\s+(was|were)n'?t\s+(here|alive|born)|disappear\s+forever)\b/ },
+    { id: 'hopeless', category: 'suicidal_ideation', level: 'low', pattern: /\b(hopeless|worthless|burden\s+to\s+everyone)\b/ },
+    // Self-harm
+    { id: 'hurt_myself', category: 'self_harm', level: 'high', pattern: /\b(hurt|harm|cut|burn)(t?ing)?\s+my\s*self\b/ },
+    { id: 'self_harm', category: 'self_harm', level: 'high', pattern: /\bself[\s-]?harm(ing)?\b/ },
+    { id: 'overdose', category: 'self_harm', level: 'high', pattern: /\boverdos(e|ing)\b/ },
+    // Abuse disclosures
+    { id: 'being_abused', category: 'abuse', level: 'high', pattern: /\b(being|been|was|am)\s+(sexually\s+)?abused\b/ },
+    { id: 'abuses_me', category: 'abuse', level: 'high', pattern: /\b(hits?|beats?|chokes?|abuses?|rapes?|raped)\s+me\b/ },
+    { id: 'afraid_to_go_home', category: 'abuse', level: 'medium', pattern: /\b(afraid|scared)\s+to\s+go\s+home\b/ },
+];
+
+/**
+ * @typedef {Object} RiskAssessment
+ * @property {string} riskLevel - One of RISK_LEVELS.
+ * @property {string[]} categories - e.g. 'suicidal_ideation', 'self_harm', 'abuse'.
+ * @property {string[]} matchedRules - IDs of the keyword rules that fired.
+ * @property {string[]} sources - Which checks contributed ('rules', 'model').
+ */
+
+/**
+ * Runs the keyword/pattern rules against a transcript.
+ * @param {string} transcript - The user's transcribed speech.
+ * @returns {RiskAssessment}
+ */
+export function assessRiskByRules(transcript) {
+    const text = (transcript || '').toLowerCase();
+    let riskLevel = 'none';
+    const categories = new Set();
+    const matchedRules = [];
+
+    for (const rule of RISK_RULES) {
+        if (rule.pattern.test(text)) {
+            riskLevel = maxRiskLevel(riskLevel, rule.level);
+            categories.add(rule.category);
+            matchedRules.push(rule.id);
+        }
+    }
+
+    return { riskLevel, categories: [...categories], matchedRules, sources: matchedRules.length ? ['rules'] : [] };
+}
+
+/**
+ * Assesses a transcript for crisis risk using the rules and, unless the rules are
+ * already conclusive, a model check. The model can raise the risk level but never
+ * lower what the rules found. If the model check fails, the rule result stands.
+ * @param {string} transcript - The user's transcribed speech.
+ * @param {Object} [options]
+ * @param {(transcript: string) => Promise<{riskLevel: string, categories?: string[]}>} [options.modelCheck] - Model-based classifier.
+ * @returns {Promise<RiskAssessment>}
+ */
+export async function assessRisk(transcript, { modelCheck } = {}) {
+    const assessment = assessRiskByRules(transcript);
+    if (!transcript || assessment.riskLevel === 'high' || !modelCheck) {
+        return assessment;
+    }
+
+    try {
+        const modelResult = await modelCheck(transcript);
+        if (modelResult && RISK_LEVELS.includes(modelResult.riskLevel)) {
+            if (modelResult.riskLevel !== 'none') {
+                assessment.sources.push('model');
+            }
+            assessment.riskLevel = maxRiskLevel(assessment.riskLevel, modelResult.riskLevel);
+            for (const category of modelResult.categories || []) {
+                if (!assessment.categories.includes(category)) assessment.categories.push(category);
+            }
+        } else {
+            logger.warn("Risk model check returned an unexpected result, using rule-based assessment only.");
+        }
+    } catch (error) {
+        logger.warn("Risk model check failed, using rule-based assessment only.", { error });
+    }
+    return assessment;
+}
+
+// --- Crisis Resources ---
+// Reviewed helpline list, keyed by region (the part after '-' in a locale like 'en-GB').
+// Keep this list short and verified; 'default' is used for unknown regions.
+const CRISIS_RESOURCES = {
+    US: [
+        { name: '988 Suicide & Crisis Lifeline', contact: 'Call or text 988', category: 'suicidal_ideation' },
+        { name: 'National Domestic Violence Hotline', contact: 'Call 1-800-799-7233', category: 'abuse' },
+        { name: 'Emergency services', contact: 'Call 911', category: 'emergency' },
+    ],
+    CA: [
+        { name: '9-8-8 Suicide Crisis Helpline', contact: 'Call or text 988', category: 'suicidal_ideation' },
+        { name: 'Emergency services', contact: 'Call 911', category: 'emergency' },
+    ],
+    GB: [
+        { name: 'Samaritans', contact: 'Call 116 123', category: 'suicidal_ideation' },
+        { name: 'Shout', contact: 'Text SHOUT to 85258', category: 'suicidal_ideation' },
+        { name: 'Emergency services', contact: 'Call 999', category: 'emergency' },
+    ],
+    IE: [
+        { name: 'Samaritans', contact: 'Call 116 123', category: 'suicidal_ideation' },
+        { name: 'Emergency services', contact: 'Call 112 or 999', category: 'emergency' },
+    ],
+    IN: [
+        { name: 'Tele-MANAS', contact: 'Call 14416', category: 'suicidal_ideation' },
+        { name: 'Emergency services', contact: 'Call 112', category: 'emergency' },
+    ],
+    AU: [
+        { name: 'Lifeline', contact: 'Call 13 11 14', category: 'suicidal_ideation' },
+        { name: 'Emergency services', contact: 'Call 000', category: 'emergency' },
+    ],
+    default: [
+        { name: 'Find a Helpline', contact: 'Visit findahelpline.com', category: 'suicidal_ideation' },
+        { name: 'Emergency services', contact: 'Call your local emergency number', category: 'emergency' },
+    ],
+};
+
+/**
+ * Returns the helpline resources for a locale such as 'en-US' or 'hi-IN'.
+ * @param {string} [locale] - BCP-47 locale from the client.
+ * @returns {Array<{name: string, contact: string, category: string}>}
+ */
+export function getCrisisResources(locale) {
+    const region = typeof locale === 'string' ? locale.split(/[-_]/)[1]?.toUpperCase() : undefined;
+    return CRISIS_RESOURCES[region] || CRISIS_RESOURCES.default;
+}
+
+// --- Fixed Crisis Responses ---
+// Reviewed wording. Do not generate these with the model.
+const CRISIS_REPLIES = {
+    suicidal_ideation: "I'm really glad you told me, and I'm so sorry you're carrying this much pain. Your safety matters more than anything right now. Please reach out to someone who can be with you in this moment: {resource}. If you are in immediate danger, {emergency}. You don't have to go through this alone.",
+    self_harm: "Thank you for trusting me with this. You deserve care and support, not more pain. Please talk to someone trained to help right now: {resource}. If you've already hurt yourself or are in danger, {emergency}. I'm here with you.",
+    abuse: "I'm so sorry this is happening to you. It is not your fault, and you deserve to be safe. Please reach out to people who can help: {resource}. If you are in danger right now, {emergency}.",
+};
+
+/**
+ * Builds the fixed crisis reply for an assessment, filled in with local resources.
+ * @param {RiskAssessment} assessment - The result of assessRisk.
+ * @param {string} [locale] - BCP-47 locale from the client.
+ * @returns {string}
+ */
+export function buildCrisisReply(assessment, locale) {
+    const resources = getCrisisResources(locale);
+    const category = ['suicidal_ideation', 'self_harm', 'abuse'].find(c => assessment.categories.includes(c)) || 'suicidal_ideation';
+    const primary = resources.find(r => r.category === category) || resources.find(r => r.category !== 'emergency');
+    const emergency = resources.find(r => r.category === 'emergency');
+    const lowerFirst = text => text.charAt(0).toLowerCase() + text.slice(1);
+
+    return CRISIS_REPLIES[category]
+        .replace('{resource}', `${primary.name}, ${lowerFirst(primary.contact)}`)
+        .replace('{emergency}', lowerFirst(emergency.contact));
+}
@@ -0,0 +1,277 @@
+// File: lib/stt.js
+// Speech-to-text step of the voice pipeline.
+//
+// Google's synchronous recognize only takes about a minute of audio. Longer PCM /
+// mu-law clips are split into chunks at quiet points and recognized chunk by chunk;
+// longer compressed clips (which can't be cut without decoding) are uploaded to
+// Cloud Storage (see lib/providers/google.js) and go through long-running
+// recognition instead, which also only takes about a minute of inline audio.
+//
+// Configuration (environment variables, read on every call):
+//   STT_LONG_RUNNING_TIMEOUT_MS   per-attempt timeout for long-running recognition (default 120000)
+
+import { normalizeLanguageCode } from './languages.js';
+import { locatePcmData, measureAudioDuration } from './audio-format.js';
+import { getProviders } from './providers/index.js';
+import { callUpstream } from './upstream.js';
+import { logger } from './logger.js';
+
+// Google rejects synchronous requests over 60 s; stay a little below that.
+const SYNC_MAX_SECONDS = 55;
+// Size estimates can be far off, so clips with an estimated duration switch to
+// long-running recognition well before the limit.
+const ESTIMATED_SYNC_MAX_SECONDS = 30;
+// PCM chunks are at most this long, cut at the quietest 20 ms in their last few seconds.
+const CHUNK_MAX_SECONDS = 50;
+const CHUNK_CUT_SEARCH_SECONDS = 5;
+const CUT_WINDOW_SECONDS = 0.02;
+// Chunks recognized at the same time.
+const CHUNK_CONCURRENCY = 3;
+const DEFAULT_LONG_RUNNING_TIMEOUT_MS = 120000;
+
+const FAILURE_MESSAGE = 'Failed to transcribe audio';
+
+/**
+ * @typedef {Object} TranscriptSegment
+ * @property {string} transcript - Text of one recognition result.
+ * @property {number} startSeconds - Where it starts in the clip.
+ * @property {number} endSeconds - Where it ends in the clip.
+ * @property {string} languageCode - Language it was recognized in.
+ */
+
+/**
+ * @typedef {Object} AudioChunk
+ * @property {string} content - Base64 audio sent to STT.
+ * @property {number} startSeconds - Offset of the chunk in the clip.
+ * @property {number} endSeconds - End of the chunk in the clip.
+ */
+
+const roundMs = seconds => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Converts a protobuf Duration ({seconds, nanos}; seconds may be a string or Long) to seconds.
+ * @param {{seconds?: number|string|object, nanos?: number}} [duration]
+ * @returns {number|null}
+ */
+function durationToSeconds(duration) {
+    if (!duration) return null;
+    return Number(String(duration.seconds ?? 0)) + (duration.nanos || 0) / 1e9;
+}
+
+/**
+ * Finds where to end a PCM chunk: the start of the quietest short window in
+ * [from, to), so a cut rarely lands inside a word.
+ * @param {Buffer} audio - The decoded clip.
+ * @param {import('./audio-format.js').PcmLayout} pcm - Where the samples are.
+ * @param {string} encoding - 'LINEAR16' or 'MULAW'.
+ * @param {number} from - First candidate byte offset (block aligned).
+ * @param {number} to - Last candidate byte offset (block aligned).
+ * @returns {number} - Byte offset to cut at.
+ */
+function findQuietCut(audio, pcm, encoding, from, to) {
+    const windowBytes = Math.max(pcm.blockAlign, Math.round(pcm.bytesPerSecond * CUT_WINDOW_SECONDS / pcm.blockAlign) * pcm.blockAlign);
+    // Loudness proxy per sample: |amplitude| for PCM; for mu-law the bit-inverted
+    // exponent and mantissa grow with loudness.
+    const level = encoding === 'LINEAR16'
+        ? offset => Math.abs(audio.readInt16LE(offset))
+        : offset => ~audio[offset] & 0x7F;
+    const step = encoding === 'LINEAR16' ? 2 : 1;
+
+    let best = to;
+    let bestEnergy = Infinity;
+    for (let start = from; start + windowBytes <= to; start += windowBytes) {
+        let energy = 0;
+        for (let offset = start; offset < start + windowBytes; offset += step) energy += level(offset);
+        if (energy < bestEnergy) {
+            bestEnergy = energy;
+            best = start;
+        }
+    }
+    return best;
+}
+
+/**
+ * Splits PCM / mu-law sample data into chunks short enough for synchronous recognition.
+ * @param {Buffer} audio - The decoded clip.
+ * @param {import('./audio-format.js').PcmLayout} pcm - Where the samples are.
+ * @param {string} encoding - 'LINEAR16' or 'MULAW'.
+ * @returns {AudioChunk[]}
+ */
+function splitPcm(audio, pcm, encoding) {
+    const align = bytes => bytes - (bytes % pcm.blockAlign);
+    const maxChunkBytes = align(CHUNK_MAX_SECONDS * pcm.bytesPerSecond);
+    const searchBytes = align(CHUNK_CUT_SEARCH_SECONDS * pcm.bytesPerSecond);
+    const end = pcm.offset + pcm.length;
+    const toSeconds = offset => (offset - pcm.offset) / pcm.bytesPerSecond;
+
+    const chunks = [];
+    for (let start = pcm.offset; start < end;) {
+        const limit = start + maxChunkBytes;
+        const cut = limit >= end ? end : findQuietCut(audio, pcm, encoding, limit - searchBytes, limit);
+        chunks.push({ content: audio.toString('base64', start, cut), startSeconds: toSeconds(start), endSeconds: toSeconds(cut) });
+        start = cut;
+    }
+    return chunks;
+}
+
+/**
+ * Runs `fn` over `items`, at most `limit` at a time, keeping the order of the results.
+ * Stops starting new items once one has failed.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+    const worker = async () => {
+        while (!failed && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index]);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Turns the results of one STT response into timed segments. Google reports where
+ * each result ends; it starts where the previous one ended.
+ * @param {object} response - A recognize / longRunningRecognize response.
+ * @param {AudioChunk} chunk - The audio the response is for.
+ * @param {string} defaultLanguageCode - Used when a result doesn't report its language.
+ * @returns {TranscriptSegment[]}
+ */
+function toSegments(response, { startSeconds, endSeconds }, defaultLanguageCode) {
+    const segments = [];
+    let cursor = startSeconds;
+    for (const result of response.results || []) {
+        const resultEnd = durationToSeconds(result.resultEndTime);
+        const end = resultEnd === null ? endSeconds : Math.min(endSeconds, startSeconds + resultEnd);
+        const transcript = result.alternatives?.[0]?.transcript?.trim();
+        if (transcript) {
+            segments.push({
+                transcript,
+                startSeconds: roundMs(cursor),
+                endSeconds: roundMs(Math.max(cursor, end)),
+                // Each result reports the language it was recognized in (lower-cased, e.g. 'hi-in').
+                languageCode: normalizeLanguageCode(result.languageCode || defaultLanguageCode),
+            });
+        }
+        cursor = Math.max(cursor, end);
+    }
+    return segments;
+}
+
+// --- Google Cloud Speech-to-Text (STT) ---
+/**
+ * Transcribes audio content provided as a base64 string using Google Cloud STT.
+ * Clips over the synchronous limit are chunked or sent to long-running recognition.
+ * @param {string} audioBase64 - The base64 encoded audio data.
+ * @param {{encoding: string, sampleRateHertz?: number, languageCode: string, alternativeLanguageCodes?: string[]}} sttConfig
+ *   - Recognition settings, as resolved by resolveSttConfig from the request and audio header.
+ * @param {Object} [options]
+ * @param {import('./audio-format.js').AudioDuration} [options.duration] - Measured duration
+ *   (from validateAudioRequest); measured here when missing.
+ * @returns {Promise<{transcript: string, languageCode: string, audioSeconds: number, durationSeconds: number, segments: TranscriptSegment[]}>}
+ *   - The transcribed text; the language Google detected it in (the primary `languageCode` unless an
+ *   alternative matched better); the audio duration Google billed (the measured duration if it doesn't
+ *   say); the clip's duration; and the transcript split into timed segments.
+ * @throws {import('./errors.js').UpstreamError} - If transcription fails or times out (after retries).
+ */
+export async function transcribeAudio(audioBase64, sttConfig, { duration } = {}) {
+    const audio = Buffer.from(audioBase64, 'base64');
+    duration ??= measureAudioDuration(audio, sttConfig);
+    const languages = [sttConfig.languageCode, ...(sttConfig.alternativeLanguageCodes || [])];
+
+    // ** STT Configuration **
+    // Encoding, sample rate and language come from the request body when the client
+    // sends them, otherwise from the audio container header (see lib/audio-format.js).
+    const config = {
+         ...sttConfig,
+
+         // --- Optional Enhancements ---
+         // model: 'telephony', // Use for audio recorded over phone lines. Other options: 'latest_long', 'medical_dictation', etc.
+         // useEnhanced: true, // Use enhanced models for potentially higher accuracy (may cost more).
+         // enableAutomaticPunctuation: true, // Let Google add punctuation.
+    };
+
+    const stt = getProviders().stt;
+    const wholeClip = { content: audioBase64, startSeconds: 0, endSeconds: duration.seconds };
+    const pcm = locatePcmData(audio, sttConfig);
+    const syncLimit = duration.exact ? SYNC_MAX_SECONDS : ESTIMATED_SYNC_MAX_SECONDS;
+
+    let chunks;
+    let responses;
+    try {
+        if (duration.seconds <= syncLimit) {
+            logger.info("Calling Google STT API.", { encoding: sttConfig.encoding, sampleRateHertz: sttConfig.sampleRateHertz, languages });
+            chunks = [wholeClip];
+            responses = [await callUpstream('stt', (signal, { timeoutMs }) => stt.recognize({ audio: { content: audioBase64 }, config }, { signal, timeoutMs }), {
+                failureMessage: FAILURE_MESSAGE,
+            })];
+        } else if (pcm) {
+            // The chunks are bare samples, so the rate and channel count must be explicit.
+            const chunkConfig = {
+                ...config,
+                sampleRateHertz: pcm.bytesPerSecond / pcm.blockAlign,
+                ...(pcm.channels > 1 && { audioChannelCount: pcm.channels }),
+            };
+            chunks = splitPcm(audio, pcm, sttConfig.encoding);
+            logger.info("Calling Google STT API for a chunked clip.", { chunks: chunks.length, seconds: duration.seconds, encoding: sttConfig.encoding, languages });
+            responses = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, chunk =>
+                callUpstream('stt', (signal, { timeoutMs }) => stt.recognize({ audio: { content: chunk.content }, config: chunkConfig }, { signal, timeoutMs }), {
+                    failureMessage: FAILURE_MESSAGE,
+                })
+            );
+        } else {
+            const timeoutMs = Number.parseInt(process.env.STT_LONG_RUNNING_TIMEOUT_MS, 10) || DEFAULT_LONG_RUNNING_TIMEOUT_MS;
+            logger.info("Calling Google STT long-running recognition.", { seconds: duration.seconds, encoding: sttConfig.encoding, languages });
+            chunks = [wholeClip];
+            const staged = await callUpstream('stt', signal => stt.stageAudio(audio, { signal }), { failureMessage: FAILURE_MESSAGE });
+            try {
+                // A timeout cancels the operation; starting it again would bill up to 10 minutes of audio once more.
+                responses = [await callUpstream('stt', signal => stt.longRunningRecognize({ audio: { uri: staged.uri }, config }, { signal }), {
+                    failureMessage: FAILURE_MESSAGE,
+                    timeoutMs,
+                    retryTimeouts: false,
+                })];
+            } finally {
+                // The upload is only needed for the recognition; a leftover is cleaned up by the bucket's lifecycle rule.
+                staged.discard().catch(error => logger.warn("Failed to delete audio uploaded for long-running recognition.", { error }));
+            }
+        }
+    } catch (error) {
+        logger.error("Error calling Google STT API.", { error });
+        throw error;
+    }
+
+    const billed = responses.map(response => durationToSeconds(response.totalBilledTime));
+    const audioSeconds = billed.every(seconds => seconds !== null)
+        ? billed.reduce((sum, seconds) => sum + seconds, 0)
+        : duration.seconds;
+
+    const segments = responses.flatMap((response, index) => toSegments(response, chunks[index], sttConfig.languageCode));
+    const transcription = segments.map(segment => segment.transcript).join('\n').trim(); // Trim whitespace
+    const detectedLanguage = segments[0]?.languageCode || normalizeLanguageCode(sttConfig.languageCode);
+    const durationSeconds = roundMs(duration.seconds);
+
+    if (!transcription) {
+        logger.warn("Google STT returned an empty transcription.");
+        // Decide if empty transcription is an error or just means silence
+        // For this use case, let's treat it as potentially valid (silence) but log it.
+        // Return empty string for silence or no discernible speech
+        return { transcript: "", languageCode: detectedLanguage, audioSeconds, durationSeconds, segments };
+    }
+
+    logger.info("Google STT transcription.", { languageCode: detectedLanguage, segments: segments.length, transcript: transcription });
+    return { transcript: transcription, languageCode: detectedLanguage, audioSeconds, durationSeconds, segments };
+}
@@ -0,0 +1,209 @@
+// File: lib/tts.js
+// Text-to-speech step of the voice pipeline.
+
+import { getVoice, DEFAULT_LANGUAGE_CODE } from './languages.js';
+import { getProviders } from './providers/index.js';
+import { callUpstream } from './upstream.js';
+import { getPersona, resolveProsody, resolveExerciseProsody } from './personas.js';
+import { EXERCISE_LEAD_IN_MS } from './exercises.js';
+import { buildAvatarTimeline } from './avatar.js';
+import { UpstreamError } from './errors.js';
+import { logger } from './logger.js';
+
+// Google TTS accepts 5000 bytes of input.
+export const MAX_SSML_BYTES = 5000;
+
+// Bytes one <mark name="1234"/> adds; marks are spread out when there is no room for one per word.
+const MARK_BYTES = 20;
+
+// Tokens with a letter or digit are spoken words; others (dashes, emoji) get no mark.
+const SPOKEN_WORD = /[\p{L}\p{N}]/u;
+
+/**
+ * Escapes XML characters in text to prevent SSML injection or errors.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeSsml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Opening <prosody> tag for a prosody setting (volume only when it is set).
+ * @param {import('./personas.js').Prosody} prosody
+ * @returns {string}
+ */
+function prosodyTag({ rate, pitch, volumeDb }) {
+    const volume = volumeDb ? ` volume="${volumeDb > 0 ? '+' : ''}${volumeDb.toFixed(1)}dB"` : '';
+    return `<prosody rate="${rate.toFixed(2)}" pitch="${pitch.toFixed(1)}st"${volume}>`;
+}
+
+/**
+ * Escapes text for SSML, putting a <mark> before every `markEvery`-th spoken word
+ * (none when it is 0) and recording each word for the avatar timeline.
+ * @param {string} text
+ * @param {number} rate - Speaking rate the text is said at.
+ * @param {{markEvery: number, words: Array<{text: string, rate: number, mark: string|null}>}} state
+ *   - Mark spacing, and the words so far (mark names are word indexes).
+ * @returns {string}
+ */
+function markedSsml(text, rate, state) {
+    return text.split(/(\s+)/).map(token => {
+        if (!SPOKEN_WORD.test(token)) return escapeSsml(token);
+        const index = state.words.length;
+        const mark = state.markEvery > 0 && index % state.markEvery === 0 ? String(index) : null;
+        state.words.push({ text: token, rate, mark });
+        return `${mark !== null ? `<mark name="${mark}"/>` : ''}${escapeSsml(token)}`;
+    }).join('');
+}
+
+/**
+ * Renders a guided exercise as SSML: a lead-in pause, then each step in the
+ * persona's calm exercise voice followed by its timed pause.
+ * @param {import('./exercises.js').Exercise} exercise
+ * @param {import('./personas.js').Persona} persona
+ * @param {object} state - Word marking state (see markedSsml).
+ * @returns {string}
+ */
+function exerciseSsml(exercise, persona, state) {
+    const prosody = resolveExerciseProsody(persona);
+    const steps = exercise.steps
+        .map(step => `${markedSsml(step.text, prosody.rate, state)}${step.pauseMs > 0 ? `<break time="${step.pauseMs}ms"/>` : ''}`)
+        .join(' ');
+    return `<break time="${EXERCISE_LEAD_IN_MS}ms"/>${prosodyTag(prosody)}${steps}</prosody>`;
+}
+
+/**
+ * Builds the SSML for a reply and an optional exercise after it.
+ * @param {string} text - Reply text.
+ * @param {import('./personas.js').Prosody} prosody - The reply's prosody.
+ * @param {import('./exercises.js').Exercise} [exercise]
+ * @param {import('./personas.js').Persona} persona
+ * @param {number} markEvery - Put a <mark> before every markEvery-th word (0: no marks).
+ * @returns {{ssml: string, words: Array<{text: string, rate: number, mark: string|null}>, replyWordCount: number}}
+ */
+function buildSsml(text, prosody, exercise, persona, markEvery) {
+    const state = { markEvery, words: [] };
+    let replySsml = markedSsml(text, prosody.rate, state);
+    if (prosody.sentencePauseMs > 0) {
+        replySsml = replySsml.replace(/([.!?])\s+(?=\S)/g, `$1<break time="${prosody.sentencePauseMs}ms"/> `);
+    }
+    const replyWordCount = state.words.length;
+
+    // Construct the SSML string. Using <prosody> to adjust rate and pitch (and volume when set).
+    const exercisePart = exercise ? exerciseSsml(exercise, persona, state) : '';
+    const ssml = `<speak>${prosodyTag(prosody)}${replySsml}</prosody>${exercisePart}</speak>`;
+    return { ssml, words: state.words, replyWordCount };
+}
+
+/**
+ * Chooses how often to mark words: every word when the marks fit within the TTS
+ * input limit, otherwise every few words (phrase timing).
+ * @param {string} plainSsml - The SSML without marks.
+ * @param {number} wordCount - Spoken words in it.
+ * @returns {number} - Mark every this many words; 0 when not even one mark fits.
+ */
+function chooseMarkSpacing(plainSsml, wordCount) {
+    const maxMarks = Math.floor((MAX_SSML_BYTES - Buffer.byteLength(plainSsml)) / MARK_BYTES);
+    if (wordCount === 0 || maxMarks <= 0) return 0;
+    return Math.ceil(wordCount / maxMarks);
+}
+
+/**
+ * Measures the SSML getGoogleTTS would send for the text, before marks are added,
+ * so a caller can check it against MAX_SSML_BYTES first.
+ * @param {string} textToSpeak - The text to synthesize.
+ * @param {string} emotion - The emotion that sets the prosody.
+ * @param {import('./personas.js').Persona} [persona]
+ * @param {Object} [options]
+ * @param {number} [options.intensity] - Emotion intensity, 0-1.
+ * @param {import('./exercises.js').Exercise} [options.exercise] - Guided exercise spoken after the text.
+ * @returns {number} - Size of the SSML in bytes.
+ */
+export function measureSsmlBytes(textToSpeak, emotion, persona = getPersona(), { intensity, exercise } = {}) {
+    const prosody = resolveProsody(persona, emotion, intensity);
+    return Buffer.byteLength(buildSsml(textToSpeak, prosody, exercise, persona, 0).ssml);
+}
+
+// --- Google Cloud Text-to-Speech (TTS) ---
+/**
+ * Synthesizes text into speech using Google Cloud TTS, adjusting prosody based on
+ * the persona's profile for the emotion, scaled by its intensity. A guided exercise,
+ * if given, is spoken after the text (see exerciseSsml and buildExerciseTiming).
+ * Words are marked in the SSML so TTS reports when each is spoken; the result
+ * includes them as an avatar lip-sync timeline (see lib/avatar.js).
+ * @param {string} textToSpeak - The text to synthesize.
+ * @param {string} emotion - The detected emotion to influence the voice.
+ * @param {string} [languageCode] - Language of the text; selects the voice from lib/languages.js.
+ * @param {import('./personas.js').Persona} [persona] - Persona whose voice and prosody to use.
+ * @param {Object} [options]
+ * @param {number} [options.intensity] - Emotion intensity, 0-1 (default: typical, 0.5).
+ * @param {import('./exercises.js').Exercise} [options.exercise] - Guided exercise to speak after the text.
+ * @returns {Promise<{audioBase64: string, avatarTimeline: import('./avatar.js').AvatarTimeline}>}
+ *   - Base64 encoded MP3 audio data, and the words, visemes and expression cues in it.
+ * @throws {UpstreamError} - If the SSML (text, markup and any exercise) exceeds the TTS input
+ *   limit (callers taking the text from a client check measureSsmlBytes first), or if speech
+ *   synthesis fails or times out (after retries).
+ */
+export async function getGoogleTTS(textToSpeak, emotion, languageCode = DEFAULT_LANGUAGE_CODE, persona = getPersona(), { intensity, exercise } = {}) {
+    logger.info("Calling Google TTS API.", { personaId: persona.id, emotion: emotion || 'neutral', intensity, exerciseId: exercise?.id, languageCode, characters: textToSpeak.length });
+
+    // --- Voice Configuration ---
+    // The persona keeps one voice for every emotion: a pinned voice name for the
+    // language if it has one, otherwise its gender from the per-language table.
+    const pinnedName = persona.voice.names?.[languageCode];
+    const voice = pinnedName
+        ? { languageCode, name: pinnedName, ssmlGender: persona.voice.ssmlGender }
+        : getVoice(languageCode, persona.voice.ssmlGender);
+
+    // --- Emotion-based SSML Adjustments (from config/personas.js) ---
+    const prosody = resolveProsody(persona, emotion, intensity);
+
+    // --- SSML Generation ---
+    // Sized without marks first, to see how many marks fit.
+    const plain = buildSsml(textToSpeak, prosody, exercise, persona, 0);
+    // Escaping and the sentence and exercise breaks make the SSML longer than the text.
+    // /api/speak rejects client text that is too long; here the text is our own (a reply
+    // plus an exercise), so fail the stage rather than send TTS a call it would reject.
+    const ssmlBytes = Buffer.byteLength(plain.ssml);
+    if (ssmlBytes > MAX_SSML_BYTES) {
+        throw new UpstreamError('tts', `Reply is too long to synthesize: its SSML is ${ssmlBytes} bytes, over the ${MAX_SSML_BYTES}-byte limit of Google TTS.`);
+    }
+    const markEvery = chooseMarkSpacing(plain.ssml, plain.words.length);
+    const { ssml, words, replyWordCount } = markEvery > 0 ? buildSsml(textToSpeak, prosody, exercise, persona, markEvery) : plain;
+
+    const request = {
+        input: { ssml: ssml }, // Use SSML input
+        // languageCode + voice name for the reply language (name omitted for unlisted languages)
+        voice,
+        // Select audio encoding format. MP3 is widely compatible.
+        // Other options: LINEAR16 (WAV), OGG_OPUS
+        audioConfig: { audioEncoding: 'MP3' },
+        // Report when each <mark> is reached, for the avatar timeline.
+        ...(markEvery > 0 && { enableTimePointing: ['SSML_MARK'] }),
+    };
+
+    try {
+        const response = await callUpstream('tts', (signal, { timeoutMs }) => getProviders().tts.synthesizeSpeech(request, { signal, timeoutMs }), {
+            failureMessage: 'Failed to synthesize speech',
+        });
+        // The audio content is returned as a Buffer, convert it to base64.
+        const audioBase64 = response.audioContent.toString('base64');
+        logger.debug("Received audio from Google TTS.", { audioBytes: response.audioContent.length, timepoints: response.timepoints?.length ?? 0 });
+
+        const markTimes = new Map((response.timepoints || []).map(({ markName, timeSeconds }) => [markName, Math.round(timeSeconds * 1000)]));
+        const segments = [
+            { emotion: emotion || 'neutral', intensity, wordCount: replyWordCount },
+            ...(exercise ? [{ emotion: 'calm', wordCount: words.length - replyWordCount }] : []),
+        ];
+        return { audioBase64, avatarTimeline: buildAvatarTimeline(words, segments, markTimes) };
+    } catch (error) {
+        logger.error("Error calling Google TTS API.", { error });
+        throw error;
+    }
+}
@@ -0,0 +1,227 @@
+// File: lib/upstream.js
+// Timeouts and retries for the upstream API calls (STT, Gemini, TTS), the mapping
+// from provider errors to the typed errors in lib/errors.js, and the per-stage
+// latency and outcome metrics (see lib/metrics.js).
+//
+// Configuration (environment variables, read on every call):
+//   STT_TIMEOUT_MS          per-attempt timeout for speech-to-text (default 15000)
+//   LLM_TIMEOUT_MS          per-attempt timeout for Gemini; while streaming, the longest
+//                           wait for the next chunk (default 20000)
+//   TTS_TIMEOUT_MS          per-attempt timeout for text-to-speech (default 10000)
+//   UPSTREAM_MAX_RETRIES    retries after the first attempt for transient failures (default 2);
+//                           quota errors (429 / RESOURCE_EXHAUSTED) are not retried
+//   UPSTREAM_RETRY_BASE_MS  first backoff delay; doubles on each retry, with jitter (default 250)
+
+import { setTimeout as sleep } from 'timers/promises';
+import { AppError, UpstreamError, UpstreamQuotaError, UpstreamTimeoutError } from './errors.js';
+import { logger } from './logger.js';
+import { recordUpstreamCall, recordUpstreamRetry } from './metrics.js';
+
+const STAGE_LABELS = { stt: 'Speech-to-text', llm: 'Gemini', tts: 'Text-to-speech' };
+const DEFAULT_TIMEOUTS_MS = { stt: 15000, llm: 20000, tts: 10000 };
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 250;
+const MAX_RETRY_DELAY_MS = 4000;
+
+// HTTP statuses (Gemini REST) and gRPC codes (Google Cloud clients) worth retrying.
+const TRANSIENT_HTTP_STATUSES = [408, 500, 502, 503, 504];
+const GRPC_CODES = { DEADLINE_EXCEEDED: 4, RESOURCE_EXHAUSTED: 8, ABORTED: 10, INTERNAL: 13, UNAVAILABLE: 14 };
+const TRANSIENT_GRPC_CODES = [GRPC_CODES.ABORTED, GRPC_CODES.INTERNAL, GRPC_CODES.UNAVAILABLE];
+// Node network errors (node-fetch reports them as FetchError with the system `code`).
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+const readNonNegativeInt = (name, fallback) => {
+    const value = Number.parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Returns the timeout and retry settings for a stage.
+ * @param {'stt'|'llm'|'tts'} stage - Pipeline stage.
+ * @returns {{timeoutMs: number, maxRetries: number, retryBaseMs: number}}
+ */
+export function getUpstreamSettings(stage) {
+    return {
+        timeoutMs: readNonNegativeInt(`${stage.toUpperCase()}_TIMEOUT_MS`, DEFAULT_TIMEOUTS_MS[stage]),
+        maxRetries: readNonNegativeInt('UPSTREAM_MAX_RETRIES', DEFAULT_MAX_RETRIES),
+        retryBaseMs: readNonNegativeInt('UPSTREAM_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS),
+    };
+}
+
+/**
+ * Describes a provider error for the client by its status or code only. Provider
+ * messages can quote request URLs, headers or payloads, so they stay on the error's
+ * `cause` (for the logs) and out of the client message.
+ * @param {Error} error - The provider error.
+ * @param {number} [httpStatus] - HTTP status, for REST providers.
+ * @param {number} [grpcCode] - gRPC status code, for the Google Cloud clients.
+ * @returns {string}
+ */
+function describeFailure(error, httpStatus, grpcCode) {
+    if (httpStatus !== undefined) return `HTTP ${httpStatus}`;
+    if (grpcCode !== undefined) {
+        const name = Object.keys(GRPC_CODES).find(key => GRPC_CODES[key] === grpcCode);
+        return `gRPC status ${name || grpcCode}`;
+    }
+    if (typeof error?.code === 'string') return `network error ${error.code}`;
+    return 'unexpected error';
+}
+
+/**
+ * Converts an error from a provider into a typed upstream error.
+ * Errors that are already typed (AppError) are returned unchanged.
+ * @param {'stt'|'llm'|'tts'} stage - Pipeline stage.
+ * @param {Error} error - The provider error.
+ * @param {string} [failureMessage] - Prefix for the client message, e.g. 'Failed to transcribe audio'
+ *   (default: '<stage> request failed').
+ * @returns {AppError}
+ */
+export function toUpstreamError(stage, error, failureMessage = `${STAGE_LABELS[stage]} request failed`) {
+    if (error instanceof AppError) return error;
+
+    const httpStatus = error?.status;
+    const grpcCode = typeof error?.code === 'number' ? error.code : undefined;
+    const message = `${failureMessage}. Reason: ${describeFailure(error, httpStatus, grpcCode)}`;
+
+    if (httpStatus === 429 || grpcCode === GRPC_CODES.RESOURCE_EXHAUSTED) {
+        return new UpstreamQuotaError(stage, message, { cause: error });
+    }
+    if (grpcCode === GRPC_CODES.DEADLINE_EXCEEDED) {
+        return new UpstreamTimeoutError(stage, message, { cause: error });
+    }
+    const retryable = TRANSIENT_HTTP_STATUSES.includes(httpStatus) ||
+        TRANSIENT_GRPC_CODES.includes(grpcCode) ||
+        TRANSIENT_NETWORK_CODES.includes(error?.code);
+    return new UpstreamError(stage, message, { retryable, cause: error });
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay up to base * 2^attempt.
+ * @param {number} attempt - Zero-based retry number.
+ * @param {number} baseMs - First backoff delay.
+ * @returns {number}
+ */
+function backoffDelay(attempt, baseMs) {
+    return Math.random() * Math.min(MAX_RETRY_DELAY_MS, baseMs * 2 ** attempt);
+}
+
+/**
+ * Races a promise against the stage timeout; aborts `controller` when the time runs out.
+ * @template T
+ * @param {Promise<T>} promise - The pending call.
+ * @param {'stt'|'llm'|'tts'} stage - Pipeline stage.
+ * @param {number} timeoutMs - Timeout.
+ * @param {AbortController} controller - Aborted on timeout, so the provider can drop the request.
+ * @param {string} [failureMessage] - Prefix for the client message.
+ * @returns {Promise<T>}
+ */
+async function withTimeout(promise, stage, timeoutMs, controller, failureMessage) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const reason = `${STAGE_LABELS[stage]} request timed out after ${timeoutMs} ms`;
+            controller.abort();
+            reject(new UpstreamTimeoutError(stage, failureMessage ? `${failureMessage}. Reason: ${reason}` : reason));
+        }, timeoutMs);
+    });
+    try {
+        return await Promise.race([promise, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Calls an upstream API with the stage's timeout, retrying transient failures
+ * with exponential backoff. Each attempt gets an AbortSignal, aborted when the
+ * attempt times out, and the timeout itself; the provider must stop the call
+ * (abort the request, set a matching deadline, or cancel the operation) so a
+ * retry doesn't run, and bill, alongside it.
+ * @template T
+ * @param {'stt'|'llm'|'tts'} stage - Pipeline stage.
+ * @param {(signal: AbortSignal, attempt: {timeoutMs: number}) => Promise<T>} operation - Makes one attempt.
+ * @param {Object} [options]
+ * @param {string} [options.failureMessage] - Prefix for the client message, e.g. 'Failed to synthesize speech'.
+ * @param {number} [options.timeoutMs] - Overrides the stage timeout (e.g. for long-running recognition).
+ * @param {boolean} [options.retryTimeouts] - Retry attempts that time out (default true). Turn it off for
+ *   work too long or costly to start again, such as long-running recognition.
+ * @returns {Promise<T>}
+ * @throws {AppError} - The last attempt's error, typed.
+ */
+export async function callUpstream(stage, operation, { failureMessage, timeoutMs: timeoutOverride, retryTimeouts = true } = {}) {
+    const { timeoutMs: stageTimeoutMs, maxRetries, retryBaseMs } = getUpstreamSettings(stage);
+    const timeoutMs = timeoutOverride ?? stageTimeoutMs;
+    const startedAt = performance.now();
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        try {
+            const result = await withTimeout(operation(controller.signal, { timeoutMs }), stage, timeoutMs, controller, failureMessage);
+            recordUpstreamCall(stage, { seconds: (performance.now() - startedAt) / 1000 });
+            return result;
+        } catch (caught) {
+            const error = toUpstreamError(stage, caught, failureMessage);
+            const retryable = error.retryable && (retryTimeouts || !(error instanceof UpstreamTimeoutError));
+            if (!retryable || attempt >= maxRetries) {
+                recordUpstreamCall(stage, { seconds: (performance.now() - startedAt) / 1000, errorCode: error.errorCode });
+                throw error;
+            }
+            const delay = backoffDelay(attempt, retryBaseMs);
+            logger.warn(`${STAGE_LABELS[stage]} attempt failed, retrying.`, { stage, attempt: attempt + 1, errorCode: error.errorCode, retryInMs: Math.round(delay) });
+            recordUpstreamRetry(stage);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Streaming variant of callUpstream. The timeout applies to each chunk (time to the
+ * next chunk), and a failed stream is only retried if it hasn't yielded anything yet,
+ * since the caller may already have used the earlier chunks.
+ * @template T
+ * @param {'stt'|'llm'|'tts'} stage - Pipeline stage.
+ * @param {(signal: AbortSignal) => AsyncIterable<T>} openStream - Starts one attempt.
+ * @param {Object} [options]
+ * @param {string} [options.failureMessage] - Prefix for the client message.
+ * @returns {AsyncGenerator<T>}
+ * @throws {AppError}
+ */
+export async function* streamUpstream(stage, openStream, { failureMessage } = {}) {
+    const { timeoutMs, maxRetries, retryBaseMs } = getUpstreamSettings(stage);
+    const startedAt = performance.now();
+    let recorded = false;
+    const record = errorCode => {
+        recorded = true;
+        recordUpstreamCall(stage, { seconds: (performance.now() - startedAt) / 1000, errorCode });
+    };
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        let iterator;
+        let yielded = false;
+        try {
+            iterator = openStream(controller.signal)[Symbol.asyncIterator]();
+            while (true) {
+                const { value, done } = await withTimeout(iterator.next(), stage, timeoutMs, controller, failureMessage);
+                if (done) {
+                    record();
+                    return;
+                }
+                yielded = true;
+                yield value;
+            }
+        } catch (caught) {
+            const error = toUpstreamError(stage, caught, failureMessage);
+            if (yielded || !error.retryable || attempt >= maxRetries) {
+                record(error.errorCode);
+                throw error;
+            }
+            const delay = backoffDelay(attempt, retryBaseMs);
+            logger.warn(`${STAGE_LABELS[stage]} stream attempt failed, retrying.`, { stage, attempt: attempt + 1, errorCode: error.errorCode, retryInMs: Math.round(delay) });
+            recordUpstreamRetry(stage);
+            await sleep(delay);
+        } finally {
+            controller.abort(); // Releases the connection if the consumer stopped early
+            // The consumer stopping early (e.g. on a blocked finish reason) isn't an upstream failure.
+            if (yielded && !recorded) record();
+        }
+    }
+}
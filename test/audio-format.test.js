@@ -0,0 +1,143 @@
+// File: test/audio-format.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectAudioFormat, resolveSttConfig, measureAudioDuration } from '../lib/audio-format.js';
+import { mp3AudioBase64, wavAudioBase64 } from './helpers/fixtures.js';
+
+const b64 = buffer => buffer.toString('base64');
+
+describe('detectAudioFormat', () => {
+    it('detects each supported container', () => {
+        const webm = Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), Buffer.from('\x42\x86webm..A_OPUS..', 'latin1')]);
+        const ogg = Buffer.alloc(48);
+        ogg.write('OggS', 0, 'latin1');
+        ogg.write('OpusHead', 28, 'latin1');
+        ogg.writeUInt32LE(16000, 40);
+        const flac = Buffer.alloc(22);
+        flac.write('fLaC', 0, 'latin1');
+        flac[18] = 0x0A; flac[19] = 0xC4; flac[20] = 0x40; // 44100 Hz in 20 bits
+
+        assert.deepEqual(detectAudioFormat(Buffer.from(mp3AudioBase64(), 'base64')),
+            { container: 'mp3', encoding: 'MP3', sampleRateHertz: 44100 });
+        assert.equal(detectAudioFormat(Buffer.from(wavAudioBase64(8000), 'base64')).sampleRateHertz, 8000);
+        assert.equal(detectAudioFormat(webm).encoding, 'WEBM_OPUS');
+        assert.deepEqual(detectAudioFormat(ogg), { container: 'ogg', encoding: 'OGG_OPUS', sampleRateHertz: 16000, codec: 'opus' });
+        assert.equal(detectAudioFormat(Buffer.from('#!AMR-WB\n....')).encoding, 'AMR_WB');
+        assert.equal(detectAudioFormat(Buffer.from('#!AMR\n....')).encoding, 'AMR');
+        assert.deepEqual(detectAudioFormat(flac), { container: 'flac', encoding: 'FLAC', sampleRateHertz: 44100 });
+    });
+
+    it('returns null for unknown data', () => {
+        assert.equal(detectAudioFormat(Buffer.from('hello world')), null);
+    });
+});
+
+describe('resolveSttConfig', () => {
+    it('uses the header when the client sends nothing', () => {
+        const { config } = resolveSttConfig(wavAudioBase64(16000));
+        assert.deepEqual(config, { encoding: 'LINEAR16', sampleRateHertz: 16000, languageCode: 'en-US' });
+    });
+
+    it('accepts client fields that agree with the header', () => {
+        const { config } = resolveSttConfig(wavAudioBase64(16000), { encoding: 'linear16', sampleRateHertz: 16000, languageCode: 'hi-IN' });
+        assert.deepEqual(config, { encoding: 'LINEAR16', sampleRateHertz: 16000, languageCode: 'hi-IN' });
+    });
+
+    it('rejects mismatched encodings and sample rates', () => {
+        assert.match(resolveSttConfig(wavAudioBase64(16000), { encoding: 'FLAC' }).error, /'encoding' is FLAC/);
+        assert.match(resolveSttConfig(wavAudioBase64(16000), { sampleRateHertz: 48000 }).error, /header says 16000/);
+    });
+
+    it('requires encoding and sample rate for headerless audio', () => {
+        const raw = b64(Buffer.alloc(32));
+        assert.match(resolveSttConfig(raw).error, /Could not detect/);
+        assert.match(resolveSttConfig(raw, { encoding: 'LINEAR16' }).error, /'sampleRateHertz' is required/);
+        assert.deepEqual(resolveSttConfig(raw, { encoding: 'LINEAR16', sampleRateHertz: 8000 }).config,
+            { encoding: 'LINEAR16', sampleRateHertz: 8000, languageCode: 'en-US' });
+    });
+
+    it('rejects unsupported codecs inside a known container', () => {
+        const oggVorbis = Buffer.alloc(48);
+        oggVorbis.write('OggS', 0, 'latin1');
+        oggVorbis.write('\x01vorbis', 28, 'latin1');
+        assert.match(resolveSttConfig(b64(oggVorbis)).error, /ogg container with vorbis codec/);
+    });
+
+    it('passes alternative language codes through, minus the primary one', () => {
+        const { config } = resolveSttConfig(mp3AudioBase64(), { languageCode: 'en-US', alternativeLanguageCodes: ['hi-IN', 'en-US'] });
+        assert.deepEqual(config.alternativeLanguageCodes, ['hi-IN']);
+        assert.match(resolveSttConfig(mp3AudioBase64(), { alternativeLanguageCodes: ['a', 'b', 'c', 'd'] }).error, /alternativeLanguageCodes/);
+    });
+});
+
+describe('measureAudioDuration', () => {
+    // A WebM element with a one-byte size, and the pieces of a MediaRecorder-style recording.
+    const element = (id, data) => Buffer.concat([Buffer.from(id), Buffer.from([0x80 | data.length]), data]);
+    const webmHeader = Buffer.concat([
+        element([0x1A, 0x45, 0xDF, 0xA3], Buffer.from('webm')),
+        Buffer.from([0x18, 0x53, 0x80, 0x67, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]), // Segment of unknown size
+    ]);
+    const clusterStart = Buffer.from([0x1F, 0x43, 0xB6, 0x75, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]); // Unknown size, as MediaRecorder writes it
+    const simpleBlock = timecode => {
+        const data = Buffer.alloc(8);
+        data[0] = 0x81; // track 1
+        data.writeInt16BE(timecode, 1);
+        return element([0xA3], data);
+    };
+
+    it('reads the duration from PCM, FLAC, Ogg Opus and MP3 data', () => {
+        // WAV with a LIST chunk before the data chunk.
+        const wav = Buffer.from(wavAudioBase64(16000, { seconds: 2 }), 'base64');
+        const list = Buffer.from('LIST\x04\x00\x00\x00INFO', 'latin1');
+        const wavWithList = Buffer.concat([wav.subarray(0, 36), list, wav.subarray(36)]);
+        const flac = Buffer.alloc(26);
+        flac.write('fLaC', 0, 'latin1');
+        flac[18] = 0x03; flac[19] = 0xE8; flac[20] = 0x00; // 16000 Hz
+        flac.writeUInt32BE(16000 * 90, 22);                // total samples
+        const ogg = Buffer.alloc(128);
+        ogg.write('OggS', 0, 'latin1');
+        ogg.write('OpusHead', 28, 'latin1');
+        ogg.writeUInt16LE(312, 38);                        // pre-skip
+        ogg.write('OggS', 100, 'latin1');
+        ogg.writeBigUInt64LE(BigInt(48000 * 75 + 312), 106); // last granule position
+
+        assert.deepEqual(measureAudioDuration(wavWithList, { encoding: 'LINEAR16', sampleRateHertz: 16000 }), { seconds: 2, exact: true });
+        assert.deepEqual(measureAudioDuration(Buffer.alloc(8000), { encoding: 'MULAW', sampleRateHertz: 8000 }), { seconds: 1, exact: true });
+        assert.deepEqual(measureAudioDuration(flac, { encoding: 'FLAC' }), { seconds: 90, exact: true });
+        assert.deepEqual(measureAudioDuration(ogg, { encoding: 'OGG_OPUS', sampleRateHertz: 48000 }), { seconds: 75, exact: true });
+        // CBR MP3: 128 kbps, so 16000 bytes per second.
+        const mp3 = Buffer.concat([Buffer.from([0xFF, 0xFB, 0x90, 0x44]), Buffer.alloc(16000 * 3 - 4)]);
+        assert.deepEqual(measureAudioDuration(mp3, { encoding: 'MP3', sampleRateHertz: 44100 }), { seconds: 3, exact: true });
+    });
+
+    it('uses the last block of a WebM recording without a Duration element', () => {
+        const cluster = timecode => Buffer.concat([
+            clusterStart,
+            element([0xE7], Buffer.from([timecode >> 8, timecode & 0xFF])),
+            simpleBlock(0),
+            simpleBlock(980),
+        ]);
+        const webm = Buffer.concat([webmHeader, cluster(0), cluster(30000)]);
+
+        assert.deepEqual(measureAudioDuration(webm, { encoding: 'WEBM_OPUS' }), { seconds: 31, exact: true });
+    });
+
+    it('estimates the duration of a WebM recording with malformed elements', () => {
+        const info = data => Buffer.concat([Buffer.from([0x15, 0x49, 0xA9, 0x66, 0x80 | data.length]), data]);
+        const malformed = [
+            info(element([0x2A, 0xD7, 0xB1], Buffer.alloc(0))),                       // Zero-size TimecodeScale
+            Buffer.concat([clusterStart, element([0xE7], Buffer.alloc(0)), simpleBlock(0)]), // Zero-size Cluster Timecode
+            Buffer.concat([clusterStart, element([0xE7], Buffer.from([0])), element([0xA3], Buffer.from([0x81, 0x00]))]), // Truncated SimpleBlock
+            info(element([0x44, 0x89], Buffer.from([0, 0]))),                          // Two-byte Duration
+        ];
+        for (const body of malformed) {
+            const webm = Buffer.concat([webmHeader, body]);
+            assert.deepEqual(measureAudioDuration(webm, { encoding: 'WEBM_OPUS' }), { seconds: webm.length / 4000, exact: false });
+        }
+    });
+
+    it('estimates formats it cannot read', () => {
+        assert.deepEqual(measureAudioDuration(Buffer.alloc(16000), { encoding: 'AMR' }), { seconds: 10, exact: false });
+    });
+});
@@ -0,0 +1,79 @@
+// File: test/auth.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac, generateKeyPairSync, sign } from 'crypto';
+
+import { authenticateRequest } from '../lib/auth.js';
+import { AuthenticationError, ConfigurationError } from '../lib/errors.js';
+
+const AUTH_ENV = ['API_KEYS', 'AUTH_JWT_SECRET', 'AUTH_JWT_PUBLIC_KEY', 'AUTH_JWT_ISSUER', 'AUTH_JWT_AUDIENCE', 'AUTH_DISABLED'];
+const SECRET = 'test-secret-0123456789';
+
+const base64url = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/** Builds a signed compact JWT. `signer` gets the signing input and returns the signature. */
+const makeJwt = (claims, { alg = 'HS256', signer } = {}) => {
+    const input = `${base64url({ alg, typ: 'JWT' })}.${base64url(claims)}`;
+    const signature = signer ? signer(input) : createHmac('sha256', SECRET).update(input).digest();
+    return `${input}.${signature.toString('base64url')}`;
+};
+
+const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+describe('authenticateRequest', () => {
+    beforeEach(() => AUTH_ENV.forEach(name => delete process.env[name]));
+    afterEach(() => AUTH_ENV.forEach(name => delete process.env[name]));
+
+    it('fails closed when no authentication is configured', () => {
+        assert.throws(() => authenticateRequest({ headers: {} }, '10.0.0.1'), ConfigurationError);
+    });
+
+    it('identifies callers by IP when authentication is disabled', () => {
+        process.env.AUTH_DISABLED = 'true';
+        assert.deepEqual(authenticateRequest({ headers: {} }, '10.0.0.1'), { userId: 'ip:10.0.0.1', method: 'none' });
+    });
+
+    it('accepts a configured API key and rejects others', () => {
+        process.env.API_KEYS = 'alice:key-a, bob:key-b';
+        assert.deepEqual(authenticateRequest({ headers: { 'x-api-key': 'key-b' } }), { userId: 'bob', method: 'apiKey' });
+        assert.throws(() => authenticateRequest({ headers: { 'x-api-key': 'key-c' } }), AuthenticationError);
+        assert.throws(() => authenticateRequest({ headers: {} }), /Missing credentials. Send an X-API-Key header\./);
+    });
+
+    it('accepts an HS256 token and checks its claims', () => {
+        process.env.AUTH_JWT_SECRET = SECRET;
+        process.env.AUTH_JWT_ISSUER = 'https://auth.example.com';
+        const claims = { sub: 'user-1', iss: 'https://auth.example.com', exp: nowSeconds() + 60 };
+
+        assert.deepEqual(authenticateRequest(bearer(makeJwt(claims))), { userId: 'user-1', method: 'jwt' });
+        assert.throws(() => authenticateRequest(bearer(makeJwt({ ...claims, exp: nowSeconds() - 120 }))), /expired/);
+        assert.throws(() => authenticateRequest(bearer(makeJwt({ ...claims, iss: 'someone-else' }))), /issuer/);
+        assert.throws(() => authenticateRequest(bearer(makeJwt({ ...claims, exp: undefined }))), /'exp'/);
+    });
+
+    it('rejects tampered tokens and unsigned ones', () => {
+        process.env.AUTH_JWT_SECRET = SECRET;
+        const [header, , signature] = makeJwt({ sub: 'user-1', exp: nowSeconds() + 60 }).split('.');
+        const tampered = `${header}.${base64url({ sub: 'admin', exp: nowSeconds() + 60 })}.${signature}`;
+
+        assert.throws(() => authenticateRequest(bearer(tampered)), /signature/);
+        assert.throws(() => authenticateRequest(bearer(makeJwt({ sub: 'user-1', exp: nowSeconds() + 60 }, { alg: 'none', signer: () => Buffer.alloc(0) }))), /algorithm: none/);
+        assert.throws(() => authenticateRequest(bearer('not-a-token')), /Malformed/);
+    });
+
+    it('verifies RS256 and ES256 tokens with the configured public key', () => {
+        for (const [alg, type, options] of [['RS256', 'rsa', { modulusLength: 2048 }], ['ES256', 'ec', { namedCurve: 'P-256' }]]) {
+            const { privateKey, publicKey } = generateKeyPairSync(type, options);
+            process.env.AUTH_JWT_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+            const token = makeJwt({ sub: `${alg}-user`, exp: nowSeconds() + 60 }, {
+                alg,
+                signer: input => sign('sha256', Buffer.from(input), { key: privateKey, dsaEncoding: 'ieee-p1363' }),
+            });
+
+            assert.deepEqual(authenticateRequest(bearer(token)), { userId: `${alg}-user`, method: 'jwt' });
+            // An HMAC token can't be forged with the public key as the secret.
+            assert.throws(() => authenticateRequest(bearer(makeJwt({ sub: 'x', exp: nowSeconds() + 60 }))), AuthenticationError);
+        }
+    });
+});
@@ -0,0 +1,46 @@
+// File: test/avatar.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { wordVisemes, buildAvatarTimeline, VISEMES } from '../lib/avatar.js';
+
+describe('wordVisemes', () => {
+    it('reads digraphs as one sound and skips a silent final e', () => {
+        assert.deepEqual(wordVisemes('Breathe'), ['PP', 'RR', 'ih', 'TH']);
+        assert.deepEqual(wordVisemes('shoulders,'), ['CH', 'oh', 'ou', 'nn', 'DD', 'E', 'RR', 'SS']);
+        assert.deepEqual(wordVisemes('naïve'), ['nn', 'aa', 'ih', 'FF']); // Accents are dropped
+    });
+
+    it('opens the mouth once for words without Latin letters', () => {
+        assert.deepEqual(wordVisemes('नमस्ते'), ['aa']);
+        assert.deepEqual(wordVisemes('2024'), ['aa']);
+        assert.ok(['Breathe', 'xylophone'].flatMap(wordVisemes).every(viseme => VISEMES.includes(viseme)));
+    });
+});
+
+describe('buildAvatarTimeline', () => {
+    const words = [
+        { text: 'Take', rate: 1, mark: '0' },
+        { text: 'a', rate: 1, mark: null },
+        { text: 'breath.', rate: 1, mark: '2' },
+    ];
+
+    it('places unmarked words after the previous one by their estimated length', () => {
+        const { words: timed } = buildAvatarTimeline(words, [{ emotion: 'calm', wordCount: 3 }], new Map([['0', 100], ['2', 900]]));
+
+        assert.deepEqual(timed, [
+            { text: 'Take', startMs: 100, endMs: 386 }, // 4 characters at 14 a second
+            { text: 'a', startMs: 457, endMs: 528 },
+            { text: 'breath.', startMs: 900, endMs: 1400 },
+        ]);
+    });
+
+    it('estimates every word when TTS reports no timepoints, and closes the mouth in pauses', () => {
+        const { words: timed, visemes, expressions } = buildAvatarTimeline(words, [{ emotion: 'sadness', intensity: 0.9, wordCount: 3 }], new Map());
+
+        assert.equal(timed[0].startMs, 0);
+        assert.equal(timed[2].startMs, timed[1].endMs + 71);
+        assert.deepEqual(visemes.at(-1), { viseme: 'sil', startMs: timed[2].endMs });
+        assert.deepEqual(expressions, [{ expression: 'concerned', emotion: 'sadness', weight: 0.9, startMs: 0, endMs: timed[2].endMs }]);
+    });
+});
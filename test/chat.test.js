@@ -0,0 +1,133 @@
+// File: test/chat.test.js
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/chat.js';
+import { setProviders, resetProviders } from '../lib/providers/index.js';
+import { FakeLlmProvider } from '../lib/providers/fake.js';
+import { setConversationStore, InMemoryConversationStore } from '../lib/conversation-store.js';
+import { setRateLimitStore, InMemoryRateLimitStore } from '../lib/rate-limit.js';
+import { setJournalStore, InMemoryJournalStore } from '../lib/journal-store.js';
+import { createMockRequest, createMockResponse } from './helpers/http.js';
+
+describe('chat handler', () => {
+    let llm;
+
+    const callHandler = async (requestOptions) => {
+        const res = createMockResponse();
+        await handler(createMockRequest(requestOptions), res);
+        return res;
+    };
+
+    before(() => {
+        process.env.AUTH_DISABLED = 'true'; // Authentication has its own tests (auth.test.js)
+        for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    });
+
+    after(() => {
+        delete process.env.AUTH_DISABLED;
+        resetProviders();
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        setRateLimitStore(new InMemoryRateLimitStore());
+        setJournalStore(new InMemoryJournalStore());
+        llm = new FakeLlmProvider();
+        setProviders({ llm });
+        setConversationStore(new InMemoryConversationStore());
+    });
+
+    it('returns the emotion and reply for typed text', async () => {
+        const res = await callHandler({ body: { text: 'I feel so lonely tonight', sessionId: 'chat-1' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.emotion, 'sadness');
+        assert.equal(res.body.emotionAnalysis.intensity, 0.6);
+        assert.equal(res.body.emotionAnalysis.valence, -0.7);
+        assert.match(res.body.reply, /feeling some sadness/);
+        assert.equal(res.body.languageCode, 'en-US');
+        assert.equal(res.body.riskLevel, 'none');
+        assert.equal(res.body.sessionId, 'chat-1');
+        assert.equal(res.body.audioBase64, undefined);
+    });
+
+    it('adds the turn to the user\'s mood journal', async () => {
+        const journal = new InMemoryJournalStore();
+        setJournalStore(journal);
+        const res = await callHandler({ body: { text: 'I feel so lonely tonight', sessionId: 'chat-1' } });
+
+        const [entry] = await journal.list('ip:unknown');
+        assert.equal(res.body.journalEntryId, entry.id);
+        assert.equal(entry.emotion, 'sadness');
+        assert.equal(entry.summary, 'Talked about feeling sadness.');
+        assert.equal(entry.sessionId, 'chat-1');
+        assert.equal(entry.riskLevel, 'none');
+        assert.equal(JSON.stringify(entry).includes('lonely'), false); // The transcript itself isn't stored
+    });
+
+    it('journals a crisis turn with its risk level, without an emotion label or a Gemini summary', async () => {
+        const journal = new InMemoryJournalStore();
+        setJournalStore(journal);
+        await callHandler({ body: { text: 'I want to die', sessionId: 'chat-1' } });
+
+        const [entry] = await journal.list('ip:unknown');
+        assert.equal(entry.riskLevel, 'high');
+        assert.equal(entry.emotion, null);
+        assert.equal(entry.summary, null);
+        assert.equal(llm.requests.some(body => JSON.stringify(body).includes('Write a mood journal line')), false);
+    });
+
+    it('asks Gemini to reply in the requested language', async () => {
+        await callHandler({ body: { text: 'Ich bin gestresst', languageCode: 'de-de' } });
+
+        const replyRequest = llm.requests.find(body => body.systemInstruction.parts[0].text.includes("You are 'Aura'"));
+        assert.match(replyRequest.systemInstruction.parts[0].text, /speaking German \(de-DE\)/);
+    });
+
+    it('returns the timing of a guided exercise Gemini starts', async () => {
+        const res = await callHandler({ body: { text: 'I am panicking and cannot calm down' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.exercise.id, 'box_breathing');
+        assert.equal(res.body.exercise.steps[1].cue, 'inhale');
+        assert.ok(res.body.exercise.durationMs > 4 * 4 * 4000);
+    });
+
+    it('applies the crisis safety layer to text too', async () => {
+        const res = await callHandler({ body: { text: 'I want to die', locale: 'en-IN' } });
+
+        assert.equal(res.body.riskLevel, 'high');
+        assert.match(res.body.reply, /Tele-MANAS/);
+    });
+
+    it('keeps each user\'s sessions to themselves, even when another user sends the same sessionId', async () => {
+        delete process.env.AUTH_DISABLED;
+        process.env.API_KEYS = 'alice:alice-key,mallory:mallory-key';
+        try {
+            const send = (key, text) => callHandler({ headers: { 'x-api-key': key }, body: { text, sessionId: 'shared-1' } });
+            await send('alice-key', 'I feel so lonely tonight');
+            await send('mallory-key', 'Hello there');
+            await send('alice-key', 'Thanks for listening');
+
+            const replyContents = llm.requests
+                .filter(body => body.systemInstruction?.parts[0].text.includes("You are 'Aura'"))
+                .map(body => body.contents.map(content => content.parts[0].text).filter(text => !text.startsWith('{')));
+            assert.deepEqual(replyContents[1], ['Hello there']); // Mallory doesn't see Alice's history
+            assert.deepEqual(replyContents[2], ['I feel so lonely tonight', 'Thanks for listening']); // Nor overwrites it
+        } finally {
+            process.env.AUTH_DISABLED = 'true';
+            delete process.env.API_KEYS;
+        }
+    });
+
+    it('400 when text is missing or too long', async () => {
+        assert.equal((await callHandler({ body: { text: '   ' } })).statusCode, 400);
+        assert.equal((await callHandler({ body: { text: 'a'.repeat(5000) } })).statusCode, 400);
+        assert.equal((await callHandler({ body: 'text' })).statusCode, 400);
+    });
+
+    it('405 for methods other than POST', async () => {
+        assert.equal((await callHandler({ method: 'PUT' })).statusCode, 405);
+    });
+});
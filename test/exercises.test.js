@@ -0,0 +1,59 @@
+// File: test/exercises.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateExercises, getExercise, getExercisesFor, buildExerciseTiming, EXERCISE_LEAD_IN_MS } from '../lib/exercises.js';
+import { getPersona } from '../lib/personas.js';
+
+describe('validateExercises', () => {
+    it('accepts the shipped config', () => {
+        const exercises = getExercisesFor('en-US');
+        assert.deepEqual(exercises.map(exercise => exercise.id), ['box_breathing', 'grounding_54321', 'body_scan']);
+        assert.deepEqual(validateExercises(exercises), []);
+    });
+
+    it('reports every problem with the exercise and step it belongs to', () => {
+        const step = { text: 'Breathe in.', pauseMs: 4000, cue: 'inhale' };
+        const problems = validateExercises([
+            { id: 'calm', name: 'Calm', description: 'Calms.', steps: [step] },
+            { id: 'calm', name: '', description: 'Again.', steps: [{ text: ' ', pauseMs: 20000, cue: 'sigh' }] },
+            { id: 'Bad Id', name: 'Bad', description: 'Bad.', steps: [] },
+        ]);
+        assert.deepEqual(problems, [
+            `exercise[1] ("calm"): duplicate id.`,
+            `exercise[1] ("calm"): 'name' must be a non-empty string.`,
+            'exercise[1] ("calm"): steps[0].text must be a non-empty string.',
+            'exercise[1] ("calm"): steps[0].pauseMs must be an integer from 0 to 10000.',
+            'exercise[1] ("calm"): steps[0].cue must be one of inhale, hold, exhale, focus.',
+            `exercise[2] ("Bad Id"): 'id' must be 1-32 characters from a-z, 0-9 and '_'.`,
+            `exercise[2] ("Bad Id"): 'steps' must be a non-empty array.`,
+        ]);
+    });
+});
+
+describe('exercise lookups', () => {
+    it('offers the English scripts only in English', () => {
+        assert.equal(getExercisesFor('en-GB').length, 3);
+        assert.deepEqual(getExercisesFor('hi-IN'), []);
+        assert.equal(getExercise('nope'), null);
+    });
+
+    it('times each step after the reply and the lead-in, using the exercise speaking rate', () => {
+        const timing = buildExerciseTiming(getExercise('box_breathing'), { text: 'Okay.', emotion: 'neutral' }, getPersona('sage'));
+
+        assert.equal(timing.id, 'box_breathing');
+        const [intro, inhale, hold] = timing.steps;
+        assert.ok(intro.startMs > EXERCISE_LEAD_IN_MS);
+        assert.deepEqual(inhale, {
+            index: 1,
+            text: 'Breathe in.',
+            cue: 'inhale',
+            startMs: intro.startMs + intro.speechMs + intro.pauseMs,
+            speechMs: 982, // 11 characters at Sage's exercise rate of 0.8
+            pauseMs: 4000,
+        });
+        assert.equal(hold.startMs, inhale.startMs + inhale.speechMs + 4000);
+        const last = timing.steps.at(-1);
+        assert.equal(timing.durationMs, last.startMs + last.speechMs + last.pauseMs);
+    });
+});
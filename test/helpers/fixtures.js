@@ -0,0 +1,43 @@
+// File: test/helpers/fixtures.js
+// Small audio clips for tests. Only the container header and the data size
+// matter: the STT provider is faked, so nothing ever decodes the samples.
+
+/**
+ * An MPEG-1 Layer III frame header (44.1 kHz) followed by zero bytes.
+ * @returns {string} - Base64 audio.
+ */
+export function mp3AudioBase64() {
+    return Buffer.concat([Buffer.from([0xFF, 0xFB, 0x90, 0x44]), Buffer.alloc(64)]).toString('base64');
+}
+
+/**
+ * A WAV file with 16-bit mono PCM at the given sample rate, silent unless
+ * `fillSample` returns something else.
+ * @param {number} [sampleRate] - Sample rate written to the fmt chunk.
+ * @param {Object} [options]
+ * @param {number} [options.seconds] - Length of the sample data (default 0.1).
+ * @param {(index: number) => number} [options.fillSample] - Value of each sample.
+ * @returns {string} - Base64 audio.
+ */
+export function wavAudioBase64(sampleRate = 16000, { seconds = 0.1, fillSample } = {}) {
+    const samples = Math.round(sampleRate * seconds);
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(36 + samples * 2, 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);          // PCM
+    header.writeUInt16LE(1, 22);          // mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);         // bits per sample
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(samples * 2, 40);
+    const data = Buffer.alloc(samples * 2);
+    if (fillSample) {
+        for (let index = 0; index < samples; index++) data.writeInt16LE(fillSample(index), index * 2);
+    }
+    return Buffer.concat([header, data]).toString('base64');
+}
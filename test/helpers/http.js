@@ -0,0 +1,95 @@
+// File: test/helpers/http.js
+// Minimal stand-ins for the Vercel (Node) request/response objects the handlers use.
+
+/**
+ * Creates a request like the one Vercel passes to a handler (body already parsed).
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method (default: POST).
+ * @param {object} [options.body] - Parsed JSON body.
+ * @param {Buffer} [options.rawBody] - Unparsed body, readable from the request stream instead of `body`.
+ * @param {Object<string, string>} [options.headers] - Lower-cased request headers.
+ * @param {Object<string, string>} [options.query] - Parsed query string.
+ * @returns {object}
+ */
+export function createMockRequest({ method = 'POST', body = {}, rawBody, headers = {}, query = {} } = {}) {
+    if (rawBody === undefined) return { method, body, headers, query };
+    return {
+        method,
+        headers,
+        query,
+        // Vercel doesn't parse binary and multipart bodies; they arrive in chunks.
+        async *[Symbol.asyncIterator]() {
+            for (let offset = 0; offset < rawBody.length; offset += 16 * 1024) {
+                yield rawBody.subarray(offset, offset + 16 * 1024);
+            }
+        },
+    };
+}
+
+/**
+ * Creates a response that records what the handler sent.
+ * After the handler resolves: `statusCode`, `headers`, `body` (parsed for json()),
+ * and `chunks` (raw writes: strings, or Buffers for binary responses).
+ * @returns {object}
+ */
+export function createMockResponse() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        chunks: [],
+        headersSent: false,
+        writableEnded: false,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+            return res;
+        },
+        getHeader(name) {
+            return res.headers[name.toLowerCase()];
+        },
+        flushHeaders() {
+            res.headersSent = true;
+        },
+        json(payload) {
+            res.setHeader('Content-Type', 'application/json');
+            res.body = JSON.parse(JSON.stringify(payload));
+            res.headersSent = true;
+            res.writableEnded = true;
+            return res;
+        },
+        write(chunk) {
+            res.headersSent = true;
+            res.chunks.push(Buffer.isBuffer(chunk) ? chunk : String(chunk));
+            return true;
+        },
+        end(chunk) {
+            if (chunk !== undefined) res.chunks.push(Buffer.isBuffer(chunk) ? chunk : String(chunk));
+            res.headersSent = true;
+            res.writableEnded = true;
+            return res;
+        },
+    };
+    return res;
+}
+
+/**
+ * Parses the NDJSON events a streaming response wrote.
+ * @param {object} res - A response from createMockResponse.
+ * @returns {object[]}
+ */
+export function readNdjsonEvents(res) {
+    return res.chunks.join('').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * Returns everything a response wrote with write()/end() as one Buffer.
+ * @param {object} res - A response from createMockResponse.
+ * @returns {Buffer}
+ */
+export function readRawBody(res) {
+    return Buffer.concat(res.chunks.map(chunk => Buffer.from(chunk)));
+}
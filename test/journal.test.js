@@ -0,0 +1,143 @@
+// File: test/journal.test.js
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import handler from '../api/journal.js';
+import { FileJournalStore, InMemoryJournalStore, setJournalStore, createJournalEntry } from '../lib/journal-store.js';
+import { setRateLimitStore, InMemoryRateLimitStore } from '../lib/rate-limit.js';
+import { createMockRequest, createMockResponse } from './helpers/http.js';
+
+const USER_ID = 'ip:unknown'; // Identity of unauthenticated test requests (AUTH_DISABLED)
+
+const entryAt = (timestamp, emotion = 'calm', userId = USER_ID) =>
+    ({ ...createJournalEntry(userId, { emotion, summary: `Felt ${emotion}.`, languageCode: 'en-US', personaId: 'aura' }), timestamp });
+
+describe('FileJournalStore', () => {
+    let directory;
+
+    before(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-test-'));
+    });
+
+    after(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('persists entries per user across store instances', async () => {
+        const store = new FileJournalStore(directory);
+        // Concurrent writes for one user are queued, so none is lost.
+        await Promise.all([1, 2, 3].map(n => store.add(entryAt(n * 1000))));
+        await store.add(entryAt(5000, 'joy', 'someone-else'));
+
+        const reopened = new FileJournalStore(directory);
+        assert.deepEqual((await reopened.list(USER_ID)).map(entry => entry.timestamp), [3000, 2000, 1000]);
+        assert.deepEqual((await reopened.list(USER_ID, { from: 2000, to: 3000 })).map(entry => entry.timestamp), [2000]);
+        assert.equal((await reopened.list('someone-else')).length, 1);
+    });
+
+    it('deletes single entries and whole journals', async () => {
+        const store = new FileJournalStore(directory);
+        const [newest] = await store.list(USER_ID);
+
+        assert.equal(await store.delete(USER_ID, newest.id), true);
+        assert.equal(await store.delete(USER_ID, newest.id), false);
+        assert.equal(await store.deleteAll(USER_ID), 2);
+        assert.deepEqual(await store.list(USER_ID), []);
+    });
+});
+
+describe('journal handler', () => {
+    let journal;
+
+    const callHandler = async (requestOptions) => {
+        const res = createMockResponse();
+        await handler(createMockRequest({ method: 'GET', ...requestOptions }), res);
+        return res;
+    };
+
+    before(() => {
+        process.env.AUTH_DISABLED = 'true';
+        for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    });
+
+    after(() => {
+        delete process.env.AUTH_DISABLED;
+        mock.restoreAll();
+    });
+
+    beforeEach(async () => {
+        setRateLimitStore(new InMemoryRateLimitStore());
+        journal = new InMemoryJournalStore();
+        setJournalStore(journal);
+        for (let n = 1; n <= 5; n++) await journal.add(entryAt(Date.UTC(2024, 4, n, 12)));
+        await journal.add(entryAt(Date.UTC(2024, 4, 3), 'joy', 'someone-else'));
+    });
+
+    it('lists the caller\'s entries newest first, in pages', async () => {
+        const first = await callHandler({ query: { limit: '2' } });
+
+        assert.equal(first.statusCode, 200);
+        assert.deepEqual(first.body.entries.map(entry => new Date(entry.timestamp).getUTCDate()), [5, 4]);
+        assert.equal(first.body.entries[0].userId, undefined);
+        assert.equal(first.body.entries[0].summary, 'Felt calm.');
+
+        const second = await callHandler({ query: { limit: '2', cursor: first.body.nextCursor } });
+        assert.deepEqual(second.body.entries.map(entry => new Date(entry.timestamp).getUTCDate()), [3, 2]);
+
+        const ranged = await callHandler({ query: { from: '2024-05-04', to: '2024-05-06' } });
+        assert.equal(ranged.body.entries.length, 2);
+        assert.equal(ranged.body.nextCursor, undefined);
+    });
+
+    it('pages through entries that share a timestamp without skipping any', async () => {
+        const sameMoment = Date.UTC(2024, 4, 6, 12);
+        for (let n = 0; n < 5; n++) await journal.add(entryAt(sameMoment));
+
+        const seen = [];
+        let cursor;
+        do {
+            const res = await callHandler({ query: { limit: '2', ...(cursor && { cursor }) } });
+            seen.push(...res.body.entries.map(entry => entry.id));
+            cursor = res.body.nextCursor;
+        } while (cursor);
+
+        const all = await journal.list(USER_ID);
+        assert.equal(all.length, 10);
+        assert.deepEqual(seen, all.map(entry => entry.id));
+    });
+
+    it('400 for a malformed cursor', async () => {
+        const res = await callHandler({ query: { cursor: '1714564800000' } });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /Invalid 'cursor'/);
+    });
+
+    it('deletes one entry, and 404s for entries that aren\'t the caller\'s', async () => {
+        const [entry] = await journal.list(USER_ID);
+        const [otherEntry] = await journal.list('someone-else');
+
+        assert.deepEqual((await callHandler({ method: 'DELETE', query: { id: entry.id } })).body, { deleted: 1 });
+        const res = await callHandler({ method: 'DELETE', query: { id: otherEntry.id } });
+        assert.equal(res.statusCode, 404);
+        assert.equal(res.body.errorCode, 'NOT_FOUND');
+        assert.equal((await journal.list('someone-else')).length, 1);
+    });
+
+    it('deletes the whole journal with all=true', async () => {
+        const res = await callHandler({ method: 'DELETE', query: { all: 'true' } });
+
+        assert.deepEqual(res.body, { deleted: 5 });
+        assert.deepEqual(await journal.list(USER_ID), []);
+    });
+
+    it('400 for invalid parameters', async () => {
+        assert.equal((await callHandler({ query: { from: 'yesterday' } })).statusCode, 400);
+        assert.equal((await callHandler({ query: { limit: '0' } })).statusCode, 400);
+        assert.equal((await callHandler({ method: 'DELETE' })).statusCode, 400);
+        assert.equal((await callHandler({ method: 'POST' })).statusCode, 405);
+    });
+});
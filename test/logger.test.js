@@ -0,0 +1,71 @@
+// File: test/logger.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { logger, setLogContext } from '../lib/logger.js';
+import { UpstreamError } from '../lib/errors.js';
+
+describe('logger', () => {
+    let lines;
+
+    beforeEach(() => {
+        lines = [];
+        for (const method of ['log', 'warn', 'error']) {
+            mock.method(console, method, line => lines.push({ method, entry: JSON.parse(line) }));
+        }
+    });
+
+    afterEach(() => {
+        delete process.env.LOG_LEVEL;
+        delete process.env.LOG_USER_CONTENT;
+        delete process.env.LOG_HASH_SECRET;
+        mock.restoreAll();
+    });
+
+    it('writes one JSON object per line with the level and request ID', () => {
+        setLogContext({ requestId: 'req-12345678' });
+        logger.warn('Something happened.', { stage: 'stt' });
+
+        assert.equal(lines.length, 1);
+        assert.equal(lines[0].method, 'warn');
+        const { time, ...entry } = lines[0].entry;
+        assert.ok(!Number.isNaN(Date.parse(time)));
+        assert.deepEqual(entry, { level: 'warn', message: 'Something happened.', requestId: 'req-12345678', stage: 'stt' });
+    });
+
+    it('redacts user content at any depth unless LOG_USER_CONTENT=true', () => {
+        process.env.LOG_HASH_SECRET = 'test-secret';
+        const response = { candidates: [{ content: { parts: [{ text: 'You sound tired.' }] }, finishReason: 'STOP' }] };
+        logger.info('Gemini result.', { emotion: 'sadness', reply: 'You sound tired.', response });
+
+        const { entry } = lines[0];
+        assert.equal(entry.emotion, 'sadness');
+        assert.match(entry.reply, /^\[redacted 16 chars #[0-9a-f]{12}\]$/);
+        assert.equal(entry.response.candidates[0].content.parts[0].text, entry.reply); // Same text, same hash
+        assert.equal(JSON.stringify(entry).includes('tired'), false);
+
+        process.env.LOG_USER_CONTENT = 'true';
+        logger.info('Gemini result.', { reply: 'You sound tired.' });
+        assert.equal(lines[1].entry.reply, 'You sound tired.');
+    });
+
+    it('filters by LOG_LEVEL', () => {
+        logger.debug('Hidden by default.');
+        process.env.LOG_LEVEL = 'debug';
+        logger.debug('Shown.');
+        process.env.LOG_LEVEL = 'error';
+        logger.warn('Hidden.');
+
+        assert.deepEqual(lines.map(line => line.entry.message), ['Shown.']);
+    });
+
+    it('serializes errors, keeping stacks only for unexpected ones', () => {
+        logger.error('Failed.', { error: new UpstreamError('tts', 'Failed to synthesize speech', { cause: new TypeError('boom') }) });
+
+        const { error } = lines[0].entry;
+        assert.equal(error.errorCode, 'TTS_FAILED');
+        assert.equal(error.stack, undefined);
+        assert.equal(error.cause.name, 'TypeError');
+        assert.match(error.cause.stack, /TypeError: boom/);
+    });
+});
@@ -0,0 +1,88 @@
+// File: test/metrics.test.js
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/metrics.js';
+import { renderMetrics, resetMetrics } from '../lib/metrics.js';
+import { callUpstream, streamUpstream } from '../lib/upstream.js';
+import { setRateLimitStore, InMemoryRateLimitStore } from '../lib/rate-limit.js';
+import { createMockRequest, createMockResponse } from './helpers/http.js';
+
+const metricLine = (text, prefix) => text.split('\n').find(line => line.startsWith(prefix));
+
+describe('upstream metrics', () => {
+    before(() => {
+        process.env.UPSTREAM_RETRY_BASE_MS = '1';
+        for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    });
+
+    after(() => {
+        delete process.env.UPSTREAM_RETRY_BASE_MS;
+        mock.restoreAll();
+    });
+
+    beforeEach(() => resetMetrics());
+
+    it('counts calls by stage and outcome, with latency histograms and retries', async () => {
+        let attempts = 0;
+        await callUpstream('tts', async () => {
+            if (attempts++ === 0) throw Object.assign(new Error('unavailable'), { status: 503 });
+            return 'ok';
+        });
+        await assert.rejects(callUpstream('stt', async () => { throw Object.assign(new Error('deadline'), { code: 4 }); }));
+        for await (const chunk of streamUpstream('llm', async function* () { yield 'a'; yield 'b'; })) {
+            if (chunk === 'a') break; // Stopping early still counts as a successful call
+        }
+
+        const text = renderMetrics();
+        assert.equal(metricLine(text, 'upstream_requests_total{stage="tts",outcome="success"}'), 'upstream_requests_total{stage="tts",outcome="success"} 1');
+        assert.equal(metricLine(text, 'upstream_requests_total{stage="stt",outcome="timeout"}'), 'upstream_requests_total{stage="stt",outcome="timeout"} 1');
+        assert.equal(metricLine(text, 'upstream_requests_total{stage="llm",outcome="success"}'), 'upstream_requests_total{stage="llm",outcome="success"} 1');
+        assert.equal(metricLine(text, 'upstream_retries_total{stage="tts"}'), 'upstream_retries_total{stage="tts"} 1');
+        // The timeout was retried too (gRPC DEADLINE_EXCEEDED is retryable), twice by default.
+        assert.equal(metricLine(text, 'upstream_retries_total{stage="stt"}'), 'upstream_retries_total{stage="stt"} 2');
+        assert.equal(metricLine(text, 'upstream_retries_total{stage="llm"}'), 'upstream_retries_total{stage="llm"} 0');
+        assert.equal(metricLine(text, 'upstream_request_duration_seconds_bucket{stage="tts",outcome="success",le="+Inf"}'),
+            'upstream_request_duration_seconds_bucket{stage="tts",outcome="success",le="+Inf"} 1');
+        assert.match(text, /# TYPE upstream_request_duration_seconds histogram/);
+    });
+});
+
+describe('metrics handler', () => {
+    const callHandler = async (requestOptions) => {
+        const res = createMockResponse();
+        await handler(createMockRequest({ method: 'GET', ...requestOptions }), res);
+        return res;
+    };
+
+    before(() => {
+        for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    });
+
+    after(() => {
+        delete process.env.METRICS_TOKEN;
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        setRateLimitStore(new InMemoryRateLimitStore());
+        process.env.METRICS_TOKEN = 'scrape-token';
+    });
+
+    it('serves the Prometheus text format to the metrics token', async () => {
+        const res = await callHandler({ headers: { authorization: 'Bearer scrape-token' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.match(res.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+        assert.match(res.chunks.join(''), /# TYPE upstream_requests_total counter/);
+    });
+
+    it('401 without the token, 500 when no token is configured', async () => {
+        assert.equal((await callHandler({ headers: { authorization: 'Bearer wrong' } })).statusCode, 401);
+
+        delete process.env.METRICS_TOKEN;
+        const res = await callHandler({ headers: { authorization: 'Bearer scrape-token' } });
+        assert.equal(res.statusCode, 500);
+        assert.equal(res.body.errorCode, 'CONFIGURATION_ERROR');
+    });
+});
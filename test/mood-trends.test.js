@@ -0,0 +1,103 @@
+// File: test/mood-trends.test.js
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/mood-trends.js';
+import { computeMoodTrends } from '../lib/mood-trends.js';
+import { InMemoryJournalStore, setJournalStore } from '../lib/journal-store.js';
+import { setRateLimitStore, InMemoryRateLimitStore } from '../lib/rate-limit.js';
+import { createMockRequest, createMockResponse } from './helpers/http.js';
+
+const at = (day, hour, emotion) => ({ userId: 'ip:unknown', emotion, timestamp: Date.UTC(2024, 4, day, hour) });
+
+// May 2024: 1st is a Wednesday.
+const ENTRIES = [
+    at(1, 9, 'anxiety'), at(1, 20, 'anxiety'), at(1, 21, 'calm'),
+    at(2, 10, 'sadness'),
+    at(4, 8, 'calm'),
+    at(5, 8, 'calm'), at(5, 22, 'joy'),
+    at(6, 23, 'calm'), // 7 May 01:00 in Berlin
+];
+const RANGE = { from: Date.UTC(2024, 4, 1), to: Date.UTC(2024, 4, 8) };
+
+describe('computeMoodTrends', () => {
+    it('counts emotions per day, including quiet days', () => {
+        const trends = computeMoodTrends(ENTRIES, { ...RANGE, now: Date.UTC(2024, 4, 6, 23, 30) });
+
+        assert.equal(trends.totalEntries, 8);
+        assert.deepEqual(trends.buckets.map(bucket => bucket.period),
+            ['2024-05-01', '2024-05-02', '2024-05-03', '2024-05-04', '2024-05-05', '2024-05-06', '2024-05-07']);
+        assert.deepEqual(trends.buckets[0], { period: '2024-05-01', total: 3, highRisk: 0, emotions: { anxiety: 2, calm: 1 }, dominantEmotion: 'anxiety' });
+        assert.deepEqual(trends.buckets[2], { period: '2024-05-03', total: 0, highRisk: 0, emotions: {}, dominantEmotion: null });
+        // Ties go to the emotion seen last that day.
+        assert.equal(trends.buckets[4].dominantEmotion, 'joy');
+        assert.deepEqual(trends.topEmotions[0], { emotion: 'calm', count: 4, share: 0.5 });
+    });
+
+    it('counts crisis turns on their own, outside the emotion counts', () => {
+        const crisis = { ...at(3, 2, null), riskLevel: 'high' };
+        const trends = computeMoodTrends([...ENTRIES, crisis], { ...RANGE, now: Date.UTC(2024, 4, 6, 23, 30) });
+
+        assert.deepEqual(trends.buckets[2], { period: '2024-05-03', total: 1, highRisk: 1, emotions: {}, dominantEmotion: null });
+        assert.equal(trends.topEmotions.some(({ emotion }) => emotion === null || emotion === 'neutral'), false);
+        assert.equal(trends.streaks.longestDays, 6); // The crisis turn still counts as a journaled day
+    });
+
+    it('tracks journaling streaks and the current dominant-emotion streak', () => {
+        const trends = computeMoodTrends(ENTRIES, { ...RANGE, now: Date.UTC(2024, 4, 7, 12) });
+
+        // 4-6 May; the streak is still alive on the 7th until the day ends.
+        assert.deepEqual(trends.streaks, { currentDays: 3, longestDays: 3, currentEmotion: { emotion: 'calm', days: 1 } });
+        assert.equal(computeMoodTrends(ENTRIES, { ...RANGE, now: Date.UTC(2024, 4, 8, 12) }).streaks.currentDays, 0);
+    });
+
+    it('groups by ISO week and honours the time zone', () => {
+        const weekly = computeMoodTrends(ENTRIES, { ...RANGE, groupBy: 'week' });
+        assert.deepEqual(weekly.buckets.map(bucket => [bucket.period, bucket.total]), [['2024-04-29', 7], ['2024-05-06', 1]]);
+
+        const berlin = computeMoodTrends(ENTRIES, { ...RANGE, timeZone: 'Europe/Berlin', now: Date.UTC(2024, 4, 7, 12) });
+        assert.equal(berlin.buckets.find(bucket => bucket.period === '2024-05-07').total, 1);
+        assert.equal(berlin.streaks.currentDays, 4); // In Berlin the late entries of the 5th and 6th land on the 6th and 7th
+    });
+});
+
+describe('mood-trends handler', () => {
+    const callHandler = async (query) => {
+        const res = createMockResponse();
+        await handler(createMockRequest({ method: 'GET', query }), res);
+        return res;
+    };
+
+    before(() => {
+        process.env.AUTH_DISABLED = 'true';
+        for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    });
+
+    after(() => {
+        delete process.env.AUTH_DISABLED;
+        mock.restoreAll();
+    });
+
+    beforeEach(async () => {
+        setRateLimitStore(new InMemoryRateLimitStore());
+        const journal = new InMemoryJournalStore();
+        for (const entry of ENTRIES) await journal.add({ ...entry, id: String(entry.timestamp) });
+        setJournalStore(journal);
+    });
+
+    it('returns trends for the requested range', async () => {
+        const res = await callHandler({ from: '2024-05-01', to: '2024-05-08', groupBy: 'week' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.from, '2024-05-01T00:00:00.000Z');
+        assert.equal(res.body.totalEntries, 8);
+        assert.equal(res.body.buckets.length, 2);
+    });
+
+    it('400 for an invalid groupBy, time zone or range', async () => {
+        assert.equal((await callHandler({ groupBy: 'month' })).statusCode, 400);
+        assert.equal((await callHandler({ timeZone: 'Mars/Olympus' })).statusCode, 400);
+        assert.equal((await callHandler({ from: '2024-05-08', to: '2024-05-01' })).statusCode, 400);
+        assert.equal((await callHandler({ from: '2020-01-01', to: '2024-01-01' })).statusCode, 400);
+    });
+});
@@ -0,0 +1,78 @@
+// File: test/personas.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validatePersonas, getPersona, getPersonaIds, normalizeEmotion, resolveProsody } from '../lib/personas.js';
+
+const validPersona = () => ({
+    id: 'test',
+    name: 'Test',
+    systemPrompt: 'You are a test companion.',
+    emotions: ['calm', 'neutral'],
+    voice: { ssmlGender: 'NEUTRAL' },
+    prosody: { default: { rate: 1.0 }, emotions: { calm: { rate: 0.9, sentencePauseMs: 200 } } },
+});
+
+describe('validatePersonas', () => {
+    it('accepts the shipped config', () => {
+        assert.deepEqual(getPersonaIds(), ['aura', 'sage']);
+        assert.deepEqual(validatePersonas(getPersonaIds().map(getPersona)), []);
+    });
+
+    it('rejects an empty config', () => {
+        assert.deepEqual(validatePersonas([]), ['Persona config must export a non-empty array.']);
+    });
+
+    it('reports every problem with the persona it belongs to', () => {
+        const broken = {
+            ...validPersona(),
+            emotions: ['calm', 'bliss'],
+            voice: { ssmlGender: 'ROBOT' },
+            prosody: { emotions: { calm: { rate: 9, tempo: 1 }, joy: {} } },
+        };
+        const problems = validatePersonas([validPersona(), broken]);
+
+        assert.equal(problems.length, 7);
+        assert.ok(problems.every(problem => problem.startsWith('persona[1] ("test")')));
+        assert.match(problems.join('\n'), /duplicate id/);
+        assert.match(problems.join('\n'), /must include 'neutral'/);
+        assert.match(problems.join('\n'), /labels outside the taxonomy \(bliss\)/);
+        assert.match(problems.join('\n'), /voice\.ssmlGender/);
+        assert.match(problems.join('\n'), /prosody\.emotions\.calm\.rate must be a number from 0\.25 to 4/);
+        assert.match(problems.join('\n'), /prosody\.emotions\.calm\.tempo is not a known prosody setting/);
+        assert.match(problems.join('\n'), /prosody\.emotions\.joy is not in 'emotions'/);
+    });
+});
+
+describe('persona lookups', () => {
+    it('returns the default persona without an ID and null for unknown IDs', () => {
+        assert.equal(getPersona().id, 'aura');
+        assert.equal(getPersona('sage').name, 'Sage');
+        assert.equal(getPersona('nobody'), null);
+    });
+
+    it('normalizes emotions to the persona\'s label set', () => {
+        const persona = validPersona();
+        assert.equal(normalizeEmotion(persona, ' Calm '), 'calm');
+        assert.equal(normalizeEmotion(persona, 'joy'), 'neutral');
+        assert.equal(normalizeEmotion(persona, undefined), 'neutral');
+    });
+
+    it('layers built-in defaults, the persona default and the emotion override', () => {
+        const persona = validPersona();
+        assert.deepEqual(resolveProsody(persona, 'CALM'), { rate: 0.9, pitch: 0, volumeDb: 0, sentencePauseMs: 200 });
+        assert.deepEqual(resolveProsody(persona, 'neutral'), { rate: 1.0, pitch: 0, volumeDb: 0, sentencePauseMs: 0 });
+    });
+
+    it('scales the emotion override with the intensity', () => {
+        const persona = validPersona();
+        assert.deepEqual(resolveProsody(persona, 'calm', 0), { rate: 1.0, pitch: 0, volumeDb: 0, sentencePauseMs: 0 });
+        assert.deepEqual(resolveProsody(persona, 'calm', 0.25), { rate: 0.95, pitch: 0, volumeDb: 0, sentencePauseMs: 100 });
+        assert.deepEqual(resolveProsody(persona, 'calm', 1), { rate: 0.8, pitch: 0, volumeDb: 0, sentencePauseMs: 400 });
+    });
+
+    it('keeps scaled prosody within the ranges TTS accepts', () => {
+        const persona = { ...validPersona(), prosody: { emotions: { calm: { rate: 0.3, pitch: -15 } } } };
+        assert.deepEqual(resolveProsody(persona, 'calm', 1), { rate: 0.25, pitch: -20, volumeDb: 0, sentencePauseMs: 0 });
+    });
+});
@@ -0,0 +1,687 @@
+// File: test/process-voice.test.js
+// End-to-end tests for the process-voice handler using the offline providers:
+// fake STT/TTS, and the real Gemini REST provider pointed at a local stand-in server.
+
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/process-voice.js';
+import { setProviders, resetProviders } from '../lib/providers/index.js';
+import { FakeSpeechToTextProvider, FakeTextToSpeechProvider, fakeGeminiText } from '../lib/providers/fake.js';
+import { GeminiRestProvider } from '../lib/providers/gemini.js';
+import { startFakeGeminiServer } from '../lib/providers/fake-gemini-server.js';
+import { setConversationStore, InMemoryConversationStore } from '../lib/conversation-store.js';
+import { setRateLimitStore, InMemoryRateLimitStore } from '../lib/rate-limit.js';
+import { setJournalStore, InMemoryJournalStore } from '../lib/journal-store.js';
+import { setRiskEventStore, InMemoryRiskEventStore } from '../lib/risk-event-store.js';
+import { parseMediaType, parseMultipart, buildMultipart } from '../lib/multipart.js';
+import { createMockRequest, createMockResponse, readNdjsonEvents, readRawBody } from './helpers/http.js';
+import { mp3AudioBase64 } from './helpers/fixtures.js';
+
+const API_KEY = 'test-key';
+
+describe('process-voice handler', () => {
+    let gemini;
+    let respond; // Per-test Gemini behaviour, see beforeEach
+    let stt;
+    let tts;
+
+    const callHandler = async (requestOptions) => {
+        const req = createMockRequest({ body: { audioBase64: mp3AudioBase64() }, ...requestOptions });
+        const res = createMockResponse();
+        await handler(req, res);
+        return res;
+    };
+
+    // Reply requests carry the persona prompt; risk checks and summaries don't.
+    const replyRequests = () => gemini.requests.filter(body =>
+        body.systemInstruction?.parts?.[0]?.text.includes("You are 'Aura'"));
+
+    before(async () => {
+        process.env.AUTH_DISABLED = 'true'; // Authentication has its own tests (auth.test.js)
+        gemini = await startFakeGeminiServer({ apiKey: API_KEY, respond: body => respond(body) });
+        process.env.UPSTREAM_RETRY_BASE_MS = '1'; // Keep retry backoff out of the test run time
+        // The handler logs every step; keep test output readable.
+        for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    });
+
+    after(async () => {
+        delete process.env.AUTH_DISABLED;
+        await gemini.close();
+        delete process.env.UPSTREAM_RETRY_BASE_MS;
+        resetProviders();
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        setRateLimitStore(new InMemoryRateLimitStore());
+        setJournalStore(new InMemoryJournalStore());
+        setRiskEventStore(new InMemoryRiskEventStore());
+        respond = fakeGeminiText;
+        gemini.requests.length = 0;
+        stt = new FakeSpeechToTextProvider({ transcript: 'I have been feeling anxious about my exams.' });
+        tts = new FakeTextToSpeechProvider();
+        setProviders({ stt, tts, llm: new GeminiRestProvider({ apiKey: API_KEY, baseUrl: gemini.baseUrl }) });
+        setConversationStore(new InMemoryConversationStore());
+    });
+
+    describe('success path', () => {
+        it('returns the transcript, emotion, reply and synthesized audio', async () => {
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.transcript, 'I have been feeling anxious about my exams.');
+            assert.deepEqual(res.body.transcriptSegments.map(segment => segment.transcript), [res.body.transcript]);
+            assert.equal(res.body.languageCode, 'en-US');
+            assert.equal(res.body.emotion, 'anxiety');
+            assert.match(res.body.reply, /feeling some anxiety/);
+            assert.equal(res.body.riskLevel, 'none');
+
+            const audio = Buffer.from(res.body.audioBase64, 'base64').toString();
+            assert.match(audio, /^FAKE_AUDIO\|en-US-Wavenet-F\|<speak>/);
+            assert.ok(audio.replace(/<mark name="\d+"\/>/g, '').includes('feeling some anxiety'));
+            assert.equal(res.body.avatarTimeline.words[0].text, 'Thank');
+            assert.deepEqual(res.body.avatarTimeline.expressions.map(cue => cue.expression), ['reassuring']);
+        });
+
+        it('sends the sniffed encoding and sample rate to STT', async () => {
+            await callHandler();
+
+            assert.equal(stt.requests.length, 1);
+            assert.deepEqual(stt.requests[0].config, { encoding: 'MP3', sampleRateHertz: 44100, languageCode: 'en-US' });
+        });
+
+        it('replays earlier turns of the same session to Gemini', async () => {
+            await callHandler({ body: { audioBase64: mp3AudioBase64(), sessionId: 'session-1' } });
+            stt.transcript = 'Thanks, that helps.';
+            const res = await callHandler({ body: { audioBase64: mp3AudioBase64(), sessionId: 'session-1' } });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.sessionId, 'session-1');
+            const contents = replyRequests().at(-1).contents;
+            assert.deepEqual(contents.map(content => content.role), ['user', 'model', 'user']);
+            assert.equal(contents[0].parts[0].text, 'I have been feeling anxious about my exams.');
+            assert.equal(JSON.parse(contents[1].parts[0].text).emotion, 'anxiety');
+        });
+
+        it('returns the fixed crisis reply without asking Gemini for one', async () => {
+            stt.transcript = 'I want to kill myself.';
+            const res = await callHandler({ body: { audioBase64: mp3AudioBase64(), locale: 'en-GB' } });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.riskLevel, 'high');
+            assert.match(res.body.reply, /Samaritans, call 116 123/);
+            assert.ok(res.body.crisisResources.length > 0);
+            assert.ok(res.body.riskEventId);
+            assert.equal(replyRequests().length, 0);
+        });
+
+        it('records the risk event for the user it concerns, even without a session', async () => {
+            const riskEvents = new InMemoryRiskEventStore();
+            setRiskEventStore(riskEvents);
+            stt.transcript = 'I want to kill myself.';
+            const res = await callHandler();
+
+            const [event] = await riskEvents.list({ userId: 'ip:unknown' });
+            assert.equal(event.id, res.body.riskEventId);
+            assert.equal(event.userId, 'ip:unknown');
+            assert.equal(event.sessionId, null);
+            assert.equal(event.riskLevel, 'high');
+        });
+    });
+
+    describe('empty transcript', () => {
+        it('replies with the default prompt to speak again without calling Gemini', async () => {
+            stt.transcript = '';
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.transcript, '');
+            assert.equal(res.body.emotion, 'neutral');
+            assert.equal(res.body.reply, "I didn't quite catch that. Could you please speak again?");
+            assert.equal(gemini.requests.length, 0);
+            assert.equal(tts.requests.length, 1);
+        });
+    });
+
+    describe('emotion analysis', () => {
+        const replyWith = fields => body => fakeGeminiText(body).startsWith('{"emotion"')
+            ? JSON.stringify({ ...JSON.parse(fakeGeminiText(body)), ...fields })
+            : fakeGeminiText(body);
+
+        it('asks Gemini to call a reply function whose parameters use the persona\'s labels', async () => {
+            await callHandler({ body: { audioBase64: mp3AudioBase64(), personaId: 'sage' } });
+
+            const { generationConfig, tools, toolConfig } = gemini.requests.find(body =>
+                body.systemInstruction?.parts?.[0]?.text.includes("You are 'Sage'"));
+            assert.equal(generationConfig.responseMimeType, undefined); // JSON mode can't be combined with tools
+            assert.equal(toolConfig.functionCallingConfig.mode, 'ANY');
+            const [reply, exercise] = tools[0].functionDeclarations;
+            assert.equal(reply.name, 'reply');
+            const { properties, required } = reply.parameters;
+            assert.deepEqual(properties.emotion.enum, ['sadness', 'joy', 'anger', 'fear', 'anxiety', 'neutral', 'calm']);
+            assert.deepEqual(properties.secondaryEmotions.items.enum, properties.emotion.enum);
+            assert.deepEqual(required, ['emotion', 'intensity', 'confidence', 'secondaryEmotions', 'valence', 'arousal', 'reply']);
+            assert.equal(exercise.name, 'start_guided_exercise');
+            assert.deepEqual(exercise.parameters.properties.exerciseId.enum, ['box_breathing', 'grounding_54321', 'body_scan']);
+        });
+
+        it('returns the validated analysis, clamping scores and dropping unknown secondary labels', async () => {
+            respond = replyWith({ intensity: 1.2, confidence: 0.8, secondaryEmotions: ['fear', 'anxiety', 'boredom'], valence: -0.6, arousal: 0.7 });
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(res.body.emotionAnalysis, {
+                emotion: 'anxiety', intensity: 1, confidence: 0.8, secondaryEmotions: ['fear'], valence: -0.6, arousal: 0.7,
+            });
+        });
+
+        it('scales the voice with the intensity', async () => {
+            respond = replyWith({ emotion: 'sadness', intensity: 1 });
+            await callHandler();
+            respond = replyWith({ emotion: 'sadness', intensity: 0 });
+            await callHandler();
+
+            // Aura's sadness override (rate 0.9, pitch -2.5) is tuned for intensity 0.5.
+            assert.match(tts.requests[0].input.ssml, /rate="0.80" pitch="-5.0st">/);
+            assert.match(tts.requests[1].input.ssml, /rate="1.00" pitch="0.0st">/);
+        });
+
+        it('uses neutral when Gemini picks a taxonomy label the persona does not use', async () => {
+            respond = replyWith({ emotion: 'surprise', secondaryEmotions: ['surprise', 'calm'] });
+            const res = await callHandler({ body: { audioBase64: mp3AudioBase64(), personaId: 'sage' } });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.emotion, 'neutral');
+            assert.deepEqual(res.body.emotionAnalysis.secondaryEmotions, ['calm']);
+        });
+
+        it('502 when the emotion is outside the taxonomy', async () => {
+            respond = replyWith({ emotion: 'melancholy' });
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 502);
+            assert.equal(res.body.errorCode, 'LLM_INVALID_RESPONSE');
+            assert.match(res.body.message, /outside the taxonomy/);
+        });
+
+        it('502 when a score is missing', async () => {
+            respond = replyWith({ confidence: undefined });
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 502);
+            assert.equal(res.body.errorCode, 'LLM_INVALID_RESPONSE');
+            assert.match(res.body.message, /'confidence' must be a number/);
+        });
+
+        it('502 when Gemini answers with text instead of calling a function', async () => {
+            respond = body => fakeGeminiText(body).startsWith('{"emotion"')
+                ? '```json\n{"emotion": "sadness", "reply": "I am sorry you are going through this."}\n```'
+                : fakeGeminiText(body);
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 502);
+            assert.equal(res.body.errorCode, 'LLM_INVALID_RESPONSE');
+            assert.match(res.body.message, /did not call the reply function/);
+        });
+
+        it('reports the typical intensity and taxonomy position for the crisis reply', async () => {
+            stt.transcript = 'I want to kill myself.';
+            const res = await callHandler();
+
+            assert.deepEqual(res.body.emotionAnalysis, {
+                emotion: 'neutral', intensity: 0.5, confidence: null, secondaryEmotions: [], valence: 0, arousal: 0.3,
+            });
+        });
+    });
+
+    describe('guided exercises', () => {
+        beforeEach(() => {
+            stt.transcript = 'I am panicking and my heart will not slow down.';
+        });
+
+        it('voices the exercise Gemini starts after the reply, with timed pauses and a calm voice', async () => {
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 200);
+            const { exercise } = res.body;
+            assert.equal(exercise.id, 'box_breathing');
+            assert.equal(exercise.steps.length, 18);
+            assert.deepEqual(exercise.steps.slice(1, 3).map(step => [step.cue, step.pauseMs]), [['inhale', 4000], ['hold', 4000]]);
+            for (const [index, step] of exercise.steps.entries()) {
+                if (index > 0) assert.ok(step.startMs > exercise.steps[index - 1].startMs + exercise.steps[index - 1].pauseMs);
+            }
+
+            const ssml = tts.requests[0].input.ssml.replace(/<mark name="\d+"\/>/g, '');
+            assert.match(ssml, /<\/prosody><break time="1000ms"\/><prosody rate="0.85" pitch="-1.5st" volume="-1.0dB">Let&apos;s breathe together/);
+            assert.match(ssml, /Breathe in\.<break time="4000ms"\/> Hold\.<break time="4000ms"\/> Breathe out\./);
+        });
+
+        it('tells Gemini which exercise it started on the next turn', async () => {
+            await callHandler({ body: { audioBase64: mp3AudioBase64(), sessionId: 'session-1' } });
+            stt.transcript = 'Thanks, that helps.';
+            const res = await callHandler({ body: { audioBase64: mp3AudioBase64(), sessionId: 'session-1' } });
+
+            assert.equal(res.body.exercise, undefined);
+            const contents = replyRequests().at(-1).contents;
+            assert.equal(JSON.parse(contents[1].parts[0].text).exerciseId, 'box_breathing');
+        });
+
+        it('offers no exercises in languages without scripts, asking for schema-constrained JSON instead', async () => {
+            const res = await callHandler({ body: { audioBase64: mp3AudioBase64(), languageCode: 'hi-IN' } });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.exercise, undefined);
+            const { generationConfig, tools, toolConfig } = replyRequests()[0];
+            assert.equal(tools, undefined);
+            assert.equal(toolConfig, undefined);
+            assert.equal(generationConfig.responseMimeType, 'application/json');
+            const { properties, required } = generationConfig.responseSchema;
+            assert.deepEqual(properties.emotion.enum, ['sadness', 'joy', 'anger', 'fear', 'anxiety', 'surprise', 'disgust', 'neutral', 'love', 'calm']);
+            assert.deepEqual(properties.secondaryEmotions.items.enum, properties.emotion.enum);
+            assert.deepEqual(required, ['emotion', 'intensity', 'confidence', 'secondaryEmotions', 'valence', 'arousal', 'reply']);
+            assert.doesNotMatch(tts.requests[0].input.ssml, /Breathe in/);
+        });
+
+        it('502 when a JSON-mode reply is not valid JSON', async () => {
+            respond = body => fakeGeminiText(body).startsWith('{"emotion"')
+                ? '{"emotion": "sadness", "reply": "I am sorry'
+                : fakeGeminiText(body);
+            const res = await callHandler({ body: { audioBase64: mp3AudioBase64(), languageCode: 'hi-IN' } });
+
+            assert.equal(res.statusCode, 502);
+            assert.equal(res.body.errorCode, 'LLM_INVALID_RESPONSE');
+            assert.match(res.body.message, /not valid JSON/);
+        });
+
+        it('replies without an exercise when Gemini starts one it was not offered', async () => {
+            respond = body => fakeGeminiText(body).startsWith('{"emotion"')
+                ? JSON.stringify({ ...JSON.parse(fakeGeminiText(body)), exerciseId: 'yoga' })
+                : fakeGeminiText(body);
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.exercise, undefined);
+            assert.ok(res.body.reply);
+        });
+    });
+
+    describe('error statuses', () => {
+        it('405 for methods other than POST', async () => {
+            const res = await callHandler({ method: 'GET' });
+
+            assert.equal(res.statusCode, 405);
+            assert.deepEqual(res.headers.allow, ['POST']);
+            assert.equal(res.body.errorCode, 'METHOD_NOT_ALLOWED');
+        });
+
+        it('400 when audioBase64 is missing', async () => {
+            const res = await callHandler({ body: {} });
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.body.errorCode, 'INVALID_REQUEST');
+            assert.match(res.body.message, /audioBase64/);
+        });
+
+        it('400 when sessionId is invalid', async () => {
+            const res = await callHandler({ body: { audioBase64: mp3AudioBase64(), sessionId: '../etc/passwd' } });
+
+            assert.equal(res.statusCode, 400);
+            assert.match(res.body.message, /sessionId/);
+        });
+
+        it('400 when the audio format cannot be detected', async () => {
+            const res = await callHandler({ body: { audioBase64: Buffer.from('not audio').toString('base64') } });
+
+            assert.equal(res.statusCode, 400);
+            assert.match(res.body.message, /Could not detect the audio format/);
+            assert.equal(stt.requests.length, 0);
+        });
+
+        it('400 when the declared encoding does not match the audio', async () => {
+            const res = await callHandler({ body: { audioBase64: mp3AudioBase64(), encoding: 'WEBM_OPUS' } });
+
+            assert.equal(res.statusCode, 400);
+            assert.match(res.body.message, /'encoding' is WEBM_OPUS/);
+        });
+
+        it('502 when speech-to-text fails', async () => {
+            stt.recognize = async () => { throw new Error('STT unavailable'); };
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 502);
+            assert.equal(res.body.errorCode, 'STT_FAILED');
+            assert.match(res.body.message, /^Failed to transcribe audio/);
+            assert.equal(res.body.requestId, res.headers['x-request-id']);
+        });
+
+        it('echoes a client-supplied request ID', async () => {
+            stt.recognize = async () => { throw new Error('STT unavailable'); };
+            const res = await callHandler({ headers: { 'x-request-id': 'client-req-0001' } });
+
+            assert.equal(res.headers['x-request-id'], 'client-req-0001');
+            assert.equal(res.body.requestId, 'client-req-0001');
+        });
+
+        it('retries transient upstream failures', async () => {
+            let calls = 0;
+            const recognize = stt.recognize.bind(stt);
+            stt.recognize = async request => {
+                if (++calls < 3) throw Object.assign(new Error('Service unavailable'), { code: 14 }); // gRPC UNAVAILABLE
+                return recognize(request);
+            };
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(calls, 3);
+        });
+
+        it('429 when an upstream quota is exhausted', async () => {
+            respond = body => body.systemInstruction?.parts?.[0]?.text.includes("You are 'Aura'")
+                ? { status: 429 }
+                : fakeGeminiText(body);
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 429);
+            assert.equal(res.body.errorCode, 'LLM_QUOTA_EXCEEDED');
+            assert.equal(replyRequests().length, 1); // Quota errors are not retried
+        });
+
+        it('504 when an upstream call times out', async () => {
+            process.env.TTS_TIMEOUT_MS = '20';
+            tts.synthesizeSpeech = () => new Promise(() => {});
+            try {
+                const res = await callHandler();
+
+                assert.equal(res.statusCode, 504);
+                assert.equal(res.body.errorCode, 'TTS_TIMEOUT');
+                assert.match(res.body.message, /^Failed to synthesize speech\. Reason: Text-to-speech request timed out after 20 ms/);
+            } finally {
+                delete process.env.TTS_TIMEOUT_MS;
+            }
+        });
+
+        it('502 when the Gemini API returns an error status', async () => {
+            respond = () => ({ status: 500 });
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 502);
+            assert.equal(res.body.errorCode, 'LLM_FAILED');
+            assert.match(res.body.message, /^Failed to get response from AI assistant\. Reason: HTTP 500$/);
+        });
+
+        it('502 when text-to-speech fails', async () => {
+            tts.synthesizeSpeech = async () => { throw new Error('TTS unavailable'); };
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 502);
+            assert.match(res.body.message, /^Failed to synthesize speech/);
+        });
+
+        it('502, not 400, when the reply is too long to synthesize', async () => {
+            respond = body => fakeGeminiText(body).startsWith('{"emotion"')
+                ? JSON.stringify({ ...JSON.parse(fakeGeminiText(body)), reply: 'It\'s "fine" & ok. '.repeat(150) })
+                : fakeGeminiText(body);
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 502);
+            assert.equal(res.body.errorCode, 'TTS_FAILED');
+            assert.match(res.body.message, /^Reply is too long to synthesize: its SSML is \d+ bytes/);
+            assert.equal(tts.requests.length, 0);
+        });
+
+        it('500 when the Gemini API key is not configured', async () => {
+            setProviders({ llm: new GeminiRestProvider({ apiKey: '', baseUrl: gemini.baseUrl }) });
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 500);
+            assert.equal(res.body.errorCode, 'CONFIGURATION_ERROR');
+            assert.match(res.body.message, /not configured/);
+        });
+
+        it('502 when the parsed Gemini JSON has fields of the wrong type', async () => {
+            respond = body => fakeGeminiText(body).startsWith('{"emotion"')
+                ? JSON.stringify({ emotion: 5, reply: 'Hello' })
+                : fakeGeminiText(body);
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 502);
+            assert.equal(res.body.errorCode, 'LLM_INVALID_RESPONSE');
+            assert.match(res.body.message, /Invalid format/);
+        });
+
+        it('502 when Gemini stops generating without text', async () => {
+            setProviders({
+                llm: {
+                    generateContent: async body => fakeGeminiText(body).startsWith('{"emotion"')
+                        ? { candidates: [{ content: { parts: [] }, finishReason: 'SAFETY' }] }
+                        : { candidates: [{ content: { parts: [{ text: fakeGeminiText(body) }] }, finishReason: 'STOP' }] },
+                },
+            });
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 502);
+            assert.equal(res.body.errorCode, 'LLM_RESPONSE_BLOCKED');
+            assert.match(res.body.message, /Gemini response generation failed: SAFETY/);
+        });
+    });
+
+    describe('access control', () => {
+        beforeEach(() => {
+            delete process.env.AUTH_DISABLED;
+            process.env.API_KEYS = 'alice:alice-key';
+        });
+
+        after(() => {
+            process.env.AUTH_DISABLED = 'true';
+            delete process.env.API_KEYS;
+            delete process.env.RATE_LIMIT_USER_MAX;
+        });
+
+        it('401 without an API key, before calling any upstream API', async () => {
+            const res = await callHandler();
+
+            assert.equal(res.statusCode, 401);
+            assert.equal(res.body.errorCode, 'UNAUTHENTICATED');
+            assert.equal(res.headers['www-authenticate'], 'Bearer');
+            assert.equal(stt.requests.length, 0);
+        });
+
+        it('429 with Retry-After once the user exceeds the rate limit', async () => {
+            process.env.RATE_LIMIT_USER_MAX = '1';
+            const headers = { 'x-api-key': 'alice-key' };
+
+            assert.equal((await callHandler({ headers })).statusCode, 200);
+            const res = await callHandler({ headers });
+
+            assert.equal(res.statusCode, 429);
+            assert.equal(res.body.errorCode, 'RATE_LIMITED');
+            assert.equal(res.headers['retry-after'], '60');
+            assert.equal(stt.requests.length, 1);
+        });
+
+        it('429 for a clip longer than the audio quota left, before transcribing it, even when streaming', async () => {
+            process.env.DAILY_AUDIO_SECONDS_QUOTA = '0.001'; // The fixture clip is 4 ms long
+            try {
+                const res = await callHandler({ headers: { 'x-api-key': 'alice-key' }, query: { stream: 'ndjson' } });
+
+                assert.equal(res.statusCode, 429);
+                assert.equal(res.body.errorCode, 'DAILY_QUOTA_EXCEEDED');
+                assert.equal(stt.requests.length, 0);
+            } finally {
+                delete process.env.DAILY_AUDIO_SECONDS_QUOTA;
+            }
+        });
+    });
+
+    describe('logging', () => {
+        it('keeps transcripts and replies out of the logs, and tags lines with the request ID', async () => {
+            for (const method of ['log', 'warn', 'error']) console[method].mock.resetCalls();
+            const res = await callHandler({ headers: { 'x-request-id': 'log-test-0001' } });
+            const lines = ['log', 'warn', 'error']
+                .flatMap(method => console[method].mock.calls.map(call => call.arguments.join(' ')));
+
+            assert.equal(res.statusCode, 200);
+            assert.ok(lines.length > 0);
+            for (const line of lines) {
+                assert.equal(line.includes('anxious'), false, line);
+                assert.equal(line.includes(res.body.reply), false, line);
+                assert.equal(JSON.parse(line).requestId, 'log-test-0001');
+            }
+        });
+    });
+
+    describe('binary uploads and responses', () => {
+        const mp3 = () => Buffer.from(mp3AudioBase64(), 'base64');
+        const formUpload = (fields, audio = { data: mp3(), type: 'audio/mpeg' }) => {
+            const parts = Object.entries(fields).map(([name, value]) => ({
+                headers: { 'Content-Disposition': `form-data; name="${name}"` }, data: value,
+            }));
+            if (audio) {
+                parts.push({
+                    headers: { 'Content-Disposition': 'form-data; name="audio"; filename="clip.mp3"', 'Content-Type': audio.type },
+                    data: audio.data,
+                });
+            }
+            const { boundary, body } = buildMultipart(parts);
+            return { rawBody: body, headers: { 'content-type': `multipart/form-data; boundary=${boundary}` } };
+        };
+
+        it('accepts a raw audio body with metadata in headers', async () => {
+            const res = await callHandler({
+                rawBody: mp3(),
+                headers: { 'content-type': 'audio/mpeg', 'x-session-id': 'raw-1', 'x-persona-id': 'sage' },
+            });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.sessionId, 'raw-1');
+            assert.equal(res.body.personaId, 'sage');
+            assert.equal(stt.requests[0].config.encoding, 'MP3');
+        });
+
+        it('takes the encoding and rate of headerless PCM from an audio/L16 content type', async () => {
+            const res = await callHandler({
+                rawBody: Buffer.alloc(3200),
+                headers: { 'content-type': 'audio/L16; rate=16000; channels=1', 'x-alternative-language-codes': 'hi-IN, es-ES' },
+            });
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(stt.requests[0].config, {
+                encoding: 'LINEAR16', sampleRateHertz: 16000, languageCode: 'en-US', alternativeLanguageCodes: ['hi-IN', 'es-ES'],
+            });
+        });
+
+        it('accepts a multipart upload with metadata in form fields', async () => {
+            const res = await callHandler(formUpload({ sessionId: 'form-1', personaId: 'sage', languageCode: 'en-GB' }));
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.sessionId, 'form-1');
+            assert.equal(res.body.personaId, 'sage');
+            assert.equal(stt.requests[0].config.languageCode, 'en-GB');
+        });
+
+        it('400 for a multipart upload without an audio part', async () => {
+            const res = await callHandler(formUpload({ sessionId: 'form-1' }, null));
+
+            assert.equal(res.statusCode, 400);
+            assert.match(res.body.message, /'audio' file part/);
+        });
+
+        it('413 as soon as a raw upload passes MAX_AUDIO_BYTES', async () => {
+            process.env.MAX_AUDIO_BYTES = '1000';
+            try {
+                const res = await callHandler({ rawBody: Buffer.alloc(64 * 1024), headers: { 'content-type': 'application/octet-stream' } });
+
+                assert.equal(res.statusCode, 413);
+                assert.equal(res.body.errorCode, 'AUDIO_TOO_LARGE');
+                assert.equal(stt.requests.length, 0);
+            } finally {
+                delete process.env.MAX_AUDIO_BYTES;
+            }
+        });
+
+        it('returns raw MP3 with the results in headers for Accept: audio/mpeg', async () => {
+            const res = await callHandler({ body: { audioBase64: mp3AudioBase64(), sessionId: 's-1' }, headers: { accept: 'audio/mpeg' } });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.headers['content-type'], 'audio/mpeg');
+            assert.match(readRawBody(res).toString(), /^FAKE_AUDIO\|en-US-Wavenet-F\|<speak>/);
+            assert.equal(decodeURIComponent(res.headers['x-transcript']), 'I have been feeling anxious about my exams.');
+            assert.equal(res.headers['x-emotion'], 'anxiety');
+            assert.match(decodeURIComponent(res.headers['x-reply']), /feeling some anxiety/);
+            assert.equal(res.headers['x-session-id'], 's-1');
+            assert.equal(JSON.parse(decodeURIComponent(res.headers['x-emotion-analysis'])).intensity, 0.6);
+            assert.equal(res.headers['x-audio-base64'], undefined);
+            assert.equal(res.headers['x-avatar-timeline'], undefined); // Too large for a header
+        });
+
+        it('returns a JSON part and an MP3 part for Accept: multipart/mixed', async () => {
+            const res = await callHandler({ rawBody: mp3(), headers: { 'content-type': 'audio/mpeg', accept: 'multipart/mixed' } });
+
+            assert.equal(res.statusCode, 200);
+            const { type, params } = parseMediaType(res.headers['content-type']);
+            assert.equal(type, 'multipart/mixed');
+            const [json, audio] = parseMultipart(readRawBody(res), params.boundary);
+            assert.equal(json.contentType, 'application/json');
+            const result = JSON.parse(json.data.toString());
+            assert.equal(result.emotion, 'anxiety');
+            assert.equal(result.audioBase64, undefined);
+            assert.ok(result.avatarTimeline.words.length > 0);
+            assert.equal(audio.contentType, 'audio/mpeg');
+            assert.match(audio.data.toString(), /^FAKE_AUDIO\|/);
+        });
+    });
+
+    describe('streaming mode', () => {
+        it('streams the transcript, reply text, per-sentence audio and a final event', async () => {
+            const res = await callHandler({ query: { stream: 'ndjson' } });
+            const events = readNdjsonEvents(res);
+            const types = events.map(event => event.type);
+
+            assert.equal(res.headers['content-type'], 'application/x-ndjson; charset=utf-8');
+            assert.equal(types[0], 'transcript');
+            assert.equal(types.at(-1), 'done');
+            assert.ok(types.includes('reply'));
+
+            const audio = events.filter(event => event.type === 'audio');
+            assert.deepEqual(audio.map(event => event.index), [0, 1, 2]);
+            assert.equal(audio[0].text, 'Thank you for sharing that with me.');
+            assert.deepEqual(audio[0].avatarTimeline.words.map(word => word.text), ['Thank', 'you', 'for', 'sharing', 'that', 'with', 'me.']);
+            assert.equal(audio[1].avatarTimeline.words[0].startMs, 0); // Each sentence's timeline starts with its own audio
+
+            const done = events.at(-1);
+            assert.equal(done.emotion, 'anxiety');
+            assert.equal(done.reply, audio.map(event => event.text).join(' '));
+            // The streamed header carries the label and intensity; the rest comes from the taxonomy.
+            assert.deepEqual(done.emotionAnalysis, {
+                emotion: 'anxiety', intensity: 0.6, confidence: null, secondaryEmotions: [], valence: -0.6, arousal: 0.75,
+            });
+        });
+
+        it('reports upstream failures as an error event', async () => {
+            tts.synthesizeSpeech = async () => { throw new Error('TTS unavailable'); };
+            const res = await callHandler({ headers: { accept: 'text/event-stream' } });
+            const output = res.chunks.join('');
+
+            assert.equal(res.statusCode, 200);
+            assert.match(output, /event: error\ndata: {"statusCode":502,"errorCode":"TTS_FAILED",.*"requestId":"[0-9a-f-]{36}"}/);
+            assert.ok(res.writableEnded);
+        });
+
+        it('reports an empty streamed reply as an error without journaling the turn', async () => {
+            const journal = new InMemoryJournalStore();
+            setJournalStore(journal);
+            respond = body => body.systemInstruction?.parts?.[0]?.text.includes("You are 'Aura'")
+                ? '[anxiety 0.6] '
+                : fakeGeminiText(body);
+            const res = await callHandler({ query: { stream: 'ndjson' } });
+            const events = readNdjsonEvents(res);
+
+            assert.equal(events.at(-1).type, 'error');
+            assert.equal(events.at(-1).statusCode, 502);
+            assert.equal(events.some(event => event.type === 'done'), false);
+            assert.deepEqual(await journal.list('ip:unknown'), []);
+            assert.equal(gemini.requests.some(body => JSON.stringify(body).includes('Write a mood journal line')), false);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+// File: test/providers.test.js
+// The Google Cloud providers, with stand-in clients (no credentials or network).
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GoogleSpeechToTextProvider, GoogleTextToSpeechProvider } from '../lib/providers/google.js';
+
+describe('Google providers', () => {
+    it('give unary calls a deadline matching the attempt timeout, without gax retries', async () => {
+        const calls = [];
+        const stt = new GoogleSpeechToTextProvider();
+        stt.client = { recognize: async (request, options) => { calls.push(options); return [{ results: [] }]; } };
+        const tts = new GoogleTextToSpeechProvider();
+        tts.client = { synthesizeSpeech: async (request, options) => { calls.push(options); return [{ audioContent: Buffer.alloc(0) }]; } };
+
+        await stt.recognize({}, { signal: new AbortController().signal, timeoutMs: 15000 });
+        await tts.synthesizeSpeech({}, { timeoutMs: 10000 });
+
+        assert.deepEqual(calls, [{ retry: null, timeout: 15000 }, { retry: null, timeout: 10000 }]);
+    });
+
+    it('cancels a long-running recognition when the signal aborts', async () => {
+        let cancelled = false;
+        let rejectOperation;
+        const operation = {
+            promise: () => new Promise((resolve, reject) => { rejectOperation = reject; }),
+            cancel: async () => {
+                cancelled = true;
+                rejectOperation(new Error('Operation cancelled'));
+            },
+        };
+        const stt = new GoogleSpeechToTextProvider();
+        stt.client = { longRunningRecognize: async () => [operation] };
+        const controller = new AbortController();
+
+        const result = stt.longRunningRecognize({}, { signal: controller.signal });
+        await new Promise(resolve => setImmediate(resolve));
+        controller.abort();
+
+        await assert.rejects(result, /Operation cancelled/);
+        assert.equal(cancelled, true);
+    });
+
+    it('does not start a long-running recognition after the signal aborted', async () => {
+        let started = false;
+        const stt = new GoogleSpeechToTextProvider();
+        stt.client = { longRunningRecognize: async () => { started = true; } };
+
+        await assert.rejects(stt.longRunningRecognize({}, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+        assert.equal(started, false);
+    });
+
+    it('uploads clips for long-running recognition to the configured bucket, and deletes them', async () => {
+        const saved = new Map();
+        const stt = new GoogleSpeechToTextProvider(undefined, { bucket: 'stt-audio' });
+        stt.storage = {
+            bucket: bucketName => ({
+                file: name => ({
+                    name,
+                    save: async data => { saved.set(`${bucketName}/${name}`, data); },
+                    delete: async ({ ignoreNotFound }) => { assert.equal(ignoreNotFound, true); saved.delete(`${bucketName}/${name}`); },
+                }),
+            }),
+        };
+
+        const staged = await stt.stageAudio(Buffer.from('clip'));
+        assert.match(staged.uri, /^gs:\/\/stt-audio\/stt-uploads\/[0-9a-f-]{36}$/);
+        assert.deepEqual([...saved.values()], [Buffer.from('clip')]);
+        await staged.discard();
+        assert.equal(saved.size, 0);
+    });
+
+    it('needs a bucket for long-running recognition', async () => {
+        const stt = new GoogleSpeechToTextProvider(undefined, { bucket: '' });
+        await assert.rejects(stt.stageAudio(Buffer.from('clip')), { name: 'ConfigurationError', message: /STT_GCS_BUCKET/ });
+    });
+});
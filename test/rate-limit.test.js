@@ -0,0 +1,122 @@
+// File: test/rate-limit.test.js
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    InMemoryRateLimitStore,
+    setRateLimitStore,
+    getClientIp,
+    enforceIpRateLimit,
+    enforceUserLimits,
+    recordUsage,
+    reserveAudioSeconds,
+    getRateLimitStore,
+} from '../lib/rate-limit.js';
+import { RateLimitError } from '../lib/errors.js';
+
+describe('InMemoryRateLimitStore', () => {
+    it('allows `limit` hits per sliding window and reports when the oldest expires', async () => {
+        const store = new InMemoryRateLimitStore();
+        const options = { limit: 2, windowMs: 1000 };
+
+        assert.equal((await store.hit('k', { ...options, now: 0 })).allowed, true);
+        assert.equal((await store.hit('k', { ...options, now: 400 })).allowed, true);
+        assert.deepEqual(await store.hit('k', { ...options, now: 600 }), { allowed: false, remaining: 0, retryAfterMs: 400 });
+        // The window slides: the hit at 0 has expired by 1001, the one at 400 hasn't.
+        assert.deepEqual(await store.hit('k', { ...options, now: 1001 }), { allowed: true, remaining: 0, retryAfterMs: 0 });
+        assert.equal((await store.hit('k', { ...options, now: 1200 })).allowed, false);
+    });
+
+    it('adds usage until the entry expires', async () => {
+        const store = new InMemoryRateLimitStore();
+        await store.addUsage('u', { audioSeconds: 2.5 }, 60000);
+        assert.deepEqual(await store.addUsage('u', { ttsCharacters: 40 }, 60000), { audioSeconds: 2.5, ttsCharacters: 40 });
+
+        await store.addUsage('expired', { audioSeconds: 1 }, -1);
+        assert.deepEqual(await store.getUsage('expired'), { audioSeconds: 0, ttsCharacters: 0 });
+    });
+});
+
+describe('request limits', () => {
+    const user = { userId: 'alice', method: 'apiKey' };
+    const ENV = ['RATE_LIMIT_IP_MAX', 'RATE_LIMIT_USER_MAX', 'DAILY_AUDIO_SECONDS_QUOTA', 'DAILY_TTS_CHARACTERS_QUOTA'];
+
+    before(() => mock.method(console, 'warn', () => {}));
+    after(() => {
+        ENV.forEach(name => delete process.env[name]);
+        mock.restoreAll();
+    });
+    beforeEach(() => {
+        ENV.forEach(name => delete process.env[name]);
+        setRateLimitStore(new InMemoryRateLimitStore());
+    });
+
+    it('reads the client IP from the platform headers, or the hop the proxy appended to X-Forwarded-For', () => {
+        assert.equal(getClientIp({ headers: { 'x-vercel-forwarded-for': '203.0.113.7', 'x-forwarded-for': '10.9.9.9, 203.0.113.7' } }), '203.0.113.7');
+        assert.equal(getClientIp({ headers: { 'x-real-ip': '203.0.113.7' } }), '203.0.113.7');
+        assert.equal(getClientIp({ headers: { 'x-forwarded-for': '10.9.9.9, 203.0.113.7' } }), '203.0.113.7');
+        assert.equal(getClientIp({ headers: {}, socket: { remoteAddress: '::1' } }), '::1');
+    });
+
+    it('keeps limiting an address that sends a different X-Forwarded-For on every request', async () => {
+        process.env.RATE_LIMIT_IP_MAX = '2';
+        const request = n => ({ headers: { 'x-forwarded-for': `198.51.100.${n}, 203.0.113.7` } });
+
+        await enforceIpRateLimit(getClientIp(request(1)));
+        await enforceIpRateLimit(getClientIp(request(2)));
+        await assert.rejects(enforceIpRateLimit(getClientIp(request(3))), /from this address/);
+    });
+
+    it('limits requests per IP and per user with a Retry-After', async () => {
+        process.env.RATE_LIMIT_IP_MAX = '1';
+        process.env.RATE_LIMIT_USER_MAX = '2';
+
+        await enforceIpRateLimit('203.0.113.7');
+        await assert.rejects(enforceIpRateLimit('203.0.113.7'), error =>
+            error instanceof RateLimitError && error.errorCode === 'RATE_LIMITED' && error.retryAfterSeconds === 60);
+        await enforceIpRateLimit('203.0.113.8');
+
+        await enforceUserLimits(user);
+        await enforceUserLimits(user);
+        await assert.rejects(enforceUserLimits(user), /for this user/);
+    });
+
+    it('refuses requests once the daily quota is used up, until midnight UTC', async () => {
+        process.env.DAILY_AUDIO_SECONDS_QUOTA = '60';
+        await recordUsage(user, { audioSeconds: 59 });
+        await enforceUserLimits(user);
+        await recordUsage(user, { audioSeconds: 1.5 });
+
+        await assert.rejects(enforceUserLimits(user), error => {
+            const secondsToMidnight = 86400 - Math.floor(Date.now() / 1000) % 86400;
+            assert.equal(error.errorCode, 'DAILY_QUOTA_EXCEEDED');
+            assert.match(error.message, /60 seconds of audio/);
+            assert.ok(Math.abs(error.retryAfterSeconds - secondsToMidnight) <= 1);
+            return true;
+        });
+        await enforceUserLimits({ userId: 'bob' });
+    });
+
+    it('refuses a clip longer than the audio quota left, before it is transcribed', async () => {
+        process.env.DAILY_AUDIO_SECONDS_QUOTA = '60';
+        await recordUsage(user, { audioSeconds: 59 });
+        await enforceUserLimits(user); // 1 second left: the request itself is allowed
+
+        await assert.rejects(reserveAudioSeconds(user, 600), error =>
+            error instanceof RateLimitError && error.errorCode === 'DAILY_QUOTA_EXCEEDED' && /600 seconds long, but only 1 of the daily 60/.test(error.message));
+        assert.equal(await reserveAudioSeconds(user, 1), 1);
+        const usageKey = `usage:alice:${new Date().toISOString().slice(0, 10)}`;
+        assert.equal((await getRateLimitStore().getUsage(usageKey)).audioSeconds, 60); // The refused clip reserved nothing
+    });
+
+    it('reserves up front, so parallel clips cannot together run past the quota', async () => {
+        process.env.DAILY_AUDIO_SECONDS_QUOTA = '60';
+        const results = await Promise.allSettled([1, 2, 3].map(() => reserveAudioSeconds(user, 25)));
+
+        assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+        // Settling a reservation to the billed seconds, or releasing it, adds the difference.
+        await recordUsage(user, { audioSeconds: 20 - 25 });
+        await recordUsage(user, { audioSeconds: -25 });
+        assert.equal(await reserveAudioSeconds(user, 40), 40);
+    });
+});
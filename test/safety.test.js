@@ -0,0 +1,58 @@
+// File: test/safety.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { assessRisk, assessRiskByRules, buildCrisisReply, getCrisisResources } from '../lib/safety.js';
+
+describe('assessRiskByRules', () => {
+    it('flags suicidal ideation, self-harm and abuse as high risk', () => {
+        assert.equal(assessRiskByRules('Sometimes I want to end my life').riskLevel, 'high');
+        assert.deepEqual(assessRiskByRules('I keep cutting myself').categories, ['self_harm']);
+        assert.deepEqual(assessRiskByRules('He hits me when he is drunk').categories, ['abuse']);
+    });
+
+    it('returns none for ordinary messages', () => {
+        assert.deepEqual(assessRiskByRules('I had a long day at work'),
+            { riskLevel: 'none', categories: [], matchedRules: [], sources: [] });
+    });
+});
+
+describe('assessRisk', () => {
+    it('lets the model raise the risk level', async () => {
+        const risk = await assessRisk('Everything feels pointless lately', {
+            modelCheck: async () => ({ riskLevel: 'medium', categories: ['suicidal_ideation'] }),
+        });
+        assert.equal(risk.riskLevel, 'medium');
+        assert.deepEqual(risk.sources, ['model']);
+    });
+
+    it('never lets the model lower a rule match, and skips it when rules are conclusive', async () => {
+        let called = false;
+        const risk = await assessRisk('I am going to kill myself', {
+            modelCheck: async () => { called = true; return { riskLevel: 'none' }; },
+        });
+        assert.equal(risk.riskLevel, 'high');
+        assert.equal(called, false);
+    });
+
+    it('falls back to the rules when the model check fails', async () => {
+        const risk = await assessRisk('I feel hopeless', {
+            modelCheck: async () => { throw new Error('offline'); },
+        });
+        assert.equal(risk.riskLevel, 'low');
+    });
+});
+
+describe('crisis resources', () => {
+    it('picks helplines by locale region, with a default', () => {
+        assert.equal(getCrisisResources('en-US')[0].contact, 'Call or text 988');
+        assert.equal(getCrisisResources('hi-IN')[0].name, 'Tele-MANAS');
+        assert.equal(getCrisisResources('xx')[0].name, 'Find a Helpline');
+    });
+
+    it('fills the fixed reply for the detected category', () => {
+        const reply = buildCrisisReply({ categories: ['abuse'] }, 'en-US');
+        assert.match(reply, /National Domestic Violence Hotline, call 1-800-799-7233/);
+        assert.match(reply, /call 911/);
+    });
+});
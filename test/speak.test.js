@@ -0,0 +1,162 @@
+// File: test/speak.test.js
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/speak.js';
+import { setProviders, resetProviders } from '../lib/providers/index.js';
+import { FakeTextToSpeechProvider } from '../lib/providers/fake.js';
+import { setRateLimitStore, InMemoryRateLimitStore } from '../lib/rate-limit.js';
+import { createMockRequest, createMockResponse } from './helpers/http.js';
+
+// The SSML without the per-word <mark>s (see the avatar timeline test).
+const withoutMarks = ssml => ssml.replace(/<mark name="\d+"\/>/g, '');
+
+describe('speak handler', () => {
+    let tts;
+
+    const callHandler = async (requestOptions) => {
+        const res = createMockResponse();
+        await handler(createMockRequest(requestOptions), res);
+        return res;
+    };
+
+    before(() => {
+        process.env.AUTH_DISABLED = 'true'; // Authentication has its own tests (auth.test.js)
+        for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    });
+
+    after(() => {
+        delete process.env.AUTH_DISABLED;
+        resetProviders();
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        setRateLimitStore(new InMemoryRateLimitStore());
+        tts = new FakeTextToSpeechProvider();
+        setProviders({ tts });
+    });
+
+    it('synthesizes the text with the emotion and language voice', async () => {
+        const res = await callHandler({ body: { text: 'Take a slow breath.', emotion: 'sadness', languageCode: 'hi-IN' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(tts.requests[0].voice.name, 'hi-IN-Wavenet-A');
+        assert.match(withoutMarks(tts.requests[0].input.ssml), /rate="0.90" pitch="-2.5st">Take a slow breath\.</);
+        assert.match(Buffer.from(res.body.audioBase64, 'base64').toString(), /^FAKE_AUDIO\|hi-IN-Wavenet-A\|/);
+    });
+
+    it('uses the requested persona\'s voice and prosody, with pauses between sentences', async () => {
+        const res = await callHandler({ body: { text: 'Breathe in. Now breathe out.', emotion: 'anxiety', personaId: 'sage' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(tts.requests[0].voice.ssmlGender, 'MALE');
+        assert.equal(
+            tts.requests[0].input.ssml,
+            '<speak><prosody rate="0.85" pitch="-1.5st" volume="-2.0dB"><mark name="0"/>Breathe <mark name="1"/>in.<break time="500ms"/> ' +
+            '<mark name="2"/>Now <mark name="3"/>breathe <mark name="4"/>out.</prosody></speak>'
+        );
+    });
+
+    it('scales the persona\'s prosody with the intensity', async () => {
+        await callHandler({ body: { text: 'Breathe in. Now breathe out.', emotion: 'anxiety', intensity: 1, personaId: 'sage' } });
+
+        assert.equal(
+            withoutMarks(tts.requests[0].input.ssml),
+            '<speak><prosody rate="0.78" pitch="-2.0st" volume="-4.0dB">Breathe in.<break time="700ms"/> Now breathe out.</prosody></speak>'
+        );
+    });
+
+    it('returns word timings from the TTS timepoints, with visemes and an expression cue for the avatar', async () => {
+        const res = await callHandler({ body: { text: 'Breathe in. Now breathe out.', emotion: 'anxiety', intensity: 0.8, personaId: 'sage' } });
+
+        assert.deepEqual(tts.requests[0].enableTimePointing, ['SSML_MARK']);
+        const { words, visemes, expressions } = res.body.avatarTimeline;
+        // The fake voice takes 70ms a character; the 620ms sentence pause (scaled by intensity) is in the timepoints.
+        assert.deepEqual(words.map(word => [word.text, word.startMs]), [['Breathe', 0], ['in.', 560], ['Now', 1460], ['breathe', 1740], ['out.', 2300]]);
+        assert.equal(words[0].endMs, 560);
+        assert.deepEqual(visemes.slice(0, 7).map(cue => cue.viseme), ['PP', 'RR', 'ih', 'TH', 'ih', 'nn', 'sil']);
+        assert.ok(visemes.every((cue, i) => i === 0 || cue.startMs >= visemes[i - 1].startMs));
+        assert.deepEqual(expressions, [{ expression: 'reassuring', emotion: 'anxiety', weight: 0.8, startMs: 0, endMs: words[4].endMs }]);
+    });
+
+    it('marks phrases instead of words when a mark per word would not fit the TTS input limit', async () => {
+        const text = 'Breathe in slowly. '.repeat(120).trim();
+        const res = await callHandler({ body: { text } });
+
+        const { ssml } = tts.requests[0].input;
+        assert.ok(Buffer.byteLength(ssml) <= 5000);
+        assert.match(ssml, /^<speak><prosody[^>]*><mark name="0"\/>Breathe in slowly\. <mark name="3"\/>Breathe/);
+        const { words } = res.body.avatarTimeline;
+        assert.equal(words.length, 360);
+        assert.ok(words.every((word, i) => i === 0 || word.startMs > words[i - 1].startMs));
+    });
+
+    it('keeps the persona\'s voice for every emotion', async () => {
+        await callHandler({ body: { text: 'That is wonderful!', emotion: 'joy' } });
+
+        assert.equal(tts.requests[0].voice.ssmlGender, 'FEMALE');
+    });
+
+    it('400 for an unknown persona', async () => {
+        const res = await callHandler({ body: { text: 'Hello', personaId: 'nobody' } });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /personaId.*aura, sage/);
+    });
+
+    it('400 for an invalid emotion', async () => {
+        const res = await callHandler({ body: { text: 'Hello', emotion: '<break/>' } });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /emotion/);
+    });
+
+    it('400 for an intensity outside 0-1', async () => {
+        const res = await callHandler({ body: { text: 'Hello', emotion: 'joy', intensity: 2 } });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /intensity/);
+    });
+
+    it('adds a guided exercise after the text', async () => {
+        const res = await callHandler({ body: { text: 'Let us try something.', emotion: 'anxiety', exerciseId: 'grounding_54321' } });
+
+        assert.equal(res.statusCode, 200);
+        const ssml = withoutMarks(tts.requests[0].input.ssml);
+        assert.match(ssml, /something\.<\/prosody><break time="1000ms"\/><prosody rate="0.85"[^>]*>Let&apos;s bring/);
+        assert.match(ssml, /five things you can see\.<break time="10000ms"\/>/);
+        // The exercise is voiced calmly, and the avatar follows.
+        assert.deepEqual(res.body.avatarTimeline.expressions.map(cue => [cue.emotion, cue.expression]), [['anxiety', 'reassuring'], ['calm', 'relaxed']]);
+    });
+
+    it('400 for an unknown exercise, or an exercise in a language without scripts', async () => {
+        const unknown = await callHandler({ body: { text: 'Hello', exerciseId: 'yoga' } });
+        assert.equal(unknown.statusCode, 400);
+        assert.match(unknown.body.message, /exerciseId.*box_breathing, grounding_54321, body_scan/);
+
+        const untranslated = await callHandler({ body: { text: 'Namaste', languageCode: 'hi-IN', exerciseId: 'body_scan' } });
+        assert.equal(untranslated.statusCode, 400);
+        assert.match(untranslated.body.message, /not available in hi-IN/);
+    });
+
+    it('400 when escaping and sentence pauses push the SSML past the TTS input limit', async () => {
+        // Each sentence is 18 bytes of text but 58 of SSML (&apos;, &quot;, &amp; and a 500ms break).
+        const sentences = count => 'It\'s "fine" & ok. '.repeat(count).trim();
+        const fits = await callHandler({ body: { text: sentences(85), emotion: 'anxiety', personaId: 'sage' } });
+        assert.equal(fits.statusCode, 200);
+        assert.ok(Buffer.byteLength(tts.requests[0].input.ssml) <= 5000);
+
+        const res = await callHandler({ body: { text: sentences(86), emotion: 'anxiety', personaId: 'sage' } });
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /SSML is 5043 bytes, over the 5000-byte limit/);
+        assert.equal(tts.requests.length, 1);
+    });
+
+    it('502 when text-to-speech fails', async () => {
+        tts.synthesizeSpeech = async () => { throw new Error('TTS unavailable'); };
+        const res = await callHandler({ body: { text: 'Hello' } });
+
+        assert.equal(res.statusCode, 502);
+    });
+});
@@ -0,0 +1,162 @@
+// File: test/transcribe.test.js
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/transcribe.js';
+import { setProviders, resetProviders } from '../lib/providers/index.js';
+import { FakeSpeechToTextProvider } from '../lib/providers/fake.js';
+import { setRateLimitStore, InMemoryRateLimitStore } from '../lib/rate-limit.js';
+import { createMockRequest, createMockResponse } from './helpers/http.js';
+import { wavAudioBase64 } from './helpers/fixtures.js';
+
+/**
+ * An MP3 whose Xing header says it has `frames` frames (MPEG-1, 44.1 kHz, 1152 samples each).
+ * @param {number} frames - Frame count.
+ * @returns {string} - Base64 audio.
+ */
+function xingMp3AudioBase64(frames) {
+    const frame = Buffer.alloc(417);
+    frame.set([0xFF, 0xFB, 0x90, 0x44]);
+    frame.write('Xing', 36, 'latin1'); // After 32 bytes of stereo side information
+    frame.writeUInt32BE(1, 40);        // Flags: frame count present
+    frame.writeUInt32BE(frames, 44);
+    return frame.toString('base64');
+}
+
+describe('transcribe handler', () => {
+    let stt;
+
+    const callHandler = async (requestOptions) => {
+        const res = createMockResponse();
+        await handler(createMockRequest(requestOptions), res);
+        return res;
+    };
+
+    before(() => {
+        process.env.AUTH_DISABLED = 'true'; // Authentication has its own tests (auth.test.js)
+        for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    });
+
+    after(() => {
+        delete process.env.AUTH_DISABLED;
+        delete process.env.MAX_AUDIO_BYTES;
+        delete process.env.MAX_AUDIO_SECONDS;
+        resetProviders();
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        setRateLimitStore(new InMemoryRateLimitStore());
+        stt = new FakeSpeechToTextProvider({ transcript: 'Hola, ¿cómo estás?', languageCode: 'es-es' });
+        setProviders({ stt });
+    });
+
+    it('returns the transcript and detected language', async () => {
+        const res = await callHandler({ body: { audioBase64: wavAudioBase64(), alternativeLanguageCodes: ['es-ES'] } });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body, {
+            transcript: 'Hola, ¿cómo estás?',
+            languageCode: 'es-ES',
+            durationSeconds: 0.1,
+            segments: [{ transcript: 'Hola, ¿cómo estás?', startSeconds: 0, endSeconds: 0.1, languageCode: 'es-ES' }],
+        });
+        assert.deepEqual(stt.requests[0].config.alternativeLanguageCodes, ['es-ES']);
+    });
+
+    it('shares the audio validation with process-voice', async () => {
+        const res = await callHandler({ body: { audioBase64: wavAudioBase64(), sampleRateHertz: 'fast' } });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /sampleRateHertz/);
+    });
+
+    it('502 when speech-to-text fails', async () => {
+        stt.recognize = async () => { throw new Error('STT unavailable'); };
+        const res = await callHandler({ body: { audioBase64: wavAudioBase64() } });
+
+        assert.equal(res.statusCode, 502);
+    });
+
+    describe('recording limits', () => {
+        beforeEach(() => {
+            delete process.env.MAX_AUDIO_BYTES;
+            delete process.env.MAX_AUDIO_SECONDS;
+        });
+
+        it('413 when the recording is longer than MAX_AUDIO_SECONDS', async () => {
+            process.env.MAX_AUDIO_SECONDS = '60';
+            const res = await callHandler({ body: { audioBase64: wavAudioBase64(8000, { seconds: 61 }) } });
+
+            assert.equal(res.statusCode, 413);
+            assert.equal(res.body.errorCode, 'AUDIO_TOO_LONG');
+            assert.match(res.body.message, /61 seconds long; the limit is 60 seconds/);
+            assert.equal(stt.requests.length, 0);
+        });
+
+        it('413 when the recording is bigger than MAX_AUDIO_BYTES', async () => {
+            process.env.MAX_AUDIO_BYTES = '1000';
+            const res = await callHandler({ body: { audioBase64: wavAudioBase64(16000, { seconds: 1 }) } });
+
+            assert.equal(res.statusCode, 413);
+            assert.equal(res.body.errorCode, 'AUDIO_TOO_LARGE');
+        });
+
+        it('400 for a recording without samples', async () => {
+            const res = await callHandler({ body: { audioBase64: wavAudioBase64(16000, { seconds: 0 }) } });
+
+            assert.equal(res.statusCode, 400);
+            assert.match(res.body.message, /no samples/);
+        });
+    });
+
+    describe('long recordings', () => {
+        it('splits long PCM into chunks at quiet points and times each segment', async () => {
+            // Two minutes of a loud square wave, with short silences at 47 s and 95 s.
+            const sampleRate = 8000;
+            const silent = index => [47, 95].some(second => index >= second * sampleRate && index < (second + 0.2) * sampleRate);
+            const audioBase64 = wavAudioBase64(sampleRate, { seconds: 120, fillSample: index => silent(index) ? 0 : (index % 2 ? 3000 : -3000) });
+            stt = new FakeSpeechToTextProvider({ transcript: 'Part of a long entry.' });
+            setProviders({ stt });
+
+            const res = await callHandler({ body: { audioBase64 } });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(stt.requests.length, 3);
+            assert.deepEqual(stt.requests.map(request => Buffer.from(request.audio.content, 'base64').length), [47 * 16000, 48 * 16000, 25 * 16000]);
+            assert.equal(stt.requests[0].config.sampleRateHertz, 8000);
+            assert.deepEqual(res.body.segments.map(segment => [segment.startSeconds, segment.endSeconds]), [[0, 47], [47, 95], [95, 120]]);
+            assert.equal(res.body.transcript, 'Part of a long entry.\nPart of a long entry.\nPart of a long entry.');
+            assert.equal(res.body.durationSeconds, 120);
+        });
+
+        it('sends long compressed audio to long-running recognition', async () => {
+            stt.longRunningRecognize = async (request) => {
+                stt.longRunningRequests.push(request);
+                return {
+                    results: [
+                        { alternatives: [{ transcript: 'I had a long day.' }], resultEndTime: { seconds: '40', nanos: 500000000 }, languageCode: 'en-us' },
+                        { alternatives: [{ transcript: ' But the evening was calm.' }], resultEndTime: { seconds: '98' }, languageCode: 'en-us' },
+                    ],
+                    totalBilledTime: { seconds: '100' },
+                };
+            };
+            const res = await callHandler({ body: { audioBase64: xingMp3AudioBase64(3828) } }); // ~100 s
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(stt.requests.length, 0);
+            assert.equal(stt.longRunningRequests.length, 1);
+            // Sent by reference to the uploaded clip, which is deleted afterwards.
+            const { audio } = stt.longRunningRequests[0];
+            assert.equal(audio.content, undefined);
+            assert.match(audio.uri, /^fake:\/\/stt-uploads\//);
+            assert.equal(stt.stagedAudio.size, 0);
+            assert.equal(res.body.transcript, 'I had a long day.\nBut the evening was calm.');
+            assert.deepEqual(res.body.segments, [
+                { transcript: 'I had a long day.', startSeconds: 0, endSeconds: 40.5, languageCode: 'en-US' },
+                { transcript: 'But the evening was calm.', startSeconds: 40.5, endSeconds: 98, languageCode: 'en-US' },
+            ]);
+            assert.equal(res.body.durationSeconds, 99.997);
+        });
+    });
+});
@@ -0,0 +1,147 @@
+// File: test/upstream.test.js
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { callUpstream, streamUpstream, toUpstreamError } from '../lib/upstream.js';
+import { AppError, UpstreamError, UpstreamQuotaError, UpstreamTimeoutError, RequestValidationError } from '../lib/errors.js';
+
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe('toUpstreamError', () => {
+    it('maps HTTP statuses and gRPC codes to typed errors', () => {
+        assert.ok(toUpstreamError('llm', httpError(429)) instanceof UpstreamQuotaError);
+        assert.ok(toUpstreamError('stt', Object.assign(new Error('quota'), { code: 8 })) instanceof UpstreamQuotaError);
+        assert.ok(toUpstreamError('tts', Object.assign(new Error('deadline'), { code: 4 })) instanceof UpstreamTimeoutError);
+
+        const transient = toUpstreamError('llm', httpError(503));
+        assert.equal(transient.statusCode, 502);
+        assert.equal(transient.errorCode, 'LLM_FAILED');
+        assert.equal(transient.retryable, true);
+        assert.equal(toUpstreamError('llm', httpError(400)).retryable, false);
+        assert.equal(toUpstreamError('llm', Object.assign(new Error('reset'), { code: 'ECONNRESET' })).retryable, true);
+    });
+
+    it('keeps the provider message, which may quote the request URL, out of the client message', () => {
+        const refused = Object.assign(
+            new Error('request to https://example.test/models/m:generateContent?key=SECRET failed, reason: connect ECONNREFUSED'),
+            { code: 'ECONNREFUSED' },
+        );
+        const error = toUpstreamError('llm', refused, 'Failed to get response from AI assistant');
+        assert.equal(error.message, 'Failed to get response from AI assistant. Reason: network error ECONNREFUSED');
+        assert.doesNotMatch(error.message, /SECRET/);
+    });
+
+    it('prefixes the failure message and keeps typed errors as they are', () => {
+        const error = toUpstreamError('stt', new Error('boom'), 'Failed to transcribe audio');
+        assert.equal(error.message, 'Failed to transcribe audio. Reason: unexpected error');
+        assert.equal(error.errorCode, 'STT_FAILED');
+        assert.equal(error.cause.message, 'boom'); // Kept for the logs
+        assert.equal(toUpstreamError('tts', Object.assign(new Error('quota'), { code: 8 })).message,
+            'Text-to-speech request failed. Reason: gRPC status RESOURCE_EXHAUSTED');
+
+        const typed = new RequestValidationError('bad');
+        assert.equal(toUpstreamError('stt', typed), typed);
+        assert.ok(typed instanceof AppError);
+    });
+});
+
+describe('callUpstream', () => {
+    before(() => {
+        process.env.UPSTREAM_RETRY_BASE_MS = '1';
+        mock.method(console, 'warn', () => {});
+    });
+
+    after(() => {
+        delete process.env.UPSTREAM_RETRY_BASE_MS;
+        delete process.env.LLM_TIMEOUT_MS;
+        mock.restoreAll();
+    });
+
+    it('retries transient failures up to UPSTREAM_MAX_RETRIES times', async () => {
+        let calls = 0;
+        await assert.rejects(
+            callUpstream('llm', async () => { calls++; throw httpError(503); }),
+            error => error instanceof UpstreamError && error.retryable
+        );
+        assert.equal(calls, 3);
+    });
+
+    it('does not retry permanent failures', async () => {
+        let calls = 0;
+        await assert.rejects(callUpstream('llm', async () => { calls++; throw httpError(400); }), UpstreamError);
+        assert.equal(calls, 1);
+    });
+
+    it('does not retry quota errors', async () => {
+        let calls = 0;
+        await assert.rejects(
+            callUpstream('llm', async () => { calls++; throw httpError(429); }),
+            error => error instanceof UpstreamQuotaError && error.statusCode === 429 && !error.retryable
+        );
+        assert.equal(calls, 1);
+    });
+
+    it('times out each attempt and aborts its signal', async () => {
+        process.env.LLM_TIMEOUT_MS = '10';
+        const signals = [];
+        await assert.rejects(
+            callUpstream('llm', signal => { signals.push(signal); return new Promise(() => {}); }),
+            error => error instanceof UpstreamTimeoutError && error.statusCode === 504 && error.errorCode === 'LLM_TIMEOUT'
+        );
+        assert.equal(signals.length, 3);
+        assert.ok(signals.every(signal => signal.aborted));
+        delete process.env.LLM_TIMEOUT_MS;
+    });
+
+    it('passes the attempt timeout to the provider, and can leave timeouts unretried', async () => {
+        const attempts = [];
+        await assert.rejects(
+            callUpstream('stt', (signal, attempt) => { attempts.push(attempt); return new Promise(() => {}); }, { timeoutMs: 10, retryTimeouts: false }),
+            UpstreamTimeoutError
+        );
+        assert.deepEqual(attempts, [{ timeoutMs: 10 }]);
+    });
+});
+
+describe('streamUpstream', () => {
+    before(() => {
+        process.env.UPSTREAM_RETRY_BASE_MS = '1';
+        mock.method(console, 'warn', () => {});
+    });
+
+    after(() => {
+        delete process.env.UPSTREAM_RETRY_BASE_MS;
+        mock.restoreAll();
+    });
+
+    const collect = async iterable => {
+        const items = [];
+        for await (const item of iterable) items.push(item);
+        return items;
+    };
+
+    it('retries a stream that fails before its first chunk', async () => {
+        let attempts = 0;
+        const chunks = await collect(streamUpstream('llm', async function* () {
+            if (++attempts === 1) throw httpError(503);
+            yield 'a';
+            yield 'b';
+        }));
+        assert.deepEqual(chunks, ['a', 'b']);
+        assert.equal(attempts, 2);
+    });
+
+    it('does not retry once chunks have been yielded', async () => {
+        let attempts = 0;
+        const chunks = [];
+        await assert.rejects(async () => {
+            for await (const chunk of streamUpstream('llm', async function* () {
+                attempts++;
+                yield 'a';
+                throw httpError(503);
+            })) chunks.push(chunk);
+        }, UpstreamError);
+        assert.deepEqual(chunks, ['a']);
+        assert.equal(attempts, 1);
+    });
+});